@@ -0,0 +1,179 @@
+/**
+ * manifestResolver.js — Turn modules.json into absolute URLs, wherever it is served from.
+ *
+ * The published modules.json is a bare array of entries with absolute CDN URLs, so loaders written
+ * before this file keep working. A mirror or local dev server may serve { "base_url", "modules" }
+ * instead, with file URLs relative to base_url (itself resolved against the URL the manifest was
+ * fetched from); with "base_url": "./" the same file works wherever it is copied. Either way only
+ * relative URLs are resolved: absolute ones are used as they are.
+ *
+ * Load: <script src="https://cdn-modules.onrender.com/modules/manifestResolver.js"></script>
+ * Call: resolveManifest(manifest, manifestUrl, options)
+ *   - manifest: parsed modules.json, a bare array of entries or { base_url?, modules: [...] }
+ *     (a bare array resolves relative URLs against the manifest's own folder)
+ *   - manifestUrl: absolute URL modules.json was fetched from
+ *   - options.locale: operator's locale (e.g. navigator.language); when given, display_name and
+ *     description are translated (see localizeEntry)
+ *   Returns { baseUrl, modules } where every entry (and every entry of its "versions") is a copy
+ *   with image_url, jsx_file_url, css_file_url and i18n.messages_url made absolute. Absolute URLs
+ *   are left as they are.
+ *   A release's "imports" are file names next to its component: fetch each from
+ *   new URL(name, release.jsx_file_url) and check it against its hash like the component.
+ *
+ *   fetch(url).then(function (r) { return r.json(); }).then(function (m) {
+ *     return resolveManifest(m, url, { locale: navigator.language }).modules;
+ *   });
+ *
+ * Dialog text: fetch the entry's i18n.messages_url and pass localizeMessages(catalog, locale) to the
+ * component as its messages prop.
+ *
+ * resolveModuleUrl(ref, baseUrl) resolves one URL; manifestBaseUrl(manifest, manifestUrl) gives the
+ * base the others are resolved against; manifestEntries(manifest) is the list of entries in either
+ * format. Node scripts load this file with require().
+ */
+(function (global) {
+  'use strict';
+
+  const URL_FIELDS = ['image_url', 'jsx_file_url', 'css_file_url'];
+
+  function requireAbsolute(fnName, url) {
+    if (typeof url !== 'string' || !/^[a-z][a-z0-9+.-]*:/i.test(url)) {
+      throw new Error(fnName + ': manifestUrl must be an absolute URL, got ' + JSON.stringify(url));
+    }
+  }
+
+  /**
+   * Base URL the manifest's relative file URLs are resolved against.
+   * @param {object|Array} manifest - Parsed modules.json
+   * @param {string} manifestUrl - Absolute URL the manifest was fetched from
+   * @returns {string} Absolute base URL (ends with '/' when base_url does)
+   */
+  function manifestBaseUrl(manifest, manifestUrl) {
+    requireAbsolute('manifestBaseUrl', manifestUrl);
+    const base = manifest && !Array.isArray(manifest) && typeof manifest.base_url === 'string' ? manifest.base_url : './';
+    return new URL(base, manifestUrl).href;
+  }
+
+  /**
+   * Entries of a manifest in either format.
+   * @param {object|Array} manifest - Parsed modules.json
+   * @returns {Array<object>}
+   */
+  function manifestEntries(manifest) {
+    if (Array.isArray(manifest)) return manifest;
+    return manifest && Array.isArray(manifest.modules) ? manifest.modules : [];
+  }
+
+  /**
+   * Resolve one file URL from the manifest.
+   * @param {string} ref - Absolute URL or path relative to baseUrl
+   * @param {string} baseUrl - Result of manifestBaseUrl
+   * @returns {string} Absolute URL
+   */
+  function resolveModuleUrl(ref, baseUrl) {
+    return new URL(ref, baseUrl).href;
+  }
+
+  function resolveUrls(item, baseUrl) {
+    const copy = Object.assign({}, item);
+    URL_FIELDS.forEach(function (field) {
+      if (typeof copy[field] === 'string') copy[field] = resolveModuleUrl(copy[field], baseUrl);
+    });
+    return copy;
+  }
+
+  /**
+   * Pick the best translation: the exact locale, then its language, then nothing.
+   * @param {Object<string, *>} translations - Keyed by locale
+   * @param {string} locale - e.g. "de-AT"
+   * @returns {*} The translation, or undefined
+   */
+  function pickLocale(translations, locale) {
+    if (!translations || typeof translations !== 'object' || typeof locale !== 'string' || !locale) return undefined;
+    const wanted = locale.replace(/_/g, '-').toLowerCase();
+    const language = wanted.split('-')[0];
+    let match;
+    Object.keys(translations).forEach(function (key) {
+      const candidate = key.toLowerCase();
+      if (candidate === wanted) match = key;
+      else if (candidate === language && match === undefined) match = key;
+    });
+    return match === undefined ? undefined : translations[match];
+  }
+
+  /**
+   * Copy of an entry with display_name and description in the operator's language, where translated.
+   * @param {object} entry - Manifest entry
+   * @param {string} locale - e.g. navigator.language
+   * @returns {object}
+   */
+  function localizeEntry(entry, locale) {
+    const copy = Object.assign({}, entry);
+    const i18n = entry.i18n || {};
+    ['display_name', 'description'].forEach(function (field) {
+      const text = pickLocale(i18n[field], locale);
+      if (typeof text === 'string' && text) copy[field] = text;
+    });
+    return copy;
+  }
+
+  /**
+   * Messages for one locale from a module's catalog, with English filling the gaps.
+   * @param {Object<string, Object<string, string>>} catalog - Fetched from i18n.messages_url
+   * @param {string} locale
+   * @returns {Object<string, string>} The component's messages prop
+   */
+  function localizeMessages(catalog, locale) {
+    const english = (catalog && catalog.en) || {};
+    return Object.assign({}, english, pickLocale(catalog, locale));
+  }
+
+  /**
+   * Copy of the manifest's entries with every file URL absolute.
+   * @param {object|Array} manifest - Parsed modules.json
+   * @param {string} manifestUrl - Absolute URL the manifest was fetched from
+   * @param {{ locale?: string }} [options]
+   * @returns {{ baseUrl: string, modules: Array<object> }}
+   */
+  function resolveManifest(manifest, manifestUrl, options) {
+    const baseUrl = manifestBaseUrl(manifest, manifestUrl);
+    const locale = options && options.locale;
+    return {
+      baseUrl: baseUrl,
+      modules: manifestEntries(manifest).map(function (entry) {
+        const resolved = resolveUrls(locale ? localizeEntry(entry, locale) : entry, baseUrl);
+        if (Array.isArray(entry.versions)) {
+          resolved.versions = entry.versions.map(function (release) { return resolveUrls(release, baseUrl); });
+        }
+        if (entry.i18n && typeof entry.i18n.messages_url === 'string') {
+          resolved.i18n = Object.assign({}, entry.i18n, { messages_url: resolveModuleUrl(entry.i18n.messages_url, baseUrl) });
+        }
+        return resolved;
+      }),
+    };
+  }
+
+  const resolverApi = {
+    resolveManifest: resolveManifest,
+    localizeEntry: localizeEntry,
+    localizeMessages: localizeMessages,
+    resolveModuleUrl: resolveModuleUrl,
+    manifestBaseUrl: manifestBaseUrl,
+    manifestEntries: manifestEntries,
+  };
+
+  // Expose globally for script-tag usage (cloud / any page)
+  Object.keys(resolverApi).forEach(function (key) {
+    global[key] = resolverApi[key];
+  });
+
+  // Support ES module / bundler if present
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = resolverApi;
+  }
+  if (typeof define === 'function' && define.amd) {
+    define([], function () {
+      return resolverApi;
+    });
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,154 @@
+/**
+ * module-sw.js — Service worker that keeps CDN modules working without internet.
+ *
+ * Built into the offline bundle by scripts/build-offline-bundle.js, next to cache-manifest.json.
+ * Serve the bundle from the host app's origin (or the ESP at 192.168.4.1) and register it there:
+ *   navigator.serviceWorker.register('/module-sw.js');
+ *
+ * install   Reads cache-manifest.json and caches every file under its CDN URL and under its URL in the
+ *           bundle (a mirror's modules.json may use relative URLs, so a loader may ask for either).
+ *           Each file is taken from the bundle (path relative to this script) and only fetched from the
+ *           CDN when the bundle lacks it, so the first visit does not need internet either.
+ * activate  Deletes caches of older bundles (same prefix, other name). modules.json and files cached at
+ *           runtime are kept in their own caches that outlive bundles.
+ * fetch     Files under modules/releases/ are answered from the cache: a published release is never
+ *           rewritten, so a cached copy of one cannot go stale. A release the cache lacks (say one
+ *           published after the bundle was built, which the fresh modules.json now points at) is
+ *           fetched and stored in the runtime cache, so it keeps working once the connection is gone.
+ *           Every other CDN and bundle file (modules.json, message catalogs, sendToDevice.js,
+ *           manifestResolver.js, images) keeps its URL when it changes, so it is tried on the network
+ *           first and the cached copy only answers offline. Everything else is left to the browser.
+ */
+'use strict';
+
+const CDN_ORIGIN = 'https://cdn-modules.onrender.com';
+const CACHE_PREFIX = 'roboblock-modules-';
+// modules.json changes between bundles, so it lives in one cache that every bundle shares
+const MANIFEST_CACHE = CACHE_PREFIX + 'manifest';
+// Releases fetched after install and the latest copies of unversioned files; kept across bundles like the manifest
+const RUNTIME_CACHE = CACHE_PREFIX + 'runtime';
+const CACHE_MANIFEST_URL = new URL('cache-manifest.json', self.location).href;
+const CDN_MODULES_URL = CDN_ORIGIN + '/modules/';
+const BUNDLE_MODULES_URL = new URL('modules/', self.location).href;
+const MANIFEST_URLS = [CDN_MODULES_URL + 'modules.json', BUNDLE_MODULES_URL + 'modules.json'];
+
+function bundleUrl(file) {
+  return new URL(file.path, self.location).href;
+}
+
+/**
+ * Fetch one bundle file, falling back to its CDN URL.
+ * @param {{ url: string, path: string }} file
+ * @returns {Promise<Response>}
+ */
+function fetchBundled(file) {
+  return fetch(bundleUrl(file), { cache: 'no-store' })
+    .then(function (response) {
+      if (response.ok) return response;
+      throw new Error(file.path + ': HTTP ' + response.status);
+    })
+    .catch(function () {
+      return fetch(file.url, { mode: 'cors', integrity: file.integrity || '' });
+    })
+    .then(function (response) {
+      if (!response.ok) throw new Error(file.url + ': HTTP ' + response.status);
+      return response;
+    });
+}
+
+self.addEventListener('install', function (event) {
+  event.waitUntil(
+    fetch(CACHE_MANIFEST_URL, { cache: 'no-store' })
+      .then(function (response) { return response.json(); })
+      .then(function (manifest) {
+        return caches.open(manifest.cache).then(function (cache) {
+          return Promise.all(manifest.files.map(function (file) {
+            return fetchBundled(file).then(function (response) {
+              const copy = response.clone();
+              const target = MANIFEST_URLS.indexOf(file.url) !== -1 ? caches.open(MANIFEST_CACHE) : Promise.resolve(cache);
+              return target.then(function (store) {
+                return Promise.all([store.put(file.url, response), store.put(bundleUrl(file), copy)]);
+              });
+            });
+          }));
+        });
+      })
+      .then(function () { return self.skipWaiting(); })
+  );
+});
+
+self.addEventListener('activate', function (event) {
+  event.waitUntil(
+    fetch(CACHE_MANIFEST_URL)
+      .then(function (response) { return response.json(); })
+      .then(function (manifest) {
+        return caches.keys().then(function (names) {
+          return Promise.all(names
+            .filter(function (name) {
+              return name.indexOf(CACHE_PREFIX) === 0 && name !== manifest.cache &&
+                name !== MANIFEST_CACHE && name !== RUNTIME_CACHE;
+            })
+            .map(function (name) { return caches.delete(name); }));
+        });
+      })
+      // Offline activation: keep every cache rather than guess which one is current
+      .catch(function () {})
+      .then(function () { return self.clients.claim(); })
+  );
+});
+
+/**
+ * Answer from the network and keep a copy in cacheName. Offline, or when the server answers with an
+ * error, the copy answers instead (cacheName's first, as it holds the newest, then the bundle's).
+ * Opaque responses (e.g. an <img> without crossorigin) cannot be checked, so they are passed on as they are.
+ */
+function networkFirst(event, url, cacheName) {
+  function cachedCopy() {
+    return caches.open(cacheName)
+      .then(function (cache) { return cache.match(url); })
+      .then(function (cached) { return cached || caches.match(url); });
+  }
+  return fetch(event.request).then(
+    function (response) {
+      if (response.type === 'opaque') return response;
+      if (!response.ok) return cachedCopy().then(function (cached) { return cached || response; });
+      const copy = response.clone();
+      event.waitUntil(caches.open(cacheName).then(function (cache) { return cache.put(url, copy); }));
+      return response;
+    },
+    function () {
+      return cachedCopy().then(function (cached) { return cached || Response.error(); });
+    }
+  );
+}
+
+/** Answer from any cache; fetch and keep what none has. */
+function cacheFirst(event, url) {
+  return caches.match(url).then(function (cached) {
+    if (cached) return cached;
+    return fetch(event.request).then(function (response) {
+      // Opaque and error responses are not stored: a failed fetch must not be replayed offline
+      if (response.ok) {
+        const copy = response.clone();
+        event.waitUntil(caches.open(RUNTIME_CACHE).then(function (cache) { return cache.put(url, copy); }));
+      }
+      return response;
+    });
+  });
+}
+
+self.addEventListener('fetch', function (event) {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = request.url.split('#')[0].split('?')[0];
+  const prefix = [CDN_MODULES_URL, BUNDLE_MODULES_URL].filter(function (p) { return url.indexOf(p) === 0; })[0];
+  if (!prefix && url.indexOf(CDN_ORIGIN + '/') !== 0) return;
+
+  if (MANIFEST_URLS.indexOf(url) !== -1) {
+    event.respondWith(networkFirst(event, url, MANIFEST_CACHE));
+  } else if (prefix && url.slice(prefix.length).indexOf('releases/') === 0) {
+    event.respondWith(cacheFirst(event, url));
+  } else {
+    event.respondWith(networkFirst(event, url, RUNTIME_CACHE));
+  }
+});
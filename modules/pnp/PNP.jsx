@@ -1,8 +1,12 @@
-import React, { useState, useRef, useEffect, useCallback } from 'react';
+import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import './PNP.css';
 import { v4 as uuidv4 } from 'uuid';
 import { useConnection } from '../../frontend/src/components/context/ConnectionContext';
 import { uploadGcodeFile } from '../../frontend/src/components/api/gcodeUploader';
+import {
+    canUpload, createLifecycle, createSession, getRunDeviceFile, makeTranslator, resolveDeviceProfile, toStoredPath,
+    uploadGcode, uploadReportsProgress,
+} from './moduleKit.js';
 
 const PALETTE_BLOCKS = [
     { type: 'motion', label: 'Move to point', icon: '✥' },
@@ -10,21 +14,22 @@ const PALETTE_BLOCKS = [
     { type: 'dwell', label: 'Dwell', icon: '⏱' },
 ];
 
-/** Semicircle bed (mm): X −390…390, Y 0 flat top → 390 apex bottom. Upper half of disk center (0,0), R=390. */
-const MOTION_BED_X_MIN = -390;
-const MOTION_BED_X_MAX = 390;
-const MOTION_BED_Y_MIN = 0;
-const MOTION_BED_Y_MAX = 390;
+/** Semicircle bed (mm): X −R…R, Y 0 flat top → R apex bottom. Upper half of disk center (0,0). R is the bedRadiusMm prop (manifest config), 390 by default. */
 const MOTION_BED_RADIUS_MM = 390;
 const MOTION_BED_CIRCLE_CX = 0;
 const MOTION_BED_CIRCLE_CY = 0;
 
-function clampToSemicircleMm(x, y) {
+/** Bounding box of the semicircle bed for radius R (mm). */
+function motionBedBounds(R) {
+    return { xMin: -R, xMax: R, yMin: 0, yMax: R, radius: R };
+}
+
+function clampToSemicircleMm(x, y, bed) {
     const cx = MOTION_BED_CIRCLE_CX;
     const cy = MOTION_BED_CIRCLE_CY;
-    const R = MOTION_BED_RADIUS_MM;
-    let px = Math.max(MOTION_BED_X_MIN, Math.min(MOTION_BED_X_MAX, x));
-    let py = Math.max(MOTION_BED_Y_MIN, Math.min(MOTION_BED_Y_MAX, y));
+    const R = bed.radius;
+    let px = Math.max(bed.xMin, Math.min(bed.xMax, x));
+    let py = Math.max(bed.yMin, Math.min(bed.yMax, y));
     const dx = px - cx;
     const dy = py - cy;
     const d2 = dx * dx + dy * dy;
@@ -33,8 +38,8 @@ function clampToSemicircleMm(x, y) {
         px = cx + (dx / len) * R;
         py = cy + (dy / len) * R;
     }
-    px = Math.max(MOTION_BED_X_MIN, Math.min(MOTION_BED_X_MAX, px));
-    py = Math.max(MOTION_BED_Y_MIN, Math.min(MOTION_BED_Y_MAX, py));
+    px = Math.max(bed.xMin, Math.min(bed.xMax, px));
+    py = Math.max(bed.yMin, Math.min(bed.yMax, py));
     return { x: Math.round(px * 10) / 10, y: Math.round(py * 10) / 10 };
 }
 
@@ -50,10 +55,65 @@ function isFirmwareOkMessage(raw) {
     });
 }
 
-function PickAndPlacePage() {
+/**
+ * Dialog text. The host passes the operator's language from the module's catalog
+ * (i18n.messages_url in modules.json) as the messages prop; missing keys fall back to these.
+ */
+const MESSAGES = {
+    simulationDone: 'Simulation completed!',
+    workspaceEmptySimulate: 'Workspace empty! Please add blocks before simulating.',
+    notConnected: 'Not connected to ESP. Please connect first.',
+    nothingToSimulate: 'No G-code to simulate!',
+    workspaceEmptyDownload: 'Workspace empty! Please add blocks before downloading.',
+    savedToPc: 'G-Code saved to PC successfully!\n\n{count} block(s) processed.',
+    noBaseUrl: 'ESP device information (base URL) not available.',
+    sendUnavailable: 'Send to device is not available in this environment.',
+    runUnavailable: 'Upload & Run is not available in this environment.',
+    nothingToSend: 'No G-code to send. Please add blocks to the workspace.',
+    fileNamePrompt: 'Enter file name (.gcode will be added automatically):',
+    runFailed: 'G-Code saved as {path}, but the job did not start:\n{reason}',
+    runRefused: 'Device refused the run request.',
+    sentAndStarted: 'G-Code sent and started.\nRunning: {path}',
+    sent: 'G-Code sent to device successfully.\nSaved as: {path}',
+    sendFailed: 'Failed to send G-Code to device: {error}',
+    optionsTitle: 'G-Code: Save or Send to Device',
+    chooseHowToProceed: 'Choose how you want to proceed:',
+    saveToPc: 'Save to PC',
+    sendToDevice: 'Send to Device',
+    uploadAndRun: 'Upload & Run',
+    sending: 'Sending…',
+    uploadProgress: 'Uploading… {percent}%',
+    cancelUpload: 'Cancel upload',
+    uploadCancelled: 'Upload cancelled. Nothing was started on the device.',
+};
+
+/**
+ * Module lifecycle (modules.json "lifecycle": 1; see createLifecycle in moduleKit.js). The mounted page keeps
+ * `session` current: dirty while blocks have not been saved or sent since their last change, busy while
+ * simulating or sending, state is the workspace, and stop() ends a running simulation (the workspace is kept).
+ */
+const session = createSession();
+
+export const lifecycle = createLifecycle(session, () => ({
+    simulate: true,
+    saveToPc: true,
+    sendToDevice: true,
+    uploadAndRun: Boolean(getRunDeviceFile()),
+    restoreState: true,
+}));
+
+/**
+ * uploadFolder, bedRadiusMm and deviceProfile come from the module's manifest config; messages is the
+ * operator's dialog text (see MESSAGES).
+ */
+function PickAndPlacePage({ uploadFolder = 'pick&place', bedRadiusMm = MOTION_BED_RADIUS_MM, deviceProfile, messages }) {
+    const bed = useMemo(() => motionBedBounds(bedRadiusMm), [bedRadiusMm]);
+    const t = useMemo(() => makeTranslator(MESSAGES, messages), [messages]);
     const [simulationCount, setSimulationCount] = useState(1);
     const { connectionStatus, sendWebSocketMessage, espInfo } = useConnection();
     const [workspaceBlocks, setWorkspaceBlocks] = useState([]);
+    /** Blocks as last saved to PC or uploaded; anything else is unsaved work. */
+    const [savedBlocks, setSavedBlocks] = useState(workspaceBlocks);
     const [modalOpen, setModalOpen] = useState(false);
     const [activeBlock, setActiveBlock] = useState(null);
     const [tempState, setTempState] = useState({});
@@ -69,6 +129,9 @@ function PickAndPlacePage() {
     const [extensionDragOffset, setExtensionDragOffset] = useState({ x: 0, y: 0 });
     const [showDownloadOptions, setShowDownloadOptions] = useState(false);
     const [isSendingToDevice, setIsSendingToDevice] = useState(false);
+    /** { sent, total } while sendToDevice.js uploads; uploadAbortRef cancels that upload. */
+    const [uploadProgress, setUploadProgress] = useState(null);
+    const uploadAbortRef = useRef(null);
     const [isSimulating, setIsSimulating] = useState(false);
 
     const extensionPopupRef = useRef(null);
@@ -257,7 +320,7 @@ function PickAndPlacePage() {
             currentGcodeIndexRef.current = 0;
             waitingForOkRef.current = false;
             setHighlightedBlockId(null);
-            alert("Simulation completed!");
+            alert(t('simulationDone'));
             return;
         }
 
@@ -281,7 +344,7 @@ function PickAndPlacePage() {
                 setHighlightedBlockId(workspaceBlocks[blockIndex].id);
             }
         }
-    }, [workspaceBlocks]);
+    }, [workspaceBlocks, t]);
 
     // Handle ok response and send next line
     const handleOkResponse = useCallback(() => {
@@ -306,6 +369,33 @@ function PickAndPlacePage() {
         setHighlightedBlockId(null);
     }, []);
 
+    /** Hand the lifecycle session this page's restore and stop hooks. */
+    useEffect(() => {
+        session.restore = (state) => {
+            if (!state || !Array.isArray(state.blocks)) return;
+            setWorkspaceBlocks(state.blocks);
+            setSavedBlocks(state.unsaved ? null : state.blocks);
+            if (Number.isInteger(state.simulationCount) && state.simulationCount > 0) setSimulationCount(state.simulationCount);
+        };
+        session.stop = stopSimulation;
+        if (session.pendingState) {
+            session.restore(session.pendingState);
+            session.pendingState = null;
+        }
+        return () => {
+            session.restore = null;
+            session.stop = null;
+            session.dirty = false;
+            session.busy = false;
+        };
+    }, [stopSimulation]);
+
+    useEffect(() => {
+        session.dirty = workspaceBlocks.length > 0 && workspaceBlocks !== savedBlocks;
+        session.busy = isSimulating || isSendingToDevice;
+        session.state = { blocks: workspaceBlocks, simulationCount, unsaved: session.dirty };
+    }, [workspaceBlocks, savedBlocks, simulationCount, isSimulating, isSendingToDevice]);
+
     // Simulate: stream G-code; click again while running to stop
     const handleSimulate = () => {
         if (isSimulating) {
@@ -314,12 +404,12 @@ function PickAndPlacePage() {
         }
 
         if (workspaceBlocks.length === 0) {
-            alert("Workspace empty! Please add blocks before simulating.");
+            alert(t('workspaceEmptySimulate'));
             return;
         }
 
         if (connectionStatus !== 'connected') {
-            alert("Not connected to ESP. Please connect first.");
+            alert(t('notConnected'));
             return;
         }
 
@@ -330,7 +420,7 @@ function PickAndPlacePage() {
             .filter(line => line.length > 0 && !line.startsWith('type:')); // Filter out empty lines and type prefix
 
         if (lines.length === 0) {
-            alert("No G-code to simulate!");
+            alert(t('nothingToSimulate'));
             return;
         }
 
@@ -352,7 +442,7 @@ function PickAndPlacePage() {
 
     const handleDownloadGcode = () => {
         if (workspaceBlocks.length === 0) {
-            alert("Workspace empty! Please add blocks before downloading.");
+            alert(t('workspaceEmptyDownload'));
             return;
         }
         setShowDownloadOptions(true);
@@ -372,55 +462,100 @@ function PickAndPlacePage() {
         document.body.removeChild(link);
         URL.revokeObjectURL(url);
 
+        setSavedBlocks(workspaceBlocks);
         setShowDownloadOptions(false);
-        alert(`G-Code saved to PC successfully!\n\n${workspaceBlocks.length} block(s) processed.`);
+        alert(t('savedToPc', { count: workspaceBlocks.length }));
     };
 
-    const handleSendToDevice = async () => {
+    const handleSendToDevice = async (runAfterUpload = false) => {
         if (connectionStatus !== 'connected') {
-            alert("Not connected to ESP. Please connect first.");
+            alert(t('notConnected'));
             return;
         }
 
         if (!espInfo || !espInfo.baseUrl) {
-            alert("ESP device information (base URL) not available.");
+            alert(t('noBaseUrl'));
             return;
         }
 
-        if (typeof uploadGcodeFile !== 'function') {
-            alert("Send to device is not available in this environment.");
+        if (!canUpload(uploadGcodeFile)) {
+            alert(t('sendUnavailable'));
+            return;
+        }
+
+        const runDeviceFile = runAfterUpload ? getRunDeviceFile() : null;
+        if (runAfterUpload && !runDeviceFile) {
+            alert(t('runUnavailable'));
             return;
         }
 
         const gcodeContent = generateGcode();
         if (!gcodeContent || workspaceBlocks.length === 0) {
-            alert("No G-code to send. Please add blocks to the workspace.");
+            alert(t('nothingToSend'));
             return;
         }
 
         const defaultName = `pickandplace_${workspaceBlocks.length}blocks`;
-        const rawName = window.prompt('Enter file name (.gcode will be added automatically):', defaultName);
+        const rawName = window.prompt(t('fileNamePrompt'), defaultName);
         if (rawName == null || String(rawName).trim() === '') return;
 
         let fileName = String(rawName).trim();
         if (!fileName.toLowerCase().endsWith('.gcode')) fileName += '.gcode';
 
-        const blob = new Blob([gcodeContent], { type: 'text/plain' });
-        const gcodeFile = new File([blob], fileName, { type: 'text/plain' });
-
+        /** Busy before the profile lookup: with deviceProfile "auto" it may wait on the device's /info. */
         setIsSendingToDevice(true);
         try {
-            await uploadGcodeFile(espInfo.baseUrl, gcodeFile, 'pick&place');
-            alert(`G-Code sent to device successfully.\nSaved as: pick&place/${fileName}`);
+            const profile = await resolveDeviceProfile(espInfo.baseUrl, deviceProfile);
+            const stored = toStoredPath(uploadFolder, fileName, profile);
+            if (!stored.ok) {
+                alert(stored.message);
+                return;
+            }
+
+            /** With sendToDevice.js the dialog shows a progress bar and a button that stops the upload. */
+            const controller = uploadReportsProgress() ? new AbortController() : null;
+            uploadAbortRef.current = controller;
+            if (controller) setUploadProgress({ sent: 0, total: 0 });
+            const upload = await uploadGcode(espInfo.baseUrl, gcodeContent, stored, {
+                upload: uploadGcodeFile,
+                deviceProfile: profile,
+                onProgress: (sent, total) => setUploadProgress({ sent, total }),
+                signal: controller?.signal,
+            });
+            if (upload.aborted) {
+                alert(t('uploadCancelled'));
+                return;
+            }
+            if (!upload.ok) {
+                alert(t('sendFailed', { error: upload.message }));
+                return;
+            }
+            setSavedBlocks(workspaceBlocks);
+            if (runDeviceFile) {
+                const result = await runDeviceFile(espInfo.baseUrl, stored.path);
+                if (!result.ok) {
+                    alert(t('runFailed', { path: stored.path, reason: result.message || t('runRefused') }));
+                    return;
+                }
+                alert(t('sentAndStarted', { path: stored.path }));
+            } else {
+                alert(t('sent', { path: stored.path }));
+            }
             setShowDownloadOptions(false);
         } catch (error) {
             console.error("Failed to send G-Code to device:", error);
-            alert(`Failed to send G-Code to device: ${error.message || error}`);
+            alert(t('sendFailed', { error: error.message || error }));
         } finally {
+            uploadAbortRef.current = null;
+            setUploadProgress(null);
             setIsSendingToDevice(false);
         }
     };
 
+    const uploadPercent = uploadProgress && uploadProgress.total > 0
+        ? Math.round((uploadProgress.sent / uploadProgress.total) * 100)
+        : 0;
+
     // Popup drag handlers
     const handlePopupMouseDown = (e) => {
         if (!popupRef.current || !popupHeaderRef.current) return;
@@ -562,14 +697,14 @@ function PickAndPlacePage() {
         if (!el) return null;
         const rect = el.getBoundingClientRect();
         if (rect.width <= 0 || rect.height <= 0) return null;
-        const xSpan = MOTION_BED_X_MAX - MOTION_BED_X_MIN;
-        const ySpan = MOTION_BED_Y_MAX - MOTION_BED_Y_MIN;
+        const xSpan = bed.xMax - bed.xMin;
+        const ySpan = bed.yMax - bed.yMin;
         const tx = (clientX - rect.left) / rect.width;
-        let x = MOTION_BED_X_MIN + tx * xSpan;
+        let x = bed.xMin + tx * xSpan;
         x = -x;
-        let y = MOTION_BED_Y_MIN + ((clientY - rect.top) / rect.height) * ySpan;
-        return clampToSemicircleMm(x, y);
-    }, []);
+        let y = bed.yMin + ((clientY - rect.top) / rect.height) * ySpan;
+        return clampToSemicircleMm(x, y, bed);
+    }, [bed]);
 
     const handleBedTap = useCallback((e) => {
         if (e.button != null && e.button !== 0) return;
@@ -678,11 +813,11 @@ function PickAndPlacePage() {
         const xJogDir = mirrorXJog ? -dir : dir;
         if (axis === 'x') {
             const xNew = parseFloat(((tempState.x || 0) + xJogDir * step).toFixed(1));
-            nx = Math.max(MOTION_BED_X_MIN, Math.min(MOTION_BED_X_MAX, xNew));
+            nx = Math.max(bed.xMin, Math.min(bed.xMax, xNew));
         } else if (axis === 'y') {
-            ny = Math.max(MOTION_BED_Y_MIN, Math.min(MOTION_BED_Y_MAX, newPos));
+            ny = Math.max(bed.yMin, Math.min(bed.yMax, newPos));
         }
-        const p = clampToSemicircleMm(nx, ny);
+        const p = clampToSemicircleMm(nx, ny, bed);
         sendGcode(`G0 X${p.x.toFixed(1)} Y${p.y.toFixed(1)} Z${zVal.toFixed(1)}`);
     };
 
@@ -715,8 +850,8 @@ function PickAndPlacePage() {
                                             <div
                                                 className="motion-bed-marker"
                                                 style={{
-                                                    left: `${((MOTION_BED_X_MAX - (tempState.x ?? 0)) / (MOTION_BED_X_MAX - MOTION_BED_X_MIN)) * 100}%`,
-                                                    top: `${(((tempState.y ?? 0) - MOTION_BED_Y_MIN) / (MOTION_BED_Y_MAX - MOTION_BED_Y_MIN)) * 100}%`,
+                                                    left: `${((bed.xMax - (tempState.x ?? 0)) / (bed.xMax - bed.xMin)) * 100}%`,
+                                                    top: `${(((tempState.y ?? 0) - bed.yMin) / (bed.yMax - bed.yMin)) * 100}%`,
                                                 }}
                                             />
                                         </div>
@@ -1127,25 +1262,46 @@ function PickAndPlacePage() {
                 {showDownloadOptions && (
                     <div id="modal-overlay" onClick={() => !isSendingToDevice && setShowDownloadOptions(false)}>
                         <div className="download-options-modal" onClick={(e) => e.stopPropagation()}>
-                            <h3 className="download-options-header">G-Code: Save or Send to Device</h3>
+                            <h3 className="download-options-header">{t('optionsTitle')}</h3>
                             <div className="download-options-content">
-                                <p>Choose how you want to proceed:</p>
+                                <p>{t('chooseHowToProceed')}</p>
                                 <div className="download-options-buttons">
                                     <button
                                         className="download-option-btn save-pc-btn"
                                         onClick={handleSaveToPC}
                                         disabled={isSendingToDevice}
                                     >
-                                        Save to PC
+                                        {t('saveToPc')}
                                     </button>
                                     <button
                                         className="download-option-btn send-device-btn"
-                                        onClick={handleSendToDevice}
+                                        onClick={() => handleSendToDevice()}
                                         disabled={isSendingToDevice}
                                     >
-                                        {isSendingToDevice ? 'Sending…' : 'Send to Device'}
+                                        {isSendingToDevice ? t('sending') : t('sendToDevice')}
+                                    </button>
+                                    <button
+                                        className="download-option-btn upload-run-btn"
+                                        onClick={() => handleSendToDevice(true)}
+                                        disabled={isSendingToDevice}
+                                    >
+                                        {isSendingToDevice ? t('sending') : t('uploadAndRun')}
                                     </button>
                                 </div>
+                                {uploadProgress && (
+                                    <div className="download-options-progress">
+                                        <div className="download-options-progress-track">
+                                            <div className="download-options-progress-bar" style={{ width: `${uploadPercent}%` }} />
+                                        </div>
+                                        <div className="download-options-progress-text">{t('uploadProgress', { percent: uploadPercent })}</div>
+                                        <button
+                                            className="download-option-btn cancel-upload-btn"
+                                            onClick={() => uploadAbortRef.current?.abort()}
+                                        >
+                                            {t('cancelUpload')}
+                                        </button>
+                                    </div>
+                                )}
                             </div>
                             <button
                                 className="download-options-close"
@@ -2,11 +2,15 @@ import React, { useState, useEffect, useRef, useMemo } from 'react';
 import './laser_dot.css';
 import { useConnection } from '../components/context/ConnectionContext';
 import { uploadGcodeFile } from '../components/api/gcodeUploader';
+import {
+  canUpload, createLifecycle, createSession, getRunDeviceFile, makeTranslator, resolveDeviceProfile, toStoredPath,
+  uploadGcode, uploadReportsProgress,
+} from './moduleKit.js';
 
 // --- Bed configuration (origin at bottom center, matches plotter convention) ---
+// Fallbacks; the host passes the machine's values as props (see "config" in modules.json).
 const BED_WIDTH_MM = 500;
 const BED_HEIGHT_MM = 300;
-const BED_CENTER_X_MM = 250;
 
 const DEFAULT_SETTINGS = {
   // Dimensions (mm)
@@ -14,7 +18,7 @@ const DEFAULT_SETTINGS = {
   height: 100,
   keepProportions: true,
 
-  // Position (posX: -250..+250 from center, posY: 0 = bottom)
+  // Position (posX: -width/2..+width/2 from center, posY: 0 = bottom)
   posX: 0,
   posY: 0,
 
@@ -34,6 +38,32 @@ function createItemId() {
   return 'ldot_' + Date.now() + '_' + Math.random().toString(36).slice(2, 9);
 }
 
+// Dialog text. The host passes the operator's language from the module's catalog
+// (i18n.messages_url in modules.json) as the messages prop; missing keys fall back to these.
+const MESSAGES = {
+  selectImages: 'Please select image files (PNG, JPG, BMP, GIF, WEBP).',
+  generateFailed: 'Error generating G-code',
+  connectFirst: 'Connect to a device first (use the connection menu).',
+  sendUnavailable: 'Send to device is not available in this environment.',
+  runUnavailable: 'Upload & Run is not available in this environment.',
+  fileNamePrompt: 'Enter file name (.gcode will be added automatically):',
+  runFailed: 'G-code saved as {path}, but the job did not start:\n{reason}',
+  runRefused: 'Device refused the run request.',
+  sentAndStarted: 'G-code sent and started.\nRunning: {path}',
+  sent: 'G-code sent to device.\nSaved as: {path}',
+  sendFailed: 'Failed to send G-code to device.',
+  gcodeReady: 'G-code ready',
+  whatNext: 'What would you like to do?',
+  download: 'Download',
+  sending: 'SENDING...',
+  uploadProgress: 'Uploading… {percent}%',
+  cancelUpload: 'Cancel upload',
+  uploadCancelled: 'Upload cancelled. Nothing was started on the device.',
+  sendToDevice: 'Send to device',
+  uploadAndRun: 'Upload & Run',
+  cancel: 'Cancel',
+};
+
 function round1(num) {
   if (typeof num !== 'number' || Number.isNaN(num)) return num;
   return Math.round(num * 10) / 10;
@@ -138,7 +168,7 @@ function generateLaserDotGCode(items) {
 }
 
 // --- Visual: render preview dots on a canvas (each dot sized by dwell) ---
-function DotPreview({ item, scale, isSelected }) {
+function DotPreview({ item, scale, isSelected, bedWidthMm, bedHeightMm }) {
   const canvasRef = useRef(null);
   useEffect(() => {
     const canvas = canvasRef.current;
@@ -180,8 +210,8 @@ function DotPreview({ item, scale, isSelected }) {
       data-id={item.id}
       style={{
         position: 'absolute',
-        left: `${(BED_CENTER_X_MM + settings.posX) * scale}px`,
-        top: `${(BED_HEIGHT_MM - settings.posY - settings.height) * scale}px`,
+        left: `${(bedWidthMm / 2 + settings.posX) * scale}px`,
+        top: `${(bedHeightMm - settings.posY - settings.height) * scale}px`,
         width: `${settings.width * scale}px`,
         height: `${settings.height * scale}px`,
         border: isSelected ? '2px dashed var(--accent)' : '1px dashed rgba(255,255,255,0.3)',
@@ -195,10 +225,29 @@ function DotPreview({ item, scale, isSelected }) {
   );
 }
 
+// Module lifecycle (modules.json "lifecycle": 1; see createLifecycle in moduleKit.js). The mounted page keeps
+// `session` current: dirty while the items differ from the last downloaded or uploaded G-code, busy while
+// sending, and state is the items (settings and the image as a data URL). Nothing runs in the page itself
+// (jobs run on the device), so there is nothing to stop.
+const session = createSession();
+
+export const lifecycle = createLifecycle(session, () => ({
+  importFormats: ['png', 'jpg', 'bmp', 'gif', 'webp'],
+  simulate: false,
+  download: true,
+  sendToDevice: true,
+  uploadAndRun: Boolean(getRunDeviceFile()),
+  restoreState: true,
+}));
+
 // --- Main Component ---
-export default function LaserDotEngraver({ uploadFolder = 'laser' }) {
+// bedWidthMm / bedHeightMm, deviceProfile and defaults (overrides for DEFAULT_SETTINGS) come from the module's manifest config;
+// messages is the operator's dialog text (see MESSAGES).
+export default function LaserDotEngraver({ uploadFolder = 'laser', bedWidthMm = BED_WIDTH_MM, bedHeightMm = BED_HEIGHT_MM, deviceProfile, defaults, messages }) {
   const { connectionStatus, espInfo, sendWebSocketMessage } = useConnection?.() || {};
+  const t = makeTranslator(MESSAGES, messages);
   const targetUploadFolder = uploadFolder === 'laser_dot' ? 'laser' : (uploadFolder || 'laser');
+  const halfBedMm = bedWidthMm / 2;
 
   const [items, setItems] = useState([]); // [{ id, name, image, settings, grid, originalSize }]
   const [activeId, setActiveId] = useState(null);
@@ -209,6 +258,11 @@ export default function LaserDotEngraver({ uploadFolder = 'laser' }) {
   const [lastGeneratedGcode, setLastGeneratedGcode] = useState(null);
   const [showGcodeDialog, setShowGcodeDialog] = useState(false);
   const [isSending, setIsSending] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(null); // { sent, total } while sendToDevice uploads
+  const uploadAbortRef = useRef(null);
+  // Items as last downloaded or uploaded; anything else is unsaved work.
+  const [savedItems, setSavedItems] = useState(items);
+  const gcodeItemsRef = useRef(null); // items lastGeneratedGcode was made from
   const [zJogStep, setZJogStep] = useState(1);
   const [machineZ, setMachineZ] = useState(0);
 
@@ -272,6 +326,40 @@ export default function LaserDotEngraver({ uploadFolder = 'laser' }) {
     return { ...item, grid };
   };
 
+  // --- Lifecycle session ---
+  useEffect(() => {
+    session.restore = (state) => {
+      if (!state || !Array.isArray(state.items)) return;
+      // Images come back as data URLs; their dot grids are recomputed once they load.
+      Promise.all(state.items.filter((it) => it && it.src).map(({ src, ...it }) => new Promise((resolve) => {
+        const img = new Image();
+        img.onload = () => resolve(recomputeGrid({ ...it, image: img, settings: { ...DEFAULT_SETTINGS, ...defaults, ...it.settings } }));
+        img.onerror = () => resolve(null);
+        img.src = src;
+      }))).then((loaded) => {
+        const restored = loaded.filter(Boolean);
+        setItems(restored);
+        setActiveId(restored.some((it) => it.id === state.activeId) ? state.activeId : (restored[0] ? restored[0].id : null));
+        setSavedItems(state.unsaved ? null : restored);
+      });
+    };
+    if (session.pendingState) {
+      session.restore(session.pendingState);
+      session.pendingState = null;
+    }
+    return () => {
+      session.restore = null;
+      session.dirty = false;
+      session.busy = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    session.dirty = items.length > 0 && items !== savedItems;
+    session.busy = isProcessing || isUploading || isSending;
+    session.state = { items: items.map(({ image, grid, ...it }) => ({ ...it, src: image ? image.src : null })), activeId, unsaved: session.dirty };
+  }, [items, activeId, savedItems, isProcessing, isUploading, isSending]);
+
   const scheduleRecompute = (id) => {
     if (debounceTimerRef.current) clearTimeout(debounceTimerRef.current);
     debounceTimerRef.current = setTimeout(() => {
@@ -285,7 +373,7 @@ export default function LaserDotEngraver({ uploadFolder = 'laser' }) {
     if (!files || files.length === 0) return;
     const imgFiles = Array.from(files).filter((f) => /\.(png|jpe?g|bmp|gif|webp)$/i.test(f.name));
     if (imgFiles.length === 0) {
-      alert('Please select image files (PNG, JPG, BMP, GIF, WEBP).');
+      alert(t('selectImages'));
       e.target.value = '';
       return;
     }
@@ -303,10 +391,11 @@ export default function LaserDotEngraver({ uploadFolder = 'laser' }) {
           const offset = items.length * 22;
           const settings = {
             ...DEFAULT_SETTINGS,
+            ...defaults,
             width: initialWidth,
             height: initialHeight,
-            posX: Math.max(-250, -offset),
-            posY: Math.min(BED_HEIGHT_MM - initialHeight, offset),
+            posX: Math.max(-halfBedMm, -offset),
+            posY: Math.min(bedHeightMm - initialHeight, offset),
           };
           const newItem = recomputeGrid({
             id,
@@ -375,11 +464,12 @@ export default function LaserDotEngraver({ uploadFolder = 'laser' }) {
       const refreshed = items.map((it) => (it.image ? recomputeGrid(it) : it));
       setItems(refreshed);
       const code = generateLaserDotGCode(refreshed);
+      gcodeItemsRef.current = refreshed;
       setLastGeneratedGcode(code);
       setShowGcodeDialog(true);
     } catch (err) {
       console.error(err);
-      alert('Error generating G-code');
+      alert(t('generateFailed'));
     } finally {
       setIsProcessing(false);
     }
@@ -394,38 +484,83 @@ export default function LaserDotEngraver({ uploadFolder = 'laser' }) {
     a.download = `laser_dot_${items.length}img.gcode`;
     a.click();
     URL.revokeObjectURL(url);
+    setSavedItems(gcodeItemsRef.current);
     setShowGcodeDialog(false);
   };
 
-  const handleSendToDevice = async () => {
+  const handleSendToDevice = async (runAfterUpload = false) => {
     if (!lastGeneratedGcode) return;
     const baseUrl = espInfo?.baseUrl;
     if (!baseUrl) {
-      alert('Connect to a device first (use the connection menu).');
+      alert(t('connectFirst'));
       return;
     }
-    if (typeof uploadGcodeFile !== 'function') {
-      alert('Send to device is not available in this environment.');
+    if (!canUpload(uploadGcodeFile)) {
+      alert(t('sendUnavailable'));
       return;
     }
-    const rawName = window.prompt('Enter file name (.gcode will be added automatically):', `laser_dot_${items.length}img`);
+    const runDeviceFile = runAfterUpload ? getRunDeviceFile() : null;
+    if (runAfterUpload && !runDeviceFile) {
+      alert(t('runUnavailable'));
+      return;
+    }
+    const rawName = window.prompt(t('fileNamePrompt'), `laser_dot_${items.length}img`);
     if (rawName == null || String(rawName).trim() === '') return;
     let fileName = String(rawName).trim();
     if (!fileName.toLowerCase().endsWith('.gcode')) fileName += '.gcode';
+    // Busy before the profile lookup: with deviceProfile "auto" it may wait on the device's /info
     setIsSending(true);
     try {
-      const file = new File([lastGeneratedGcode], fileName, { type: 'text/plain' });
-      await uploadGcodeFile(baseUrl, file, targetUploadFolder);
-      alert(`G-code sent to device.\nSaved as: ${targetUploadFolder}/${fileName}`);
+      const profile = await resolveDeviceProfile(baseUrl, deviceProfile);
+      const stored = toStoredPath(targetUploadFolder, fileName, profile);
+      if (!stored.ok) {
+        alert(stored.message);
+        return;
+      }
+      // With sendToDevice.js the dialog shows a progress bar and Cancel stops the upload
+      const controller = uploadReportsProgress() ? new AbortController() : null;
+      uploadAbortRef.current = controller;
+      if (controller) setUploadProgress({ sent: 0, total: 0 });
+      const upload = await uploadGcode(baseUrl, lastGeneratedGcode, stored, {
+        upload: uploadGcodeFile,
+        deviceProfile: profile,
+        onProgress: (sent, total) => setUploadProgress({ sent, total }),
+        signal: controller?.signal,
+      });
+      if (upload.aborted) {
+        alert(t('uploadCancelled'));
+        return;
+      }
+      if (!upload.ok) {
+        alert(upload.message || t('sendFailed'));
+        return;
+      }
+      setSavedItems(gcodeItemsRef.current);
+      if (runDeviceFile) {
+        const result = await runDeviceFile(baseUrl, stored.path);
+        if (!result.ok) {
+          alert(t('runFailed', { path: stored.path, reason: result.message || t('runRefused') }));
+          return;
+        }
+        alert(t('sentAndStarted', { path: stored.path }));
+      } else {
+        alert(t('sent', { path: stored.path }));
+      }
       setShowGcodeDialog(false);
     } catch (e) {
       console.error(e);
-      alert(e?.message || 'Failed to send G-code to device.');
+      alert(e?.message || t('sendFailed'));
     } finally {
+      uploadAbortRef.current = null;
+      setUploadProgress(null);
       setIsSending(false);
     }
   };
 
+  const uploadPercent = uploadProgress && uploadProgress.total > 0
+    ? Math.round((uploadProgress.sent / uploadProgress.total) * 100)
+    : 0;
+
   // --- Workspace interactions ---
   const handleWheel = (e) => {
     e.preventDefault();
@@ -464,10 +599,10 @@ export default function LaserDotEngraver({ uploadFolder = 'laser' }) {
         prev.map((it) => {
           if (it.id !== dragItemIdRef.current) return it;
           const s = it.settings;
-          const minX = -250;
-          const maxX = 250 - s.width;
+          const minX = -halfBedMm;
+          const maxX = halfBedMm - s.width;
           const minY = 0;
-          const maxY = Math.max(0, BED_HEIGHT_MM - s.height);
+          const maxY = Math.max(0, bedHeightMm - s.height);
           return {
             ...it,
             settings: {
@@ -532,8 +667,8 @@ export default function LaserDotEngraver({ uploadFolder = 'laser' }) {
           <div
             id="ldot-bed"
             style={{
-              width: `${BED_WIDTH_MM * view.scale}px`,
-              height: `${BED_HEIGHT_MM * view.scale}px`,
+              width: `${bedWidthMm * view.scale}px`,
+              height: `${bedHeightMm * view.scale}px`,
               backgroundColor: 'rgba(232,232,232,0.95)',
               boxShadow: '0 10px 30px rgba(0,0,0,0.4)',
               position: 'absolute',
@@ -550,9 +685,9 @@ export default function LaserDotEngraver({ uploadFolder = 'laser' }) {
           >
             <div style={{ position: 'absolute', top: 0, bottom: 0, left: '50%', width: 0, borderLeft: '2px solid #e74c3c', zIndex: 0, pointerEvents: 'none' }} />
             <div style={{ position: 'absolute', bottom: 0, left: 0, right: 0, height: 0, borderBottom: '2px solid #2ecc71', zIndex: 0, pointerEvents: 'none' }} />
-            <div style={{ position: 'absolute', left: 4, bottom: 4, fontSize: 10, color: '#666', pointerEvents: 'none' }}>-250,0</div>
+            <div style={{ position: 'absolute', left: 4, bottom: 4, fontSize: 10, color: '#666', pointerEvents: 'none' }}>{-halfBedMm},0</div>
             <div style={{ position: 'absolute', left: '50%', bottom: 4, transform: 'translateX(-50%)', fontSize: 10, color: '#666', pointerEvents: 'none' }}>0,0</div>
-            <div style={{ position: 'absolute', right: 4, bottom: 4, fontSize: 10, color: '#666', pointerEvents: 'none' }}>250,0</div>
+            <div style={{ position: 'absolute', right: 4, bottom: 4, fontSize: 10, color: '#666', pointerEvents: 'none' }}>{halfBedMm},0</div>
 
             {items.map((item) => (
               <DotPreview
@@ -560,6 +695,8 @@ export default function LaserDotEngraver({ uploadFolder = 'laser' }) {
                 item={item}
                 scale={view.scale}
                 isSelected={activeId === item.id}
+                bedWidthMm={bedWidthMm}
+                bedHeightMm={bedHeightMm}
               />
             ))}
 
@@ -603,33 +740,51 @@ export default function LaserDotEngraver({ uploadFolder = 'laser' }) {
             {showGcodeDialog && lastGeneratedGcode && (
               <div
                 style={{ position: 'fixed', inset: 0, zIndex: 9999, display: 'flex', alignItems: 'center', justifyContent: 'center', background: 'rgba(0,0,0,0.5)', padding: 20 }}
-                onClick={(e) => { if (e.target === e.currentTarget) setShowGcodeDialog(false); }}
+                onClick={(e) => { if (e.target === e.currentTarget && !isSending) setShowGcodeDialog(false); }}
               >
                 <div
                   style={{ background: 'var(--card-bg, #1a1a2e)', borderRadius: 12, padding: 24, maxWidth: 360, width: '100%', boxShadow: '0 8px 32px rgba(0,0,0,0.4)', border: '1px solid rgba(255,255,255,0.1)' }}
                   onClick={(e) => e.stopPropagation()}
                 >
-                  <div style={{ fontSize: 16, fontWeight: 600, marginBottom: 8 }}>G-code ready</div>
-                  <div style={{ fontSize: 13, color: 'var(--text-muted)', marginBottom: 20 }}>What would you like to do?</div>
+                  <div style={{ fontSize: 16, fontWeight: 600, marginBottom: 8 }}>{t('gcodeReady')}</div>
+                  <div style={{ fontSize: 13, color: 'var(--text-muted)', marginBottom: 20 }}>{t('whatNext')}</div>
+                  {uploadProgress && (
+                    <div style={{ marginBottom: 16 }}>
+                      <div style={{ height: 6, borderRadius: 3, background: 'rgba(255,255,255,0.1)', overflow: 'hidden' }}>
+                        <div style={{ width: `${uploadPercent}%`, height: '100%', background: 'var(--accent)', transition: 'width 0.2s' }} />
+                      </div>
+                      <div style={{ fontSize: 12, color: 'var(--text-muted)', marginTop: 6 }}>{t('uploadProgress', { percent: uploadPercent })}</div>
+                    </div>
+                  )}
                   <div style={{ display: 'flex', flexDirection: 'column', gap: 10 }}>
                     <button type="button" className="ldot-full-width-btn" onClick={handleDownloadGcode}>
-                      Download
+                      {t('download')}
+                    </button>
+                    <button
+                      type="button"
+                      className="ldot-full-width-btn"
+                      onClick={() => handleSendToDevice()}
+                      disabled={connectionStatus !== 'connected' || isSending}
+                      style={{ opacity: connectionStatus === 'connected' ? 1 : 0.7 }}
+                    >
+                      {isSending ? t('sending') : t('sendToDevice')}
                     </button>
                     <button
                       type="button"
                       className="ldot-full-width-btn"
-                      onClick={handleSendToDevice}
+                      onClick={() => handleSendToDevice(true)}
                       disabled={connectionStatus !== 'connected' || isSending}
                       style={{ opacity: connectionStatus === 'connected' ? 1 : 0.7 }}
                     >
-                      {isSending ? 'SENDING...' : 'Send to device'}
+                      {isSending ? t('sending') : t('uploadAndRun')}
                     </button>
                     <button
                       type="button"
-                      onClick={() => setShowGcodeDialog(false)}
+                      onClick={() => (isSending ? uploadAbortRef.current?.abort() : setShowGcodeDialog(false))}
+                      disabled={isSending && !uploadProgress}
                       style={{ background: 'none', border: '1px solid rgba(255,255,255,0.2)', color: 'var(--text-muted)', padding: '10px 16px', borderRadius: 8, cursor: 'pointer', fontSize: 13 }}
                     >
-                      Cancel
+                      {isSending ? t('cancelUpload') : t('cancel')}
                     </button>
                   </div>
                 </div>
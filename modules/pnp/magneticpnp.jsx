@@ -1,18 +1,66 @@
-import React, { useState, useRef, useEffect, useCallback } from 'react';
-import './PNP.css';
+import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
+import './magneticpnp.css';
 import { v4 as uuidv4 } from 'uuid';
-import { useConnection } from '../context/ConnectionContext';
-import { uploadGcodeFile } from '../api/gcodeUploader';
+import { useConnection } from '../../frontend/src/components/context/ConnectionContext';
+import { uploadGcodeFile } from '../../frontend/src/components/api/gcodeUploader';
+import {
+    createLifecycle, createSession, makeTranslator, resolveDeviceProfile, toStoredPath, uploadGcode, uploadReportsProgress,
+} from './moduleKit.js';
 
 const PALETTE_BLOCKS = [
     { type: 'motion', label: 'Move to Point', icon: '✥' },
     { type: 'vacuum', label: 'Pick & Place ', icon: '◎' },
 ];
 
-function MagneticPNP() {
+/**
+ * Dialog text. The host passes the operator's language from the module's catalog
+ * (i18n.messages_url in modules.json) as the messages prop; missing keys fall back to these.
+ */
+const MESSAGES = {
+    simulationDone: 'Simulation completed!',
+    workspaceEmptySimulate: 'Workspace empty! Please add blocks before simulating.',
+    notConnected: 'Not connected to ESP. Please connect first.',
+    simulationRunning: 'Simulation already in progress!',
+    nothingToSimulate: 'No G-code to simulate!',
+    workspaceEmptyDownload: 'Workspace empty! Please add blocks before downloading.',
+    savedToPc: 'G-Code saved to PC successfully!\n\n{count} block(s) processed.',
+    noBaseUrl: 'ESP device information (base URL) not available.',
+    nothingToSend: 'No G-code to send. Please add blocks to the workspace.',
+    sent: 'G-Code sent to device successfully!',
+    sendFailed: 'Failed to send G-Code to device: {error}',
+    downloadTitle: 'Download G-Code',
+    chooseHowToProceed: 'Choose how you want to proceed:',
+    saveToPc: 'Save to PC',
+    sendToDevice: 'Send to Device',
+    sending: 'Sending…',
+    uploadProgress: 'Uploading… {percent}%',
+    cancelUpload: 'Cancel upload',
+    uploadCancelled: 'Upload cancelled. Nothing was started on the device.',
+};
+
+/**
+ * Module lifecycle (modules.json "lifecycle": 1; see createLifecycle in moduleKit.js). The mounted page keeps
+ * `session` current: dirty while blocks have not been saved or sent since their last change, busy while
+ * simulating or sending, state is the workspace, and stop() ends a running simulation (the workspace is kept).
+ */
+const session = createSession();
+
+export const lifecycle = createLifecycle(session, () => ({
+    simulate: true,
+    saveToPc: true,
+    sendToDevice: true,
+    uploadAndRun: false,
+    restoreState: true,
+}));
+
+/** uploadFolder and deviceProfile come from the module's manifest config; messages is the operator's dialog text (see MESSAGES). */
+function MagneticPNP({ uploadFolder = 'pick&place', deviceProfile, messages }) {
+    const t = useMemo(() => makeTranslator(MESSAGES, messages), [messages]);
     const [simulationCount, setSimulationCount] = useState(1);
     const { connectionStatus, sendWebSocketMessage, espInfo } = useConnection();
     const [workspaceBlocks, setWorkspaceBlocks] = useState([]);
+    /** Blocks as last saved to PC or uploaded; anything else is unsaved work. */
+    const [savedBlocks, setSavedBlocks] = useState(workspaceBlocks);
     const [modalOpen, setModalOpen] = useState(false);
     const [activeBlock, setActiveBlock] = useState(null);
     const [tempState, setTempState] = useState({});
@@ -29,6 +77,10 @@ function MagneticPNP() {
     const [showDownloadOptions, setShowDownloadOptions] = useState(false);
     const [positionFetched, setPositionFetched] = useState(false);
     const [isSimulating, setIsSimulating] = useState(false);
+    const [isSendingToDevice, setIsSendingToDevice] = useState(false);
+    /** { sent, total } while sendToDevice.js uploads; uploadAbortRef cancels that upload. */
+    const [uploadProgress, setUploadProgress] = useState(null);
+    const uploadAbortRef = useRef(null);
 
     const extensionPopupRef = useRef(null);
     const extensionHeaderRef = useRef(null);
@@ -199,7 +251,7 @@ function MagneticPNP() {
             currentGcodeIndexRef.current = 0;
             waitingForOkRef.current = false;
             setHighlightedBlockId(null);
-            alert("Simulation completed!");
+            alert(t('simulationDone'));
             return;
         }
 
@@ -223,7 +275,7 @@ function MagneticPNP() {
                 setHighlightedBlockId(workspaceBlocks[blockIndex].id);
             }
         }
-    }, [workspaceBlocks]);
+    }, [workspaceBlocks, t]);
 
     // Handle ok response and send next line
     const handleOkResponse = useCallback(() => {
@@ -239,20 +291,56 @@ function MagneticPNP() {
         }, 50);
     }, [sendNextGcodeLine]);
 
+    const stopSimulation = useCallback(() => {
+        isSimulatingRef.current = false;
+        waitingForOkRef.current = false;
+        gcodeQueueRef.current = [];
+        currentGcodeIndexRef.current = 0;
+        setIsSimulating(false);
+        setHighlightedBlockId(null);
+    }, []);
+
+    // Hand the lifecycle session this page's restore and stop hooks
+    useEffect(() => {
+        session.restore = (state) => {
+            if (!state || !Array.isArray(state.blocks)) return;
+            setWorkspaceBlocks(state.blocks);
+            setSavedBlocks(state.unsaved ? null : state.blocks);
+            if (Number.isInteger(state.simulationCount) && state.simulationCount > 0) setSimulationCount(state.simulationCount);
+        };
+        session.stop = stopSimulation;
+        if (session.pendingState) {
+            session.restore(session.pendingState);
+            session.pendingState = null;
+        }
+        return () => {
+            session.restore = null;
+            session.stop = null;
+            session.dirty = false;
+            session.busy = false;
+        };
+    }, [stopSimulation]);
+
+    useEffect(() => {
+        session.dirty = workspaceBlocks.length > 0 && workspaceBlocks !== savedBlocks;
+        session.busy = isSimulating || isSendingToDevice;
+        session.state = { blocks: workspaceBlocks, simulationCount, unsaved: session.dirty };
+    }, [workspaceBlocks, savedBlocks, simulationCount, isSimulating, isSendingToDevice]);
+
     // Simulate function - sends G-code line by line waiting for ok
     const handleSimulate = () => {
         if (workspaceBlocks.length === 0) {
-            alert("Workspace empty! Please add blocks before simulating.");
+            alert(t('workspaceEmptySimulate'));
             return;
         }
 
         if (connectionStatus !== 'connected') {
-            alert("Not connected to ESP. Please connect first.");
+            alert(t('notConnected'));
             return;
         }
 
         if (isSimulating) {
-            alert("Simulation already in progress!");
+            alert(t('simulationRunning'));
             return;
         }
 
@@ -263,7 +351,7 @@ function MagneticPNP() {
             .filter(line => line.length > 0 && !line.startsWith('type:')); // Filter out empty lines and type prefix
 
         if (lines.length === 0) {
-            alert("No G-code to simulate!");
+            alert(t('nothingToSimulate'));
             return;
         }
 
@@ -285,7 +373,7 @@ function MagneticPNP() {
 
     const handleDownloadGcode = () => {
         if (workspaceBlocks.length === 0) {
-            alert("Workspace empty! Please add blocks before downloading.");
+            alert(t('workspaceEmptyDownload'));
             return;
         }
         setShowDownloadOptions(true);
@@ -305,42 +393,73 @@ function MagneticPNP() {
         document.body.removeChild(link);
         URL.revokeObjectURL(url);
 
+        setSavedBlocks(workspaceBlocks);
         setShowDownloadOptions(false);
-        alert(`G-Code saved to PC successfully!\n\n${workspaceBlocks.length} block(s) processed.`);
+        alert(t('savedToPc', { count: workspaceBlocks.length }));
     };
 
     const handleSendToDevice = async () => {
-        setShowDownloadOptions(false);
-
         if (connectionStatus !== 'connected') {
-            alert("Not connected to ESP. Please connect first.");
+            alert(t('notConnected'));
             return;
         }
 
         if (!espInfo || !espInfo.baseUrl) {
-            alert("ESP device information (base URL) not available.");
+            alert(t('noBaseUrl'));
             return;
         }
 
         const gcodeContent = generateGcode();
         if (!gcodeContent || workspaceBlocks.length === 0) {
-            alert("No G-code to send. Please add blocks to the workspace.");
+            alert(t('nothingToSend'));
             return;
         }
 
-        // Create a File object from the G-code string
-        const blob = new Blob([gcodeContent], { type: 'text/plain' });
-        const gcodeFile = new File([blob], `pickandplace_${Date.now()}.gcode`, { type: 'text/plain' });
-
+        /** The dialog stays open and busy until the upload ends; with deviceProfile "auto" the profile lookup may wait on the device's /info. */
+        setIsSendingToDevice(true);
         try {
-            await uploadGcodeFile(espInfo.baseUrl, gcodeFile, 'pick&place');
-            alert("G-Code sent to device successfully!");
+            const profile = await resolveDeviceProfile(espInfo.baseUrl, deviceProfile);
+            const stored = toStoredPath(uploadFolder, `pickandplace_${Date.now()}.gcode`, profile);
+            if (!stored.ok) {
+                alert(stored.message);
+                return;
+            }
+
+            /** With sendToDevice.js the dialog shows a progress bar and a button that stops the upload. */
+            const controller = uploadReportsProgress() ? new AbortController() : null;
+            uploadAbortRef.current = controller;
+            if (controller) setUploadProgress({ sent: 0, total: 0 });
+            const upload = await uploadGcode(espInfo.baseUrl, gcodeContent, stored, {
+                upload: uploadGcodeFile,
+                deviceProfile: profile,
+                onProgress: (sent, total) => setUploadProgress({ sent, total }),
+                signal: controller?.signal,
+            });
+            if (upload.aborted) {
+                alert(t('uploadCancelled'));
+                return;
+            }
+            if (!upload.ok) {
+                alert(t('sendFailed', { error: upload.message }));
+                return;
+            }
+            setSavedBlocks(workspaceBlocks);
+            setShowDownloadOptions(false);
+            alert(t('sent'));
         } catch (error) {
             console.error("Failed to send G-Code to device:", error);
-            alert(`Failed to send G-Code to device: ${error.message || error}`);
+            alert(t('sendFailed', { error: error.message || error }));
+        } finally {
+            uploadAbortRef.current = null;
+            setUploadProgress(null);
+            setIsSendingToDevice(false);
         }
     };
 
+    const uploadPercent = uploadProgress && uploadProgress.total > 0
+        ? Math.round((uploadProgress.sent / uploadProgress.total) * 100)
+        : 0;
+
     // Popup drag handlers
     const handlePopupMouseDown = (e) => {
         if (!popupRef.current || !popupHeaderRef.current) return;
@@ -988,29 +1107,46 @@ const modalTitle = activeBlock ?
 
                 {/* Download Options Modal */}
                 {showDownloadOptions && (
-                    <div id="modal-overlay" onClick={() => setShowDownloadOptions(false)}>
+                    <div id="modal-overlay" onClick={() => !isSendingToDevice && setShowDownloadOptions(false)}>
                         <div className="download-options-modal" onClick={(e) => e.stopPropagation()}>
-                            <h3 className="download-options-header">Download G-Code</h3>
+                            <h3 className="download-options-header">{t('downloadTitle')}</h3>
                             <div className="download-options-content">
-                                <p>Choose how you want to proceed:</p>
+                                <p>{t('chooseHowToProceed')}</p>
                                 <div className="download-options-buttons">
                                     <button
                                         className="download-option-btn save-pc-btn"
                                         onClick={handleSaveToPC}
+                                        disabled={isSendingToDevice}
                                     >
-                                        Save to PC
+                                        {t('saveToPc')}
                                     </button>
                                     <button
                                         className="download-option-btn send-device-btn"
                                         onClick={handleSendToDevice}
+                                        disabled={isSendingToDevice}
                                     >
-                                        Send to Device
+                                        {isSendingToDevice ? t('sending') : t('sendToDevice')}
                                     </button>
                                 </div>
+                                {uploadProgress && (
+                                    <div className="download-options-progress">
+                                        <div className="download-options-progress-track">
+                                            <div className="download-options-progress-bar" style={{ width: `${uploadPercent}%` }} />
+                                        </div>
+                                        <div className="download-options-progress-text">{t('uploadProgress', { percent: uploadPercent })}</div>
+                                        <button
+                                            className="download-option-btn cancel-upload-btn"
+                                            onClick={() => uploadAbortRef.current?.abort()}
+                                        >
+                                            {t('cancelUpload')}
+                                        </button>
+                                    </div>
+                                )}
                             </div>
                             <button
                                 className="download-options-close"
                                 onClick={() => setShowDownloadOptions(false)}
+                                disabled={isSendingToDevice}
                             >
                                 ×
                             </button>
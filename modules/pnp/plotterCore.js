@@ -0,0 +1,1313 @@
+/**
+ * plotterCore.js — The Vector Plotter's drawing pipeline, without React: SVG paths to segments,
+ * placement on the bed, travel ordering, tool paths, hatch fill and G-code.
+ *
+ * Plotter.jsx imports it by relative path, and scripts/publish-module.js ships it in the release
+ * folder next to the component (the release's "imports"). The tests import it directly.
+ *
+ * Segments are { type: 'line' | 'arc' | 'curve', p1, p2, params, d, motion } in bed mm,
+ * with motion the item's tool, feeds, pen heights and passes (see placeItem).
+ */
+
+// SVG arc (endpoint param) -> center param. Returns { cx, cy, clockwise } for circular arc, or null if line/degenerate.
+// phi in degrees; fA = large-arc, fS = sweep (0=CW, 1=CCW). For G-code: G2=CW, G3=CCW.
+function svgArcToCenter(x1, y1, x2, y2, rx, ry, phiDeg, fA, fS) {
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  if (rx < 1e-9 || ry < 1e-9) return null;
+  const phi = (phiDeg * Math.PI) / 180;
+  const cosPhi = Math.cos(phi);
+  const sinPhi = Math.sin(phi);
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cosPhi * dx + sinPhi * dy;
+  const y1p = -sinPhi * dx + cosPhi * dy;
+  let lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    const s = Math.sqrt(lambda);
+    rx *= s;
+    ry *= s;
+  }
+  const sq = (rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p) / (rx * rx * y1p * y1p + ry * ry * x1p * x1p);
+  if (sq < 0) return null;
+  const coef = (fA !== fS ? 1 : -1) * Math.sqrt(Math.max(0, sq));
+  const cxp = coef * (rx * y1p / ry);
+  const cyp = coef * (-ry * x1p / rx);
+  const cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+  const cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+  const clockwise = fS === 0;
+  return { cx, cy, clockwise, rx, ry };
+}
+
+// Adaptive Bezier subdivision tolerance (path units; ~0.05mm for smooth curves)
+export const BEZIER_FLATNESS_TOLERANCE = 0.05;
+
+// Option B: Detect when 4 cubic Bezier segments form a circle. Returns { cx, cy, r, clockwise } or null.
+function fitCircleFrom4Points(A, B, C, D) {
+  const tol = 0.05; // 5% radius tolerance (design tools often approximate circles)
+  const angleTol = (25 * Math.PI) / 180; // ~25° for 90° spacing
+  const midAB = { x: (A.x + B.x) / 2, y: (A.y + B.y) / 2 };
+  const midBC = { x: (B.x + C.x) / 2, y: (B.y + C.y) / 2 };
+  const perpAB = { x: A.y - B.y, y: B.x - A.x };
+  const perpBC = { x: B.y - C.y, y: C.x - B.x };
+  const dmx = midBC.x - midAB.x;
+  const dmy = midBC.y - midAB.y;
+  const denom = perpAB.x * perpBC.y - perpAB.y * perpBC.x;
+  if (Math.abs(denom) < 1e-12) return null;
+  const t = (dmx * perpBC.y - dmy * perpBC.x) / denom;
+  const cx = midAB.x + t * perpAB.x;
+  const cy = midAB.y + t * perpAB.y;
+  const r = Math.hypot(A.x - cx, A.y - cy);
+  if (r < 1e-9) return null;
+  const rB = Math.hypot(B.x - cx, B.y - cy);
+  const rC = Math.hypot(C.x - cx, C.y - cy);
+  const rD = Math.hypot(D.x - cx, D.y - cy);
+  if (Math.abs(rB - r) / r > tol || Math.abs(rC - r) / r > tol || Math.abs(rD - r) / r > tol) return null;
+  const angle = (px, py) => Math.atan2(py - cy, px - cx);
+  const a0 = angle(A.x, A.y);
+  const a1 = angle(B.x, B.y);
+  const a2 = angle(C.x, C.y);
+  const a3 = angle(D.x, D.y);
+  const angles = [a0, a1, a2, a3].sort((u, v) => u - v);
+  for (let i = 0; i < 4; i++) {
+    const diff = i < 3 ? angles[i + 1] - angles[i] : 2 * Math.PI - (angles[3] - angles[0]);
+    if (Math.abs(diff - Math.PI / 2) > angleTol) return null;
+  }
+  const cross = (B.x - A.x) * (C.y - B.y) - (B.y - A.y) * (C.x - B.x);
+  const clockwise = cross > 0;
+  return { cx, cy, r, clockwise };
+}
+
+// Cubic Bezier at t: P0,P1,P2,P3
+function cubicAt(t, P0, P1, P2, P3) {
+  const u = 1 - t;
+  const u2 = u * u, u3 = u2 * u;
+  const t2 = t * t, t3 = t2 * t;
+  return {
+    x: u3 * P0.x + 3 * u2 * t * P1.x + 3 * u * t2 * P2.x + t3 * P3.x,
+    y: u3 * P0.y + 3 * u2 * t * P1.y + 3 * u * t2 * P2.y + t3 * P3.y,
+  };
+}
+
+// Quadratic Bezier at t: P0,P1,P2
+function quadAt(t, P0, P1, P2) {
+  const u = 1 - t;
+  const u2 = u * u;
+  const t2 = t * t;
+  return {
+    x: u2 * P0.x + 2 * u * t * P1.x + t2 * P2.x,
+    y: u2 * P0.y + 2 * u * t * P1.y + t2 * P2.y,
+  };
+}
+
+// Distance from point to line segment (P0-P1)
+function pointToLineDist(px, py, x0, y0, x1, y1) {
+  const dx = x1 - x0, dy = y1 - y0;
+  const len = Math.hypot(dx, dy) || 1e-10;
+  const t = Math.max(0, Math.min(1, ((px - x0) * dx + (py - y0) * dy) / (len * len)));
+  const projX = x0 + t * dx, projY = y0 + t * dy;
+  return Math.hypot(px - projX, py - projY);
+}
+
+// Recursive subdivision: cubic Bezier (de Casteljau at t=0.5) until flatness < tolerance.
+export function adaptiveCubic(P0, P1, P2, P3, tolerance, out) {
+  const d1 = pointToLineDist(P1.x, P1.y, P0.x, P0.y, P3.x, P3.y);
+  const d2 = pointToLineDist(P2.x, P2.y, P0.x, P0.y, P3.x, P3.y);
+  if (d1 <= tolerance && d2 <= tolerance) {
+    out.push(P3);
+    return;
+  }
+  const L1 = { x: (P0.x + P1.x) / 2, y: (P0.y + P1.y) / 2 };
+  const H = { x: (P1.x + P2.x) / 2, y: (P1.y + P2.y) / 2 };
+  const R2 = { x: (P2.x + P3.x) / 2, y: (P2.y + P3.y) / 2 };
+  const L2 = { x: (L1.x + H.x) / 2, y: (L1.y + H.y) / 2 };
+  const R1 = { x: (H.x + R2.x) / 2, y: (H.y + R2.y) / 2 };
+  const M = { x: (L2.x + R1.x) / 2, y: (L2.y + R1.y) / 2 };
+  adaptiveCubic(P0, L1, L2, M, tolerance, out);
+  adaptiveCubic(M, R1, R2, P3, tolerance, out);
+}
+
+// Recursive subdivision: quadratic Bezier until flatness < tolerance.
+export function adaptiveQuad(P0, P1, P2, tolerance, out) {
+  const d = pointToLineDist(P1.x, P1.y, P0.x, P0.y, P2.x, P2.y);
+  if (d <= tolerance) {
+    out.push(P2);
+    return;
+  }
+  const M = quadAt(0.5, P0, P1, P2);
+  const L1 = { x: (P0.x + P1.x) / 2, y: (P0.y + P1.y) / 2 };
+  const R1 = { x: (P1.x + P2.x) / 2, y: (P1.y + P2.y) / 2 };
+  const L2 = { x: (L1.x + R1.x) / 2, y: (L1.y + R1.y) / 2 };
+  adaptiveQuad(P0, L1, L2, tolerance, out);
+  adaptiveQuad(L2, R1, P2, tolerance, out);
+}
+
+// --- GCode (ggcode-style) arc fitting helpers ---
+function distPt(p1, p2) {
+  return Math.hypot(p1.x - p2.x, p1.y - p2.y);
+}
+function pointAtCubic(t, p0, p1, p2, p3) {
+  const mt = 1 - t;
+  const mt2 = mt * mt;
+  const mt3 = mt2 * mt;
+  const t2 = t * t;
+  const t3 = t2 * t;
+  return {
+    x: mt3 * p0.x + 3 * mt2 * t * p1.x + 3 * mt * t2 * p2.x + t3 * p3.x,
+    y: mt3 * p0.y + 3 * mt2 * t * p1.y + 3 * mt * t2 * p2.y + t3 * p3.y,
+  };
+}
+function fitCircle3Points(a, b, c) {
+  const midAB = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  const dyAB = b.y - a.y;
+  const dxAB = b.x - a.x;
+  const midBC = { x: (b.x + c.x) / 2, y: (b.y + c.y) / 2 };
+  const dyBC = c.y - b.y;
+  const dxBC = c.x - b.x;
+  const det = dxAB * dyBC - dyAB * dxBC;
+  if (Math.abs(det) < 1e-6) return null;
+  const C1 = midAB.x * dxAB + midAB.y * dyAB;
+  const C2 = midBC.x * dxBC + midBC.y * dyBC;
+  const cx = (C1 * dyBC - C2 * dyAB) / det;
+  const cy = (dxAB * C2 - dxBC * C1) / det;
+  const center = { x: cx, y: cy };
+  const r = distPt(center, a);
+  const cross = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+  return { center, r, cw: cross < 0 };
+}
+function splitCubic(p0, p1, p2, p3, t) {
+  const lerp = (a, b, s) => ({ x: a.x + (b.x - a.x) * s, y: a.y + (b.y - a.y) * s });
+  const p01 = lerp(p0, p1, t);
+  const p12 = lerp(p1, p2, t);
+  const p23 = lerp(p2, p3, t);
+  const p012 = lerp(p01, p12, t);
+  const p123 = lerp(p12, p23, t);
+  const p0123 = lerp(p012, p123, t);
+  return { left: [p0, p01, p012, p0123], right: [p0123, p123, p23, p3] };
+}
+// SVG endpoint arc to center (circular arc: rx=ry, rot unused for center).
+export function findCenterArc(x1, y1, x2, y2, r, large, sweep) {
+  const dx2 = (x1 - x2) / 2;
+  const dy2 = (y1 - y2) / 2;
+  const x1p = dx2;
+  const y1p = dy2;
+  const denom = r * r * x1p * x1p + r * r * y1p * y1p;
+  if (denom < 1e-12) return { x: (x1 + x2) / 2, y: (y1 + y2) / 2 };
+  let val = (r * r * r * r - r * r * x1p * x1p - r * r * y1p * y1p) / denom;
+  val = Math.max(0, val);
+  let coef = Math.sqrt(val);
+  if (large === sweep) coef = -coef;
+  const cxp = coef * (r * y1p / r);
+  const cyp = coef * (-(r * x1p) / r);
+  return { x: cxp + (x1 + x2) / 2, y: cyp + (y1 + y2) / 2 };
+}
+function fitArcsToCubic(p0, p1, p2, p3, tolerance, depth) {
+  if (depth > 6) return [{ type: 'line', start: p0, end: p3 }];
+  const mid = pointAtCubic(0.5, p0, p1, p2, p3);
+  const arc = fitCircle3Points(p0, mid, p3);
+  let maxErr = Infinity;
+  if (arc && arc.r < 10000) {
+    const pt1 = pointAtCubic(0.25, p0, p1, p2, p3);
+    const pt2 = pointAtCubic(0.75, p0, p1, p2, p3);
+    maxErr = Math.max(
+      Math.abs(distPt(pt1, arc.center) - arc.r),
+      Math.abs(distPt(pt2, arc.center) - arc.r)
+    );
+  } else if (!arc) {
+    return [{ type: 'line', start: p0, end: p3 }];
+  }
+  if (maxErr < tolerance && arc) {
+    return [{ type: 'arc', start: p0, end: p3, center: arc.center, cw: arc.cw }];
+  }
+  const split = splitCubic(p0, p1, p2, p3, 0.5);
+  return [
+    ...fitArcsToCubic(split.left[0], split.left[1], split.left[2], split.left[3], tolerance, depth + 1),
+    ...fitArcsToCubic(split.right[0], split.right[1], split.right[2], split.right[3], tolerance, depth + 1),
+  ];
+}
+
+// GGcode-style: explode path "d" into segments { type: 'arc'|'line'|'curve', d?, p1, p2, params }. applyCtm transforms points.
+export function explodePathToSegments(d, applyCtm) {
+  const out = [];
+  const pt = (x, y) => applyCtm({ x, y });
+  const commandPattern = /([a-zA-Z])([^a-zA-Z]*)/g;
+  let match;
+  let currentX = 0;
+  let currentY = 0;
+  let startX = 0;
+  let startY = 0;
+  let lastControlX = 0;
+  let lastControlY = 0;
+  let lastCmdWasCurve = false;
+  const updateCurrent = (x, y) => {
+    currentX = x;
+    currentY = y;
+  };
+  while ((match = commandPattern.exec(d)) !== null) {
+    const command = match[1];
+    const args = match[2].trim().match(/-?[\d.]+(?:e-?\d+)?/g)?.map(parseFloat) || [];
+    const lowerCmd = command.toLowerCase();
+    const isRelative = command === lowerCmd;
+    let isCurveBlock = false;
+    switch (lowerCmd) {
+      case 'm':
+        if (args.length >= 2) {
+          currentX = isRelative ? currentX + args[0] : args[0];
+          currentY = isRelative ? currentY + args[1] : args[1];
+          startX = currentX;
+          startY = currentY;
+          for (let i = 2; i < args.length; i += 2) {
+            const nx = isRelative ? currentX + args[i] : args[i];
+            const ny = isRelative ? currentY + args[i + 1] : args[i + 1];
+            out.push({ type: 'line', d: `M${currentX},${currentY} L${nx},${ny}`, p1: pt(currentX, currentY), p2: pt(nx, ny), params: {} });
+            updateCurrent(nx, ny);
+          }
+        }
+        break;
+      case 'l':
+        for (let i = 0; i < args.length; i += 2) {
+          const nx = isRelative ? currentX + args[i] : args[i];
+          const ny = isRelative ? currentY + args[i + 1] : args[i + 1];
+          out.push({ type: 'line', d: `M${currentX},${currentY} L${nx},${ny}`, p1: pt(currentX, currentY), p2: pt(nx, ny), params: {} });
+          updateCurrent(nx, ny);
+        }
+        break;
+      case 'h':
+        for (let i = 0; i < args.length; i++) {
+          const nx = isRelative ? currentX + args[i] : args[i];
+          out.push({ type: 'line', d: `M${currentX},${currentY} L${nx},${currentY}`, p1: pt(currentX, currentY), p2: pt(nx, currentY), params: {} });
+          updateCurrent(nx, currentY);
+        }
+        break;
+      case 'v':
+        for (let i = 0; i < args.length; i++) {
+          const ny = isRelative ? currentY + args[i] : args[i];
+          out.push({ type: 'line', d: `M${currentX},${currentY} L${currentX},${ny}`, p1: pt(currentX, currentY), p2: pt(currentX, ny), params: {} });
+          updateCurrent(currentX, ny);
+        }
+        break;
+      case 'z':
+        if (currentX !== startX || currentY !== startY) {
+          out.push({ type: 'line', d: `M${currentX},${currentY} L${startX},${startY}`, p1: pt(currentX, currentY), p2: pt(startX, startY), params: {} });
+        }
+        updateCurrent(startX, startY);
+        break;
+      case 'c':
+      case 's': {
+        let i = 0;
+        while (i < args.length) {
+          let x1, y1, x2, y2, x, y;
+          if (lowerCmd === 'c') {
+            x1 = isRelative ? currentX + args[i] : args[i];
+            y1 = isRelative ? currentY + args[i + 1] : args[i + 1];
+            x2 = isRelative ? currentX + args[i + 2] : args[i + 2];
+            y2 = isRelative ? currentY + args[i + 3] : args[i + 3];
+            x = isRelative ? currentX + args[i + 4] : args[i + 4];
+            y = isRelative ? currentY + args[i + 5] : args[i + 5];
+            i += 6;
+          } else {
+            x1 = lastCmdWasCurve ? 2 * currentX - lastControlX : currentX;
+            y1 = lastCmdWasCurve ? 2 * currentY - lastControlY : currentY;
+            x2 = isRelative ? currentX + args[i] : args[i];
+            y2 = isRelative ? currentY + args[i + 1] : args[i + 1];
+            x = isRelative ? currentX + args[i + 2] : args[i + 2];
+            y = isRelative ? currentY + args[i + 3] : args[i + 3];
+            i += 4;
+          }
+          const start = pt(currentX, currentY);
+          const end = pt(x, y);
+          out.push({
+            type: 'curve',
+            d: `M${currentX},${currentY} C${x1},${y1} ${x2},${y2} ${x},${y}`,
+            p1: start,
+            p2: end,
+            params: { type: 'cubic', x1, y1, x2, y2, x, y },
+          });
+          lastControlX = x2;
+          lastControlY = y2;
+          lastCmdWasCurve = true;
+          isCurveBlock = true;
+          updateCurrent(x, y);
+        }
+        break;
+      }
+      case 'q':
+      case 't': {
+        let j = 0;
+        while (j < args.length) {
+          let x1, y1, x, y;
+          if (lowerCmd === 'q') {
+            x1 = isRelative ? currentX + args[j] : args[j];
+            y1 = isRelative ? currentY + args[j + 1] : args[j + 1];
+            x = isRelative ? currentX + args[j + 2] : args[j + 2];
+            y = isRelative ? currentY + args[j + 3] : args[j + 3];
+            j += 4;
+          } else {
+            x1 = lastCmdWasCurve ? 2 * currentX - lastControlX : currentX;
+            y1 = lastCmdWasCurve ? 2 * currentY - lastControlY : currentY;
+            x = isRelative ? currentX + args[j] : args[j];
+            y = isRelative ? currentY + args[j + 1] : args[j + 1];
+            j += 2;
+          }
+          out.push({
+            type: 'curve',
+            d: `M${currentX},${currentY} Q${x1},${y1} ${x},${y}`,
+            p1: pt(currentX, currentY),
+            p2: pt(x, y),
+            params: { type: 'quadratic', x1, y1, x, y },
+          });
+          lastControlX = x1;
+          lastControlY = y1;
+          lastCmdWasCurve = true;
+          isCurveBlock = true;
+          updateCurrent(x, y);
+        }
+        break;
+      }
+      case 'a':
+        for (let k = 0; k < args.length; k += 7) {
+          const rx = args[k];
+          const ry = args[k + 1];
+          const rot = args[k + 2];
+          const large = args[k + 3];
+          const sweep = args[k + 4];
+          const x = isRelative ? currentX + args[k + 5] : args[k + 5];
+          const y = isRelative ? currentY + args[k + 6] : args[k + 6];
+          out.push({
+            type: 'arc',
+            d: `M${currentX},${currentY} A${rx} ${ry} ${rot} ${large} ${sweep} ${x} ${y}`,
+            p1: pt(currentX, currentY),
+            p2: pt(x, y),
+            params: { rx, ry, rot, large, sweep },
+          });
+          updateCurrent(x, y);
+        }
+        break;
+      default:
+        break;
+    }
+    if (!isCurveBlock) lastCmdWasCurve = false;
+  }
+  return out;
+}
+
+// Laser dwell after switching on, as G4's P word: ms (Marlin) or seconds (GRBL), like the Laser Dot module.
+function dwellWord(ms, unit) {
+  return unit === 's' ? (ms / 1000).toFixed(3) : String(Math.round(ms));
+}
+
+// Whether going from motion a to motion b mid-stroke needs the tool switched off and on again.
+function toolChanges(a, b) {
+  if (a.tool !== b.tool) return true;
+  if (a.tool === 'laser') return a.power !== b.power || a.dynamicPower !== b.dynamicPower;
+  return a.cutZ !== b.cutZ;
+}
+
+// GGcode-style G-code generator: connectivity-aware, arc fitting for curves. Segments: { type, p1, p2, params?, d?, motion? }.
+// seg.motion (one object per item) overrides the arguments for that segment:
+//   { tool: 'pen'|'knife'|'laser', workFeed, travelFeed, safeZ, cutZ, power, dynamicPower, dwellMs, dwellUnit }
+// Pen and knife go down to cutZ and up to safeZ; the laser switches on with M3 (or M4, dynamic power) S<power>
+// and off with M5 and leaves Z alone.
+export function ggcodeGenerateGCode(segments, scale, workFeed, travelFeed, safeZ, cutZ, isLaser) {
+  const code = [];
+  const defaultMotion = {
+    tool: isLaser ? 'laser' : 'pen', workFeed, travelFeed, safeZ, cutZ, power: 1000, dynamicPower: false, dwellMs: 0, dwellUnit: 'ms',
+  };
+  const motionOf = (seg) => seg.motion || defaultMotion;
+  let motion = segments.length ? motionOf(segments[0]) : defaultMotion;
+  const toolOn = (m) => {
+    if (m.tool === 'laser') {
+      code.push(`${m.dynamicPower ? 'M4' : 'M3'} S${m.power}`);
+      if (m.dwellMs > 0) code.push(`G4 P${dwellWord(m.dwellMs, m.dwellUnit)}`);
+    } else {
+      code.push(`G0 Z${m.cutZ} F${m.travelFeed}`);
+    }
+  };
+  // Travel height after `from` is whichever of the two safe heights is higher (the laser has none).
+  const toolOff = (from, to) => {
+    if (from.tool === 'laser') {
+      code.push('M5');
+      if (to.tool !== 'laser') code.push(`G0 Z${to.safeZ} F${to.travelFeed}`);
+    } else {
+      code.push(`G0 Z${to.tool === 'laser' ? from.safeZ : Math.max(from.safeZ, to.safeZ)} F${from.travelFeed}`);
+    }
+  };
+  code.push('; Generated by VectorPlotter Studio (ggcode-style)');
+  if (motion.tool !== 'laser') {
+    code.push(`G0 Z${motion.safeZ} F${motion.travelFeed}`);
+  } else {
+    code.push('M5');
+  }
+  let lastX = null;
+  let lastY = null;
+  let isCutting = false;
+  const fmt = (n) => (typeof n === 'number' ? (n * scale).toFixed(3) : String(n));
+  const ARC_TOLERANCE = Math.max(0.05, 0.1 / scale);
+  const DISCONTINUOUS_MM = 0.05;
+
+  segments.forEach((seg) => {
+    const startX = seg.p1.x;
+    const startY = seg.p1.y;
+    const endX = seg.p2.x;
+    const endY = seg.p2.y;
+    const distToStart = lastX == null ? Infinity : Math.hypot(startX - lastX, startY - lastY);
+    const prev = motion;
+    motion = motionOf(seg);
+    // Another item's tool, pen height or power means switching off and on again, even where the strokes touch.
+    const isDiscontinuous = distToStart > DISCONTINUOUS_MM || (isCutting && toolChanges(prev, motion));
+
+    if (isDiscontinuous) {
+      if (isCutting) {
+        toolOff(prev, motion);
+        isCutting = false;
+      }
+      code.push(`G0 X${fmt(startX)} Y${fmt(startY)} F${motion.travelFeed}`);
+      toolOn(motion);
+      isCutting = true;
+    } else if (!isCutting) {
+      toolOn(motion);
+      isCutting = true;
+    }
+    const workFeed = motion.workFeed;
+
+    if (seg.type === 'line') {
+      code.push(`G1 X${fmt(endX)} Y${fmt(endY)} F${workFeed}`);
+      lastX = endX;
+      lastY = endY;
+    } else if (seg.type === 'arc') {
+      const { rx, ry, large, sweep } = seg.params || {};
+      if (typeof rx !== 'number' || Math.abs(rx - ry) > 0.001) {
+        const tempPath = typeof document !== 'undefined' && document.createElementNS
+          ? document.createElementNS('http://www.w3.org/2000/svg', 'path')
+          : null;
+        if (tempPath && seg.d) {
+          tempPath.setAttribute('d', seg.d);
+          const len = tempPath.getTotalLength();
+          const steps = Math.max(8, Math.ceil(len / 0.5));
+          for (let i = 1; i <= steps; i++) {
+            const p = tempPath.getPointAtLength((i / steps) * len);
+            code.push(`G1 X${fmt(p.x)} Y${fmt(p.y)} F${workFeed}`);
+          }
+        } else {
+          code.push(`G1 X${fmt(endX)} Y${fmt(endY)} F${workFeed}`);
+        }
+        lastX = endX;
+        lastY = endY;
+      } else {
+        const center = findCenterArc(startX, startY, endX, endY, rx, large, sweep);
+        const I = center.x - startX;
+        const J = center.y - startY;
+        // Bed y runs up, so an increasing angle (sweep 1) is counter-clockwise
+        const cmd = sweep === 1 ? 'G3' : 'G2';
+        code.push(`${cmd} X${fmt(endX)} Y${fmt(endY)} I${fmt(I)} J${fmt(J)} F${workFeed}`);
+        lastX = endX;
+        lastY = endY;
+      }
+    } else if (seg.type === 'curve') {
+      let points;
+      if (seg.params?.type === 'quadratic') {
+        const p0 = { x: startX, y: startY };
+        const p1 = { x: seg.params.x1, y: seg.params.y1 };
+        const p2 = { x: endX, y: endY };
+        const cp1 = { x: p0.x + (2 / 3) * (p1.x - p0.x), y: p0.y + (2 / 3) * (p1.y - p0.y) };
+        const cp2 = { x: p2.x + (2 / 3) * (p1.x - p2.x), y: p2.y + (2 / 3) * (p1.y - p2.y) };
+        points = [p0, cp1, cp2, p2];
+      } else {
+        points = [
+          { x: startX, y: startY },
+          { x: seg.params.x1, y: seg.params.y1 },
+          { x: seg.params.x2, y: seg.params.y2 },
+          { x: endX, y: endY },
+        ];
+      }
+      const results = fitArcsToCubic(points[0], points[1], points[2], points[3], ARC_TOLERANCE, 0);
+      results.forEach((item) => {
+        if (item.type === 'line') {
+          code.push(`G1 X${fmt(item.end.x)} Y${fmt(item.end.y)} F${workFeed}`);
+        } else {
+          const I = item.center.x - item.start.x;
+          const J = item.center.y - item.start.y;
+          code.push(`${item.cw ? 'G2' : 'G3'} X${fmt(item.end.x)} Y${fmt(item.end.y)} I${fmt(I)} J${fmt(J)} F${workFeed}`);
+        }
+      });
+      lastX = endX;
+      lastY = endY;
+    }
+  });
+
+  if (motion.tool === 'laser') code.push('M5');
+  else code.push(`G0 Z${motion.safeZ} F${motion.travelFeed}`);
+  code.push('G0 X0 Y0 F' + motion.travelFeed);
+  code.push('M2');
+  return code.join('\n');
+}
+
+// --- Travel optimizer: reorder (and reverse) pen-down chains to cut pen-up moves ---
+// A chain is a run of segments the generator plots without lifting (same gap rule as ggcodeGenerateGCode,
+// and never across items).
+// The job starts and ends at X0 Y0, so both moves count as travel.
+const CHAIN_GAP_MM = 0.05;
+// 2-opt only flips runs of up to this many chains, and gives up after this many checks,
+// so drawings with thousands of strokes still generate in about a second.
+const TWO_OPT_WINDOW = 100;
+const TWO_OPT_MAX_CHECKS = 2000000;
+
+function travelDist(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+// Same segment drawn from p2 to p1, or null when it cannot be (elliptic arcs are drawn from their "d").
+export function reverseSegment(seg) {
+  const params = seg.params || {};
+  if (seg.type === 'line') return { ...seg, p1: seg.p2, p2: seg.p1 };
+  if (seg.type === 'arc') {
+    if (typeof params.rx !== 'number' || Math.abs(params.rx - params.ry) > 0.001) return null;
+    return { ...seg, p1: seg.p2, p2: seg.p1, params: { ...params, sweep: params.sweep === 1 ? 0 : 1 }, d: null };
+  }
+  if (seg.type === 'curve') {
+    const reversed = { ...params };
+    // x, y is the end point, for quadratic and cubic curves alike
+    if (params.x != null) { reversed.x = seg.p1.x; reversed.y = seg.p1.y; }
+    if (params.type !== 'quadratic') {
+      reversed.x1 = params.x2; reversed.y1 = params.y2;
+      reversed.x2 = params.x1; reversed.y2 = params.y1;
+    }
+    return { ...seg, p1: seg.p2, p2: seg.p1, params: reversed };
+  }
+  return null;
+}
+
+// Split plot-order segments into chains: { segments, start, end, reversible }.
+export function buildChains(segments) {
+  const chains = [];
+  let current = null;
+  segments.forEach((seg) => {
+    if (!current || seg.motion !== current.segments[0].motion || travelDist(seg.p1, current.end) > CHAIN_GAP_MM) {
+      current = { segments: [], start: seg.p1, end: seg.p2, reversible: true };
+      chains.push(current);
+    }
+    current.segments.push(seg);
+    current.end = seg.p2;
+    if (current.reversible && !reverseSegment(seg)) current.reversible = false;
+  });
+  return chains;
+}
+
+export function reverseChain(chain) {
+  return {
+    segments: chain.segments.slice().reverse().map(reverseSegment),
+    start: chain.end,
+    end: chain.start,
+    reversible: true,
+  };
+}
+
+// Pen-up distance (mm) of plotting chains in order, from and back to the origin.
+export function penUpDistance(chains) {
+  let total = 0;
+  let at = { x: 0, y: 0 };
+  chains.forEach((chain) => {
+    total += travelDist(chain.start, at);
+    at = chain.end;
+  });
+  return total + travelDist(at, { x: 0, y: 0 });
+}
+
+// Greedy tour: always go to the nearest free chain end, entering reversible chains from either end.
+export function nearestNeighbourOrder(chains) {
+  const left = chains.slice();
+  const ordered = [];
+  let at = { x: 0, y: 0 };
+  while (left.length) {
+    let best = 0;
+    let bestDist = Infinity;
+    let bestReversed = false;
+    left.forEach((chain, i) => {
+      const toStart = travelDist(chain.start, at);
+      if (toStart < bestDist) { best = i; bestDist = toStart; bestReversed = false; }
+      if (chain.reversible) {
+        const toEnd = travelDist(chain.end, at);
+        if (toEnd < bestDist) { best = i; bestDist = toEnd; bestReversed = true; }
+      }
+    });
+    const chain = left.splice(best, 1)[0];
+    const placed = bestReversed ? reverseChain(chain) : chain;
+    ordered.push(placed);
+    at = placed.end;
+  }
+  return ordered;
+}
+
+// 2-opt on the open tour origin -> chains -> origin: plotting chains i..j backwards (each reversed)
+// replaces the travels into i and out of j. Only runs of reversible chains can be flipped.
+export function twoOpt(order) {
+  const tour = order.slice();
+  const origin = { x: 0, y: 0 };
+  const endOf = (k) => (k < 0 ? origin : tour[k].end);
+  const startOf = (k) => (k >= tour.length ? origin : tour[k].start);
+  let checks = 0;
+  let improved = true;
+  while (improved && checks < TWO_OPT_MAX_CHECKS) {
+    improved = false;
+    for (let i = 0; i < tour.length && checks < TWO_OPT_MAX_CHECKS; i++) {
+      for (let j = i; j < tour.length && j < i + TWO_OPT_WINDOW; j++) {
+        if (!tour[j].reversible) break;
+        checks++;
+        const before = travelDist(endOf(i - 1), startOf(i)) + travelDist(endOf(j), startOf(j + 1));
+        const after = travelDist(endOf(i - 1), endOf(j)) + travelDist(startOf(i), startOf(j + 1));
+        if (after < before - 1e-6) {
+          const flipped = tour.slice(i, j + 1).reverse().map(reverseChain);
+          tour.splice(i, flipped.length, ...flipped);
+          improved = true;
+        }
+      }
+    }
+  }
+  return tour;
+}
+
+// Reorder segments to shorten pen-up travel. Returns { segments, before, after } with distances in mm;
+// the file order is kept when optimizing does not help.
+export function optimizeTravel(segments) {
+  const chains = buildChains(segments);
+  const before = penUpDistance(chains);
+  const optimized = twoOpt(nearestNeighbourOrder(chains));
+  const after = penUpDistance(optimized);
+  if (after >= before) return { segments, before, after: before };
+  return { segments: optimized.flatMap((chain) => chain.segments), before, after };
+}
+
+// --- Tool paths: drag knife compensation and repeated passes, applied after ordering ---
+const FLATTEN_STEP_MM = 0.5;
+// Direction changes below this are cut straight through instead of swivelling the blade.
+const KNIFE_SWIVEL_MIN_RAD = (10 * Math.PI) / 180;
+const KNIFE_SWIVEL_STEP_RAD = (10 * Math.PI) / 180;
+
+// Points along a segment after p1 (p2 last), for tools that need a polyline.
+function flattenSegment(seg) {
+  const params = seg.params || {};
+  if (seg.type === 'arc' && typeof params.rx === 'number' && Math.abs(params.rx - params.ry) <= 0.001) {
+    const c = findCenterArc(seg.p1.x, seg.p1.y, seg.p2.x, seg.p2.y, params.rx, params.large, params.sweep);
+    const a0 = Math.atan2(seg.p1.y - c.y, seg.p1.x - c.x);
+    let delta = Math.atan2(seg.p2.y - c.y, seg.p2.x - c.x) - a0;
+    // sweep 1: the angle increases (SVG arc flag), as findCenterArc assumes
+    if (params.sweep === 1) { while (delta < 0) delta += 2 * Math.PI; } else { while (delta > 0) delta -= 2 * Math.PI; }
+    const steps = Math.max(2, Math.ceil((Math.abs(delta) * params.rx) / FLATTEN_STEP_MM));
+    const pts = [];
+    for (let i = 1; i < steps; i++) {
+      const a = a0 + (delta * i) / steps;
+      pts.push({ x: c.x + params.rx * Math.cos(a), y: c.y + params.rx * Math.sin(a) });
+    }
+    return [...pts, seg.p2];
+  }
+  if (seg.type === 'curve') {
+    const p0 = seg.p1;
+    const p3 = seg.p2;
+    const quadratic = params.type === 'quadratic';
+    const c1 = { x: params.x1, y: params.y1 };
+    const len = distPt(p0, c1) + (quadratic ? distPt(c1, p3) : distPt(c1, { x: params.x2, y: params.y2 }) + distPt({ x: params.x2, y: params.y2 }, p3));
+    const steps = Math.max(2, Math.ceil(len / FLATTEN_STEP_MM));
+    const pts = [];
+    for (let i = 1; i < steps; i++) {
+      const t = i / steps;
+      pts.push(quadratic ? quadAt(t, p0, c1, p3) : cubicAt(t, p0, c1, { x: params.x2, y: params.y2 }, p3));
+    }
+    return [...pts, p3];
+  }
+  if (seg.type === 'arc' && seg.d && typeof document !== 'undefined' && document.createElementNS) {
+    const tempPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    tempPath.setAttribute('d', seg.d);
+    const len = tempPath.getTotalLength();
+    const steps = Math.max(8, Math.ceil(len / FLATTEN_STEP_MM));
+    const pts = [];
+    for (let i = 1; i < steps; i++) {
+      const p = tempPath.getPointAtLength((i / steps) * len);
+      pts.push({ x: p.x, y: p.y });
+    }
+    return [...pts, seg.p2];
+  }
+  return [seg.p2];
+}
+
+// Drag knife: the blade tip trails the holder by `offset`, so the holder runs each straight piece `offset`
+// further along its direction and swings round every corner on a circle of that radius, turning the blade.
+function dragKnifeChain(segments, offset) {
+  const motion = segments[0].motion;
+  const pts = [segments[0].p1];
+  segments.forEach((seg) => {
+    flattenSegment(seg).forEach((p) => {
+      const last = pts[pts.length - 1];
+      if (Math.hypot(p.x - last.x, p.y - last.y) > 1e-6) pts.push(p);
+    });
+  });
+  if (pts.length < 2) return segments;
+  const dirs = [];
+  for (let i = 0; i < pts.length - 1; i++) {
+    const len = distPt(pts[i], pts[i + 1]);
+    dirs.push({ x: (pts[i + 1].x - pts[i].x) / len, y: (pts[i + 1].y - pts[i].y) / len });
+  }
+  const closed = distPt(pts[0], pts[pts.length - 1]) <= CHAIN_GAP_MM;
+  const shifted = (p, d) => ({ x: p.x + offset * d.x, y: p.y + offset * d.y });
+  const out = [];
+  let at = shifted(pts[0], dirs[0]);
+  const lineTo = (p) => {
+    out.push({ type: 'line', p1: at, p2: p, params: {}, d: null, motion });
+    at = p;
+  };
+  const swivel = (corner, from, to) => {
+    const a0 = Math.atan2(from.y, from.x);
+    let delta = Math.atan2(to.y, to.x) - a0;
+    while (delta > Math.PI) delta -= 2 * Math.PI;
+    while (delta < -Math.PI) delta += 2 * Math.PI;
+    if (Math.abs(delta) < KNIFE_SWIVEL_MIN_RAD) return;
+    const steps = Math.ceil(Math.abs(delta) / KNIFE_SWIVEL_STEP_RAD);
+    for (let i = 1; i <= steps; i++) {
+      const a = a0 + (delta * i) / steps;
+      lineTo({ x: corner.x + offset * Math.cos(a), y: corner.y + offset * Math.sin(a) });
+    }
+  };
+  dirs.forEach((d, i) => {
+    if (i > 0) {
+      swivel(pts[i], dirs[i - 1], d);
+      const start = shifted(pts[i], d);
+      if (distPt(at, start) > 1e-6) lineTo(start);
+    }
+    lineTo(shifted(pts[i + 1], d));
+  });
+  if (closed) swivel(pts[0], dirs[dirs.length - 1], dirs[0]);
+  return out;
+}
+
+// Turn ordered segments into what the machine runs: knife items get blade compensation and laser / knife
+// chains are repeated for their item's number of passes (a laser travels back to the start of open shapes between passes).
+export function applyToolPaths(segments) {
+  return buildChains(segments).flatMap((chain) => {
+    const motion = chain.segments[0].motion || {};
+    const cut = motion.tool === 'knife' && motion.knifeOffset > 0
+      ? dragKnifeChain(chain.segments, motion.knifeOffset)
+      : chain.segments;
+    // A pen item may still carry passes from when it was a laser or knife item
+    const repeats = motion.tool === 'laser' || motion.tool === 'knife';
+    const passes = repeats ? Math.max(1, Math.round(motion.passes || 1)) : 1;
+    const repeated = [];
+    for (let i = 0; i < passes; i++) repeated.push(...cut);
+    return repeated;
+  });
+}
+
+// --- Hatch fill for closed shapes ---
+// parseSVG keeps the outline of every filled shape as `fills: [{ rule, rings }]` (rings are closed point
+// lists in SVG units); the lines are made in item mm so spacing and inset do not depend on the SVG's size.
+const HATCH_MIN_SPACING_MM = 0.1;
+const HATCH_MIN_LENGTH_MM = 0.01;
+
+// Flatten a path "d" into closed rings (one per subpath), in the path's own coordinates.
+export function pathRings(d) {
+  const rings = [];
+  let ring = null;
+  explodePathToSegments(d, (p) => p).forEach((seg) => {
+    const last = ring && ring[ring.length - 1];
+    if (!last || Math.hypot(seg.p1.x - last.x, seg.p1.y - last.y) > 1e-6) {
+      ring = [seg.p1];
+      rings.push(ring);
+    }
+    ring.push(...flattenSegment(seg));
+  });
+  return rings
+    .map((r) => (r.length > 1 && Math.hypot(r[0].x - r[r.length - 1].x, r[0].y - r[r.length - 1].y) <= 1e-6 ? r.slice(0, -1) : r))
+    .filter((r) => r.length >= 3);
+}
+
+// x range where lo <= c * x + e <= hi, or null.
+function linearRange(c, e, lo, hi) {
+  if (Math.abs(c) < 1e-12) return e >= lo && e <= hi ? [-Infinity, Infinity] : null;
+  const a = (lo - e) / c;
+  const b = (hi - e) / c;
+  return [Math.min(a, b), Math.max(a, b)];
+}
+
+// Where the scanline at y crosses the band of half-width r around edge a-b (a capsule, so it is one interval).
+function capsuleRange(a, b, y, r) {
+  const parts = [];
+  [a, b].forEach((p) => {
+    const dy = y - p.y;
+    if (Math.abs(dy) <= r) {
+      const h = Math.sqrt(r * r - dy * dy);
+      parts.push([p.x - h, p.x + h]);
+    }
+  });
+  const len = Math.hypot(b.x - a.x, b.y - a.y);
+  if (len > 1e-9) {
+    const dx = (b.x - a.x) / len;
+    const dy = (b.y - a.y) / len;
+    const along = linearRange(dx, dy * (y - a.y) - dx * a.x, 0, len);
+    const across = linearRange(-dy, dx * (y - a.y) + dy * a.x, -r, r);
+    if (along && across && Math.max(along[0], across[0]) <= Math.min(along[1], across[1])) {
+      parts.push([Math.max(along[0], across[0]), Math.min(along[1], across[1])]);
+    }
+  }
+  if (!parts.length) return null;
+  return [Math.min(...parts.map((p) => p[0])), Math.max(...parts.map((p) => p[1]))];
+}
+
+// Remove the (sorted by start) cut intervals from each span.
+function subtractRanges(spans, cuts) {
+  const out = [];
+  spans.forEach(([from, to]) => {
+    let x = from;
+    for (let i = 0; i < cuts.length && x < to; i++) {
+      const [lo, hi] = cuts[i];
+      if (hi <= x) continue;
+      if (lo >= to) break;
+      if (lo > x) out.push([x, lo]);
+      x = Math.max(x, hi);
+    }
+    if (x < to) out.push([x, to]);
+  });
+  return out;
+}
+
+// Horizontal spans inside the rings: a scanline sweep over the edges, every line on a multiple of spacing so
+// neighbouring shapes line up. evenodd fills where the crossing count is odd; nonzero where the winding is not 0.
+function hatchRings(rings, rule, spacing, inset) {
+  const edges = [];
+  rings.forEach((ring) => {
+    ring.forEach((a, i) => {
+      const b = ring[(i + 1) % ring.length];
+      edges.push({ a, b, lo: Math.min(a.y, b.y) - inset, hi: Math.max(a.y, b.y) + inset });
+    });
+  });
+  if (!edges.length) return [];
+  edges.sort((e1, e2) => e1.lo - e2.lo);
+  const top = Math.max(...edges.map((e) => e.hi));
+  const lines = [];
+  let active = [];
+  let next = 0;
+  for (let k = Math.ceil(edges[0].lo / spacing); k * spacing <= top; k++) {
+    const y = k * spacing;
+    while (next < edges.length && edges[next].lo <= y) active.push(edges[next++]);
+    active = active.filter((e) => e.hi >= y);
+    const crossings = [];
+    active.forEach(({ a, b }) => {
+      // Half-open in y so a vertex shared by two edges counts once
+      if ((a.y <= y && y < b.y) || (b.y <= y && y < a.y)) {
+        crossings.push({ x: a.x + ((y - a.y) / (b.y - a.y)) * (b.x - a.x), dir: b.y > a.y ? 1 : -1 });
+      }
+    });
+    crossings.sort((c1, c2) => c1.x - c2.x);
+    let spans = [];
+    let winding = 0;
+    let start = 0;
+    crossings.forEach((c, i) => {
+      const inside = rule === 'evenodd' ? i % 2 === 1 : winding !== 0;
+      winding += c.dir;
+      const nowInside = rule === 'evenodd' ? i % 2 === 0 : winding !== 0;
+      if (!inside && nowInside) start = c.x;
+      else if (inside && !nowInside) spans.push([start, c.x]);
+    });
+    if (inset > 0 && spans.length) {
+      const cuts = active.map((e) => capsuleRange(e.a, e.b, y, inset)).filter(Boolean).sort((c1, c2) => c1[0] - c2[0]);
+      spans = subtractRanges(spans, cuts);
+    }
+    spans.forEach(([from, to]) => {
+      if (to - from >= HATCH_MIN_LENGTH_MM) lines.push([{ x: from, y }, { x: to, y }]);
+    });
+  }
+  return lines;
+}
+
+// Hatch lines for an item's fills as [p1, p2] pairs in SVG units; spacing, angle and inset are measured in
+// item mm, the angle counter-clockwise as the item is seen on the bed (see itemTransform).
+export function hatchLines(fills, scaleX, scaleY, settings) {
+  const spacing = Math.max(HATCH_MIN_SPACING_MM, settings.hatchSpacing || 0);
+  const inset = Math.max(0, settings.hatchInset || 0);
+  const base = settings.hatchAngle || 0;
+  const angles = settings.crosshatch ? [base, base + 90] : [base];
+  const lines = [];
+  (fills || []).forEach(({ rule, rings }) => {
+    const scaled = rings.map((ring) => ring.map((p) => ({ x: p.x * scaleX, y: p.y * scaleY })));
+    angles.forEach((deg) => {
+      // Rotate the shape so the hatch runs along x, hatch, rotate the lines back (y runs down here)
+      const a = (-deg * Math.PI) / 180;
+      const cos = Math.cos(a);
+      const sin = Math.sin(a);
+      const toScan = (p) => ({ x: p.x * cos + p.y * sin, y: -p.x * sin + p.y * cos });
+      const fromScan = (p) => ({ x: p.x * cos - p.y * sin, y: p.x * sin + p.y * cos });
+      const toSvg = (p) => {
+        const q = fromScan(p);
+        return { x: q.x / scaleX, y: q.y / scaleY };
+      };
+      hatchRings(scaled.map((ring) => ring.map(toScan)), rule, spacing, inset).forEach(([p1, p2]) => {
+        lines.push([toSvg(p1), toSvg(p2)]);
+      });
+    });
+  });
+  return lines;
+}
+
+// Tokenize path "d" into list of { cmd, args } (cmd keeps case for relative: m,l,a,...). Handles implicit repeated commands.
+function tokenizePathD(d) {
+  const tokens = [];
+  const re = /([MLHVCSQTAZ])|(-?[\d.]+(?:e[-+]?\d+)?)/gi;
+  let m;
+  while ((m = re.exec(d)) !== null) {
+    tokens.push(m[1] != null ? m[1] : parseFloat(m[2]));
+  }
+  const result = [];
+  let i = 0;
+  let lastCmd = null;
+  const argCount = (c) => ({ M: 2, m: 2, L: 2, l: 2, H: 1, h: 1, V: 1, v: 1, C: 6, c: 6, S: 4, s: 4, Q: 4, q: 4, T: 2, t: 2, A: 7, a: 7, Z: 0, z: 0 }[c] ?? 0);
+  const implicitNext = (c) => (c === 'M' || c === 'm' ? (c === 'm' ? 'l' : 'L') : c);
+  while (i < tokens.length) {
+    let cmd = lastCmd;
+    if (typeof tokens[i] === 'string') {
+      cmd = tokens[i];
+      i++;
+    }
+    if (!cmd) break;
+    const n = argCount(cmd);
+    if (n === 0) {
+      result.push({ cmd, args: [] });
+      lastCmd = null;
+      continue;
+    }
+    const args = [];
+    while (args.length < n && i < tokens.length && typeof tokens[i] === 'number') {
+      args.push(tokens[i++]);
+    }
+    if (args.length < n) break;
+    result.push({ cmd, args });
+    lastCmd = implicitNext(cmd);
+  }
+  return result;
+}
+
+// Parse path "d" to segments (line or arc). applyCtm transforms points. Bezier uses adaptive subdivision (0.05).
+function parsePathToSegments(d, applyCtm, precision = 0.5) {
+  const segments = [];
+  const commands = tokenizePathD(d);
+  if (commands.length === 0) return segments;
+  let x = 0, y = 0;
+  let subpathStartX = 0, subpathStartY = 0;
+  let lastCp2 = null; // second control of last C/S (for smooth cubic S)
+  let lastCp = null;   // control of last Q/T (for smooth quadratic T)
+  const cubicBuffer = []; // Option B: buffer 4 C's to detect circle
+  const NS = 'http://www.w3.org/2000/svg';
+  const isRel = (c) => c === c.toLowerCase();
+  const tol = BEZIER_FLATNESS_TOLERANCE;
+  const closedEpsilon = 0.001; // path units: allow small float error so 4-C circles are detected
+
+  const pt = (a, b) => applyCtm({ x: a, y: b });
+  const flushCubicBuffer = () => {
+    cubicBuffer.forEach((cubic) => {
+      const out = [];
+      adaptiveCubic(cubic.P0, cubic.P1, cubic.P2, cubic.P3, tol, out);
+      const points = [pt(cubic.P0.x, cubic.P0.y), ...out.map((p) => pt(p.x, p.y))];
+      if (points.length > 1) segments.push({ type: 'line', points });
+    });
+    cubicBuffer.length = 0;
+  };
+  const sampleCurve = (pathD) => {
+    const temp = document.createElementNS(NS, 'path');
+    temp.setAttribute('d', pathD);
+    const len = temp.getTotalLength();
+    if (len <= 0) return [];
+    const points = [];
+    for (let t = 0; t <= len; t += precision) {
+      const p = temp.getPointAtLength(Math.min(t, len));
+      points.push(applyCtm(p));
+    }
+    return points;
+  };
+
+  for (let k = 0; k < commands.length; k++) {
+    const { cmd, args } = commands[k];
+    if (cmd === 'M' || cmd === 'm') {
+      flushCubicBuffer();
+      if (isRel(cmd)) { x += args[0]; y += args[1]; } else { x = args[0]; y = args[1]; }
+      subpathStartX = x;
+      subpathStartY = y;
+      lastCp2 = null;
+      lastCp = null;
+      continue;
+    }
+    if (cmd === 'L' || cmd === 'l') {
+      flushCubicBuffer();
+      const x2 = isRel(cmd) ? x + args[0] : args[0];
+      const y2 = isRel(cmd) ? y + args[1] : args[1];
+      segments.push({ type: 'line', points: [pt(x, y), pt(x2, y2)] });
+      x = x2;
+      y = y2;
+      lastCp2 = null;
+      lastCp = null;
+      continue;
+    }
+    if (cmd === 'H' || cmd === 'h') {
+      flushCubicBuffer();
+      const x2 = isRel(cmd) ? x + args[0] : args[0];
+      segments.push({ type: 'line', points: [pt(x, y), pt(x2, y)] });
+      x = x2;
+      lastCp2 = null;
+      lastCp = null;
+      continue;
+    }
+    if (cmd === 'V' || cmd === 'v') {
+      flushCubicBuffer();
+      const y2 = isRel(cmd) ? y + args[0] : args[0];
+      segments.push({ type: 'line', points: [pt(x, y), pt(x, y2)] });
+      y = y2;
+      lastCp2 = null;
+      lastCp = null;
+      continue;
+    }
+    if (cmd === 'A' || cmd === 'a') {
+      flushCubicBuffer();
+      const rx = args[0], ry = args[1], phiDeg = args[2], fA = Math.round(args[3]), fS = Math.round(args[4]);
+      const x2 = isRel(cmd) ? x + args[5] : args[5];
+      const y2 = isRel(cmd) ? y + args[6] : args[6];
+      lastCp2 = null;
+      lastCp = null;
+      const arc = svgArcToCenter(x, y, x2, y2, rx, ry, phiDeg, fA, fS);
+      const rMax = arc ? Math.max(arc.rx, arc.ry) || 1 : 1;
+      const isCircular = arc && (Math.abs(arc.rx - arc.ry) / rMax < 0.01);
+      if (arc && isCircular) {
+        segments.push({
+          type: 'arc',
+          start: pt(x, y),
+          end: pt(x2, y2),
+          center: pt(arc.cx, arc.cy),
+          clockwise: arc.clockwise,
+        });
+      } else if (arc) {
+        const pathD = `M${x} ${y} A${rx} ${ry} ${phiDeg} ${fA} ${fS} ${x2} ${y2}`;
+        const points = sampleCurve(pathD);
+        if (points.length > 1) segments.push({ type: 'line', points });
+      }
+      x = x2;
+      y = y2;
+      continue;
+    }
+    if (cmd === 'Z' || cmd === 'z') {
+      flushCubicBuffer();
+      lastCp2 = null;
+      lastCp = null;
+      if (x !== subpathStartX || y !== subpathStartY) {
+        segments.push({ type: 'line', points: [pt(x, y), pt(subpathStartX, subpathStartY)] });
+      }
+      x = subpathStartX;
+      y = subpathStartY;
+      continue;
+    }
+    if (cmd === 'C' || cmd === 'c') {
+      const x1 = isRel(cmd) ? x + args[0] : args[0], y1 = isRel(cmd) ? y + args[1] : args[1];
+      const x2 = isRel(cmd) ? x + args[2] : args[2], y2 = isRel(cmd) ? y + args[3] : args[3];
+      const endX = isRel(cmd) ? x + args[4] : args[4];
+      const endY = isRel(cmd) ? y + args[5] : args[5];
+      lastCp2 = { x: x2, y: y2 };
+      lastCp = null;
+      const P0 = { x, y }, P1 = { x: x1, y: y1 }, P2 = { x: x2, y: y2 }, P3 = { x: endX, y: endY };
+      cubicBuffer.push({ P0, P1, P2, P3 });
+      if (cubicBuffer.length === 4) {
+        const A = cubicBuffer[0].P0, B = cubicBuffer[0].P3, C = cubicBuffer[1].P3, D = cubicBuffer[2].P3;
+        const closed = Math.hypot(cubicBuffer[3].P3.x - A.x, cubicBuffer[3].P3.y - A.y) < closedEpsilon;
+        if (closed) {
+          const fit = fitCircleFrom4Points(A, B, C, D);
+          if (fit) {
+            segments.push({ type: 'arc', start: pt(A.x, A.y), end: pt(C.x, C.y), center: pt(fit.cx, fit.cy), clockwise: fit.clockwise });
+            segments.push({ type: 'arc', start: pt(C.x, C.y), end: pt(A.x, A.y), center: pt(fit.cx, fit.cy), clockwise: fit.clockwise });
+            x = cubicBuffer[3].P3.x;
+            y = cubicBuffer[3].P3.y;
+            cubicBuffer.length = 0;
+            continue;
+          }
+        }
+        for (const cubic of cubicBuffer) {
+          const out = [];
+          adaptiveCubic(cubic.P0, cubic.P1, cubic.P2, cubic.P3, tol, out);
+          const points = [pt(cubic.P0.x, cubic.P0.y), ...out.map((p) => pt(p.x, p.y))];
+          if (points.length > 1) segments.push({ type: 'line', points });
+        }
+        x = cubicBuffer[3].P3.x;
+        y = cubicBuffer[3].P3.y;
+        cubicBuffer.length = 0;
+        continue;
+      }
+      x = endX;
+      y = endY;
+      continue;
+    }
+    if (cmd === 'S' || cmd === 's') {
+      flushCubicBuffer();
+      const cp2x = isRel(cmd) ? x + args[0] : args[0], cp2y = isRel(cmd) ? y + args[1] : args[1];
+      const endX = isRel(cmd) ? x + args[2] : args[2];
+      const endY = isRel(cmd) ? y + args[3] : args[3];
+      const cp1x = lastCp2 != null ? 2 * x - lastCp2.x : x;
+      const cp1y = lastCp2 != null ? 2 * y - lastCp2.y : y;
+      lastCp2 = { x: cp2x, y: cp2y };
+      lastCp = null;
+      const P0 = { x, y }, P1 = { x: cp1x, y: cp1y }, P2 = { x: cp2x, y: cp2y }, P3 = { x: endX, y: endY };
+      const out = [];
+      adaptiveCubic(P0, P1, P2, P3, tol, out);
+      const points = [pt(x, y), ...out.map((p) => pt(p.x, p.y))];
+      if (points.length > 1) segments.push({ type: 'line', points });
+      x = endX;
+      y = endY;
+      continue;
+    }
+    if (cmd === 'Q' || cmd === 'q') {
+      flushCubicBuffer();
+      const cpx = isRel(cmd) ? x + args[0] : args[0], cpy = isRel(cmd) ? y + args[1] : args[1];
+      const endX = isRel(cmd) ? x + args[2] : args[2];
+      const endY = isRel(cmd) ? y + args[3] : args[3];
+      lastCp = { x: cpx, y: cpy };
+      lastCp2 = null;
+      const P0 = { x, y }, P1 = { x: cpx, y: cpy }, P2 = { x: endX, y: endY };
+      const out = [];
+      adaptiveQuad(P0, P1, P2, tol, out);
+      const points = [pt(x, y), ...out.map((p) => pt(p.x, p.y))];
+      if (points.length > 1) segments.push({ type: 'line', points });
+      x = endX;
+      y = endY;
+      continue;
+    }
+    if (cmd === 'T' || cmd === 't') {
+      flushCubicBuffer();
+      const endX = isRel(cmd) ? x + args[0] : args[0];
+      const endY = isRel(cmd) ? y + args[1] : args[1];
+      const cpx = lastCp != null ? 2 * x - lastCp.x : x;
+      const cpy = lastCp != null ? 2 * y - lastCp.y : y;
+      lastCp = { x: cpx, y: cpy };
+      lastCp2 = null;
+      const P0 = { x, y }, P1 = { x: cpx, y: cpy }, P2 = { x: endX, y: endY };
+      const out = [];
+      adaptiveQuad(P0, P1, P2, tol, out);
+      const points = [pt(x, y), ...out.map((p) => pt(p.x, p.y))];
+      if (points.length > 1) segments.push({ type: 'line', points });
+      x = endX;
+      y = endY;
+      continue;
+    }
+  }
+  flushCubicBuffer();
+  return segments;
+}
+
+// --- Item placement: SVG units -> bed mm ---
+// SVG's y runs down and the bed's up, so the drawing is flipped to stay upright. It is scaled to width x height,
+// mirrored (mirrorX swaps left and right, mirrorY top and bottom), turned counter-clockwise by `rotation`
+// degrees about its centre, and posX/posY is the bottom-left corner of the bounding box of the result.
+
+// Size (mm) of the item's bounding box on the bed.
+export function itemBounds(settings) {
+  const a = ((settings.rotation || 0) * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(a));
+  const sin = Math.abs(Math.sin(a));
+  return { w: settings.width * cos + settings.height * sin, h: settings.width * sin + settings.height * cos };
+}
+
+// Affine map from the item's SVG units to bed mm: { a, b, c, d, e, f } laid out like an SVG CTM
+// (x' = a x + c y + e, y' = b x + d y + f), apply(p), and flips (true when it mirrors, so arc sweeps reverse).
+export function itemTransform(settings, originalSize) {
+  const { width: w, height: h } = settings;
+  const sx = w / originalSize.w;
+  const sy = h / originalSize.h;
+  const mx = settings.mirrorX ? -1 : 1;
+  const my = settings.mirrorY ? -1 : 1;
+  const rad = ((settings.rotation || 0) * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const box = itemBounds(settings);
+  const cx = settings.posX + box.w / 2;
+  const cy = settings.posY + box.h / 2;
+  // Centred item mm with y up: u = mx (x sx - w/2), v = my (h/2 - y sy); then rotate and move to the box centre
+  const m = {
+    a: mx * sx * cos,
+    b: mx * sx * sin,
+    c: my * sy * sin,
+    d: -my * sy * cos,
+    e: cx - (mx * w * cos) / 2 - (my * h * sin) / 2,
+    f: cy - (mx * w * sin) / 2 + (my * h * cos) / 2,
+  };
+  return {
+    ...m,
+    flips: m.a * m.d - m.b * m.c < 0,
+    apply: (p) => ({ x: m.a * p.x + m.c * p.y + m.e, y: m.b * p.x + m.d * p.y + m.f }),
+  };
+}
+
+// Path segment: GGcode-style { type: 'arc'|'line'|'curve', p1, p2, params? } or legacy { type: 'arc', start, end, center, clockwise } / { type: 'line', points }.
+export function toSegment(poly) {
+  if (!poly) return null;
+  if (poly.type && poly.p1 && poly.p2 !== undefined) return poly;
+  if (poly.type === 'arc' && poly.start && poly.center) return poly;
+  if (poly.type === 'line' && poly.points) return poly;
+  if (Array.isArray(poly)) return { type: 'line', points: poly };
+  return null;
+}
+
+// Place one item on the bed: its paths (and hatch lines) as flat segments in bed mm, each tagged with
+// the item's motion settings for ggcodeGenerateGCode.
+export function placeItem(item) {
+  const { paths: itemPaths, fills, settings: s, originalSize: os } = item;
+  const out = [];
+  if (!itemPaths || itemPaths.length === 0) return out;
+  // Each item plots with its own pen heights and feeds
+  const motion = {
+    tool: s.tool || 'pen',
+    workFeed: s.workSpeed,
+    travelFeed: s.travelSpeed,
+    safeZ: s.zUp,
+    cutZ: s.zDown,
+    power: s.laserPower,
+    dynamicPower: !!s.dynamicPower,
+    dwellMs: s.dwell,
+    dwellUnit: s.dwellUnit,
+    passes: s.passes,
+    knifeOffset: s.knifeOffset,
+  };
+  const scaleX = s.width / os.w;
+  const scaleY = s.height / os.h;
+  const place = itemTransform(s, os);
+  const tx = place.apply;
+  // Mirroring (the SVG -> bed y flip is one) turns an arc's direction around
+  const placeSweep = (sweep) => (place.flips ? 1 - sweep : sweep);
+  const pushLine = (p1, p2) => out.push({ type: 'line', p1: tx(p1), p2: tx(p2), params: {}, d: null, motion });
+  itemPaths.forEach((poly) => {
+    const seg = toSegment(poly);
+    if (!seg) return;
+    if (seg.p1 && seg.p2 !== undefined) {
+      const params = seg.params ? { ...seg.params } : {};
+      if (seg.type === 'arc' && params.rx != null && Math.abs(params.rx * scaleX - params.ry * scaleY) > 0.001) {
+        // Not a circle once scaled, so G2/G3 cannot cut it: plot it as lines
+        let at = seg.p1;
+        flattenSegment(seg).forEach((p) => {
+          pushLine(at, p);
+          at = p;
+        });
+        return;
+      }
+      if (params.rx != null) params.rx = params.rx * scaleX;
+      if (params.ry != null) params.ry = params.ry * scaleY;
+      if (params.sweep != null) params.sweep = placeSweep(params.sweep);
+      if (params.x1 != null) { const c1 = tx({ x: params.x1, y: params.y1 }); params.x1 = c1.x; params.y1 = c1.y; }
+      if (params.x2 != null) { const c2 = tx({ x: params.x2, y: params.y2 }); params.x2 = c2.x; params.y2 = c2.y; }
+      out.push({ type: seg.type, p1: tx(seg.p1), p2: tx(seg.p2), params, d: seg.d, motion });
+    } else if (seg.type === 'arc' && seg.start && seg.center) {
+      const R = distPt(seg.start, seg.center);
+      out.push({
+        type: 'arc',
+        p1: tx(seg.start),
+        p2: tx(seg.end),
+        params: { rx: R * scaleX, ry: R * scaleY, large: 0, sweep: placeSweep(seg.clockwise ? 0 : 1) },
+        d: null,
+        motion,
+      });
+    } else if (seg.points && seg.points.length >= 2) {
+      for (let i = 0; i < seg.points.length - 1; i++) pushLine(seg.points[i], seg.points[i + 1]);
+    }
+  });
+  if (s.hatch) hatchLines(fills, scaleX, scaleY, s).forEach(([p1, p2]) => pushLine(p1, p2));
+  return out;
+}
@@ -5,26 +5,1023 @@
  * No bundling required. Same file works for plotter, gripper, pick&place, laser, etc.
  *
  * Load: <script src="https://your-cdn.com/cdn_modules/sendToDevice.js"></script>
- * Call: sendToDevice(gcodeString, filename, espIp)
+ * Call: sendToDevice(gcodeString, filename, espIp, options)
  *   - gcodeString: full G-code text
  *   - filename: e.g. 'plot.gcode', 'gripper/run.gcode' (optional, default 'job.gcode')
- *   - espIp: e.g. '192.168.4.1'
- * Returns: Promise<{ ok, status?, message? }>
+ *   - espIp: e.g. '192.168.4.1' or 'http://192.168.4.1' (http:// is assumed when no scheme is given)
+ *   - options (optional):
+ *       chunked: true to upload in parts (for large jobs on boards with little RAM)
+ *       chunkSize: bytes per part (default 16384; setting it also enables chunked mode)
+ *       resumeFrom: part index to start from (use `resumeFrom` of a failed result)
+ *       onProgress: function (bytesSent, total) called as the upload advances
+ *       signal: AbortSignal; aborting settles with { ok: false, aborted: true }
+ *       verify: 'crc32' | 'sha256' (true = 'crc32') to confirm the stored file after upload
+ *       retries: extra attempts per request after a retryable failure, and re-uploads after a checksum mismatch (default 0)
+ *       retryDelay: first backoff in ms, doubled on each retry (default 500, capped by maxRetryDelay = 8000)
+ *       timeout: per-request timeout in ms (default 0 = none)
+ *       deviceProfile: filesystem rules for the name, 'sd' (default) | 'fat83' | 'littlefs' | 'spiffs';
+ *                      falls back to deviceInfo.deviceProfile (the device's /info "filesystem")
+ *       compress: true (best the device supports) | 'gzip' | 'delta'; plain text when unsupported
+ *       deviceInfo: a probeDevice() result; saves the /info request and supplies uploadPath and deviceProfile
+ * Returns: Promise<{ ok, path, status?, message?, aborted?, timedOut?, reason?, checksum?, attempts, retryable?, errors?,
+ *                    compression?, chunkCount?, failedChunk?, resumeFrom? }>
+ *
+ * Filenames: the path is normalized with normalizeDevicePath() before upload and `path` in the
+ * result is what the device actually stored. Each segment is folded to ASCII (accents dropped),
+ * characters outside [A-Za-z0-9 . _ - & + ~] become '_', and names are cut to the profile's
+ * limits (the extension is kept). '.' / '..' segments are refused rather than rewritten.
+ *   sd:       FAT32 with long names (SD card), 255 characters per segment
+ *   fat83:    FAT 8.3 short names, upper-case, 8-character name + 3-character extension; '&' and '+'
+ *             become '_' as well ('pick&place' is stored as PICK_PLA)
+ *   littlefs: 63 characters per segment (ESP-IDF default LFS name length)
+ *   spiffs:   31 characters for the whole path (SPIFFS object name length)
+ *
+ * Compression: the device lists what it can decode in GET /info, e.g. { "compression": ["gzip", "delta"] }.
+ * The encoded body is uploaded with an extra `encoding=gzip|delta` query param and the device stores
+ * the decoded text (checksums are always of the decoded text). Without /info support, or without
+ * CompressionStream for gzip, the upload is plain text. `compression` in the result is
+ * { encoding, originalBytes, encodedBytes, ratio } with ratio = originalBytes / encodedBytes.
+ * The 'delta' encoding (first line ';gcode-delta/1') rewrites each line as one of:
+ *   @k          the same text as the line k lines back (k = 1..9)
+ *   ^CMD w...   same command and word letters as the last "word line" starting with CMD; only the
+ *               words whose values changed are listed, the rest are copied from that line
+ *   \\text       literal text that itself starts with '@', '^' or '\\'
+ *   text        any other line, unchanged
+ * A word line is a command word (e.g. 'G1') and letter-value words separated by single spaces,
+ * with no letter used twice and no comment; only word lines are ^-encoded or referred to by '^',
+ * so a changed word is found by its letter. deltaEncodeGcode / deltaDecodeGcode (call as
+ * sendToDevice.deltaDecodeGcode) are the reference encoder and decoder.
+ *
+ * Chunked mode: each part is POSTed (multipart, field 'file') to
+ *   /upload_chunk?path=<filename>&offset=<byte offset>&total=<total bytes>&index=<part>&count=<parts>
+ * The device appends the part at `offset` (offset 0 truncates) and answers 2xx to acknowledge it.
+ * On failure the result reports the part that failed; pass its `resumeFrom` back to continue.
+ *
+ * Verification: the checksum (lowercase hex) of the UTF-8 bytes is sent as `algo` and `checksum`
+ * query params on the upload, then confirmed with
+ *   GET /checksum?path=<filename>&algo=<algo>  ->  { "checksum": "<hex>" } (or the bare hex as text)
+ * A mismatch uploads the whole file again (chunked uploads restart at part 0); each re-upload
+ * uses one of `retries`, and once they are spent the result is { ok: false, reason: 'checksum', expected, actual }.
+ * A device without /checksum answers 404, which fails the send with that status and no re-upload.
+ * 'sha256' needs crypto.subtle, which browsers only expose in secure contexts (https / localhost).
+ *
+ * Retries: network errors, timeouts and 408 / 429 / 5xx responses are retried in place; other 4xx
+ * and aborts are not, and a checksum mismatch is retried by re-uploading (see Verification).
+ * `attempts` counts every request made, and `errors` lists each failed attempt as
+ * { attempt, status?, message, retryable, chunk? }.
+ *
+ * File management (same module; call as sendToDevice.listDeviceFiles etc.):
+ *   listDeviceFiles(espIp, folder, options)     GET  /list?dir=<folder>      -> { ok, files: [{ name, path, size, isDir }] }
+ *   deleteDeviceFile(espIp, path, options)      POST /delete?path=<path>     -> { ok }
+ *   renameDeviceFile(espIp, from, to, options)  POST /rename?from=<p>&to=<p> -> { ok }
+ *   downloadDeviceFile(espIp, path, options)    GET  /download?path=<path>   -> { ok, content }
+ * The device may answer /list with a JSON array or { files: [...] }.
+ *
+ * Job control (same module; call as sendToDevice.runDeviceFile etc.):
+ *   runDeviceFile(espIp, path, options)  POST /run?path=<path>  -> { ok }
+ *   pauseJob(espIp, options)             POST /pause           -> { ok }
+ *   resumeJob(espIp, options)            POST /resume          -> { ok }
+ *   abortJob(espIp, options)             POST /abort           -> { ok }
+ *   getJobStatus(espIp, options)         GET  /status          -> { ok, job: { state, file?, progress?, ... } }
+ * /status answers JSON such as { "state": "running", "file": "plotter/a.gcode", "progress": 42 };
+ * `state` is lowercased ('idle' | 'running' | 'paused' | ...), other fields are passed through.
+ *
+ * Discovery (same module; call as sendToDevice.probeDevice etc.):
+ *   probeDevice(espIp, options)      GET /info -> { ok, reachable, cors, latencyMs, firmware, version, machine,
+ *                                                    uploadPath, deviceProfile, maxFileSize, freeBytes, totalBytes, compression, info }
+ *   scanDevices(hosts, options)      probes each host (options.concurrency, default 4) -> Promise<probe results>
+ * /info answers JSON such as
+ *   { "firmware": "roboblock-esp32", "version": "1.4.0", "machine": "plotter", "uploadPath": "/upload",
+ *     "filesystem": "fat83", "maxFileSize": 4194304, "freeBytes": 1048576, "totalBytes": 1441792, "compression": ["gzip"] }
+ * Missing fields come back as null (uploadPath defaults to '/upload'). `deviceProfile` is "filesystem"
+ * when it names one of the profiles under Filenames, else null. `version` and `machine` are
+ * what modules.json's min_firmware and machine_kinds are checked against. When the CORS request fails, a
+ * second 'no-cors' request tells an unreachable host (reachable: false) from one that answers but
+ * does not send CORS headers (reachable: true, cors: false). Probes default to a 3000 ms timeout.
+ *
+ * Batch upload (same module; call as sendToDevice.sendToDevices):
+ *   sendToDevices(jobs, options) -> Promise<{ ok, sent, failed, results }>
+ *     jobs: [{ gcode, filename, espIp, options? }]; job options override the shared ones
+ *     options: any sendToDevice option plus concurrency (default 2), onJobProgress(index, bytesSent, total)
+ *              and onJobDone(index, result). `results[i]` is job i's sendToDevice result plus espIp.
+ *   Send one job to every machine on the line:
+ *     sendToDevices(hosts.map(function (ip) { return { gcode: g, filename: 'plotter/job.gcode', espIp: ip }; }))
+ *
+ * File management, job control and discovery options accept signal, timeout, retries, retryDelay and
+ * maxRetryDelay as for sendToDevice.
  */
 (function (global) {
   'use strict';
 
   const UPLOAD_PATH = '/upload';
+  const CHUNK_UPLOAD_PATH = '/upload_chunk';
+  const CHECKSUM_PATH = '/checksum';
+  const INFO_PATH = '/info';
+  const LIST_PATH = '/list';
+  const DELETE_PATH = '/delete';
+  const RENAME_PATH = '/rename';
+  const DOWNLOAD_PATH = '/download';
+  const RUN_PATH = '/run';
+  const PAUSE_PATH = '/pause';
+  const RESUME_PATH = '/resume';
+  const ABORT_PATH = '/abort';
+  const STATUS_PATH = '/status';
   const DEFAULT_FILENAME = 'job.gcode';
+  const DEFAULT_DEVICE_PROFILE = 'sd';
+  const DEVICE_PROFILES = {
+    sd: { maxSegment: 255, maxPath: 255 },
+    // Many FAT firmwares refuse '&' and '+' in short names, so they are replaced as well
+    fat83: { shortNames: true, maxPath: 255, unsafe: /[^A-Za-z0-9._~-]/g },
+    littlefs: { maxSegment: 63, maxPath: 255 },
+    spiffs: { maxSegment: 31, maxPath: 31 },
+  };
+  const DEFAULT_CHUNK_SIZE = 16 * 1024;
+  const DEFAULT_RETRY_DELAY_MS = 500;
+  const DEFAULT_MAX_RETRY_DELAY_MS = 8000;
+
+  const DEFAULT_PROBE_TIMEOUT_MS = 3000;
+  const DEFAULT_SCAN_CONCURRENCY = 4;
+  const DEFAULT_BATCH_CONCURRENCY = 2;
+
+  function deviceUrl(espIp, path) {
+    const base = /^https?:\/\//i.test(espIp) ? espIp : 'http://' + espIp;
+    return base.replace(/\/$/, '') + path;
+  }
+
+  /** Turn a fetch Response into { ok, status, message? }. */
+  function toResult(response) {
+    if (response.ok) {
+      return Promise.resolve({ ok: true, status: response.status });
+    }
+    return response.text().then(function (text) {
+      return {
+        ok: false,
+        status: response.status,
+        message: text || response.statusText,
+      };
+    });
+  }
+
+  function networkError(err) {
+    return {
+      ok: false,
+      message: err && err.message ? err.message : 'Network or CORS error',
+    };
+  }
+
+  let crcTable = null;
+
+  function crc32Hex(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Checksum of the UTF-8 bytes of a string, as lowercase hex.
+   * @param {string} text
+   * @param {'crc32'|'sha256'} algo
+   * @returns {Promise<string>}
+   */
+  function computeChecksum(text, algo) {
+    const bytes = new TextEncoder().encode(text);
+    if (algo === 'crc32') {
+      return Promise.resolve(crc32Hex(bytes));
+    }
+    const subtle = typeof crypto !== 'undefined' && crypto.subtle;
+    if (!subtle) {
+      return Promise.reject(new Error('sendToDevice: sha256 needs crypto.subtle (secure context); use verify: "crc32"'));
+    }
+    return subtle.digest('SHA-256', bytes).then(function (digest) {
+      return Array.from(new Uint8Array(digest), function (b) {
+        return b.toString(16).padStart(2, '0');
+      }).join('');
+    });
+  }
+
+  const DELTA_HEADER = ';gcode-delta/1';
+
+  /**
+   * Words of a line the delta encoding can rewrite with '^': a command word (e.g. 'G1') followed by
+   * letter-value words, no letter used twice. Other lines are sent as they are.
+   * @param {string} line
+   * @returns {string[]|null}
+   */
+  function deltaWords(line) {
+    const words = line.split(' ');
+    if (words.length < 2 || !/^[A-Z]-?[\d.]+$/.test(words[0])) return null;
+    const letters = {};
+    for (let i = 1; i < words.length; i++) {
+      const letter = words[i].charAt(0);
+      if (!/^[A-Z][^ ;()]*$/.test(words[i]) || letters[letter]) return null;
+      letters[letter] = true;
+    }
+    return words;
+  }
+
+  /**
+   * Line-delta encoding for repetitive G-code (see header comment for the format).
+   * @param {string} text
+   * @returns {string}
+   */
+  function deltaEncodeGcode(text) {
+    const lines = text.split('\n');
+    const out = [DELTA_HEADER];
+    const lastByCmd = {};
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      let encoded = null;
+      for (let k = 1; k <= 9 && k <= i; k++) {
+        if (lines[i - k] === line) {
+          encoded = '@' + k;
+          break;
+        }
+      }
+      const words = deltaWords(line);
+      if (!encoded && words) {
+        const prev = lastByCmd[words[0]];
+        const sameShape = prev && prev.length === words.length && prev.every(function (w, j) {
+          return w.charAt(0) === words[j].charAt(0);
+        });
+        if (sameShape) {
+          const changed = words.slice(1).filter(function (w, j) { return w !== prev[j + 1]; });
+          const delta = '^' + [words[0]].concat(changed).join(' ');
+          if (delta.length < line.length) encoded = delta;
+        }
+      }
+      if (!encoded) {
+        encoded = /^[@^\\]/.test(line) ? '\\' + line : line;
+      }
+      if (words) lastByCmd[words[0]] = words;
+      out.push(encoded);
+    }
+    return out.join('\n');
+  }
+
+  /**
+   * Undo deltaEncodeGcode; what a device that lists 'delta' in /info does with the upload.
+   * @param {string} text - Encoded text, starting with the ';gcode-delta/1' line
+   * @returns {string}
+   */
+  function deltaDecodeGcode(text) {
+    const lines = text.split('\n');
+    if (lines[0] !== DELTA_HEADER) {
+      throw new Error('deltaDecodeGcode: first line must be "' + DELTA_HEADER + '"');
+    }
+    const out = [];
+    const lastByCmd = {};
+    for (let i = 1; i < lines.length; i++) {
+      const line = lines[i];
+      let decoded;
+      if (line.charAt(0) === '@') {
+        const k = /^@([1-9])$/.exec(line);
+        if (!k || Number(k[1]) > out.length) throw new Error('deltaDecodeGcode: bad back reference "' + line + '" on line ' + (i + 1));
+        decoded = out[out.length - Number(k[1])];
+      } else if (line.charAt(0) === '^') {
+        const words = line.slice(1).split(' ');
+        const prev = lastByCmd[words[0]];
+        if (!prev) throw new Error('deltaDecodeGcode: no earlier ' + words[0] + ' line for "' + line + '" on line ' + (i + 1));
+        const changed = {};
+        words.slice(1).forEach(function (w) { changed[w.charAt(0)] = w; });
+        decoded = prev.map(function (w, j) { return (j > 0 && changed[w.charAt(0)]) || w; }).join(' ');
+      } else {
+        decoded = line.charAt(0) === '\\' ? line.slice(1) : line;
+      }
+      const words = deltaWords(decoded);
+      if (words) lastByCmd[words[0]] = words;
+      out.push(decoded);
+    }
+    return out.join('\n');
+  }
+
+  function gzipBlob(blob) {
+    return new Response(blob.stream().pipeThrough(new CompressionStream('gzip'))).blob();
+  }
+
+  /**
+   * Pick and apply an encoding the device can decode.
+   * @param {File} file - Plain G-code file
+   * @param {string} text - Same content as text (for delta encoding)
+   * @param {string} espIp
+   * @param {object} opts - compress, signal, timeout
+   * @returns {Promise<{ blob: Blob, encoding: string|null, compression?: object }>}
+   */
+  function encodeForDevice(file, text, espIp, opts) {
+    if (!opts.compress) {
+      return Promise.resolve({ blob: file, encoding: null });
+    }
+    const canGzip = typeof CompressionStream === 'function';
+    const infoReady = opts.deviceInfo
+      ? Promise.resolve(opts.deviceInfo)
+      : fetchWithTimeout(deviceUrl(espIp, INFO_PATH), { method: 'GET', mode: 'cors' }, opts)
+        .then(function (response) {
+          return response.ok ? response.json() : {};
+        })
+        .catch(function () {
+          return {};
+        });
+    return infoReady
+      .then(function (info) {
+        const supported = (info && Array.isArray(info.compression)) ? info.compression : [];
+        const wanted = opts.compress === true ? ['gzip', 'delta'] : [opts.compress];
+        const encoding = wanted.filter(function (e) {
+          return supported.indexOf(e) !== -1 && (e !== 'gzip' || canGzip);
+        })[0];
+        if (!encoding) {
+          return { blob: file, encoding: null };
+        }
+        const encoded = encoding === 'gzip'
+          ? gzipBlob(file)
+          : Promise.resolve(new Blob([deltaEncodeGcode(text)], { type: 'text/plain' }));
+        return encoded.then(function (blob) {
+          if (blob.size >= file.size) {
+            return { blob: file, encoding: null };
+          }
+          return {
+            blob: blob,
+            encoding: encoding,
+            compression: {
+              encoding: encoding,
+              originalBytes: file.size,
+              encodedBytes: blob.size,
+              ratio: Math.round((file.size / Math.max(1, blob.size)) * 100) / 100,
+            },
+          };
+        });
+      });
+  }
+
+  function abortedResult() {
+    return { ok: false, aborted: true, message: 'Upload aborted' };
+  }
+
+  function timeoutResult(ms) {
+    return { ok: false, timedOut: true, message: 'Request timed out after ' + ms + ' ms' };
+  }
+
+  /**
+   * fetch() that honours an optional AbortSignal and per-request timeout.
+   * Rejects like fetch; use describeFetchError() to turn the rejection into a result.
+   * @param {string} url
+   * @param {object} init - fetch init (signal is set here)
+   * @param {{ signal?: AbortSignal, timeout?: number }} [transfer]
+   */
+  function fetchWithTimeout(url, init, transfer) {
+    const signal = transfer && transfer.signal;
+    const timeout = transfer && transfer.timeout > 0 ? transfer.timeout : 0;
+    if (!timeout) {
+      return fetch(url, Object.assign({}, init, { signal: signal }));
+    }
+    const controller = new AbortController();
+    function onAbort() {
+      controller.abort();
+    }
+    if (signal) signal.addEventListener('abort', onAbort);
+    const timer = setTimeout(function () {
+      controller.timedOut = true;
+      controller.abort();
+    }, timeout);
+    function cleanup() {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+    return fetch(url, Object.assign({}, init, { signal: controller.signal })).then(
+      function (response) {
+        cleanup();
+        return response;
+      },
+      function (err) {
+        cleanup();
+        if (controller.timedOut) err.timedOut = true;
+        throw err;
+      }
+    );
+  }
+
+  function describeFetchError(err, transfer) {
+    if (err && err.timedOut) return timeoutResult(transfer.timeout);
+    if (transfer && transfer.signal && transfer.signal.aborted) return abortedResult();
+    return networkError(err);
+  }
+
+  function isRetryable(result) {
+    if (result.aborted || result.reason) return false;
+    if (result.timedOut || !result.status) return true;
+    return result.status >= 500 || result.status === 408 || result.status === 429;
+  }
+
+  function wait(ms, signal) {
+    return new Promise(function (resolve) {
+      const timer = setTimeout(done, ms);
+      function done() {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', done);
+        resolve();
+      }
+      if (signal) signal.addEventListener('abort', done);
+    });
+  }
+
+  /**
+   * Run one request, retrying retryable failures with exponential backoff.
+   * @param {function(): Promise<object>} attemptFn - Makes the request, resolves to a result
+   * @param {{ retries?: number, retryDelay?: number, maxRetryDelay?: number, signal?: AbortSignal }} opts
+   * @returns {Promise<object>} The last result, with `attempts` (and `retryable`, `errors` on failure)
+   */
+  function withRetries(attemptFn, opts) {
+    const retries = opts.retries > 0 ? Math.floor(opts.retries) : 0;
+    const baseDelay = opts.retryDelay >= 0 ? opts.retryDelay : DEFAULT_RETRY_DELAY_MS;
+    const maxDelay = opts.maxRetryDelay >= 0 ? opts.maxRetryDelay : DEFAULT_MAX_RETRY_DELAY_MS;
+    const errors = [];
+
+    function attempt(n) {
+      return attemptFn().then(function (result) {
+        result.attempts = n;
+        if (result.ok) {
+          if (errors.length) result.errors = errors;
+          return result;
+        }
+        const retryable = isRetryable(result);
+        errors.push({ attempt: n, status: result.status, message: result.message, retryable: retryable });
+        if (!retryable || n > retries || (opts.signal && opts.signal.aborted)) {
+          result.retryable = retryable;
+          result.errors = errors;
+          return result;
+        }
+        return wait(Math.min(maxDelay, baseDelay * Math.pow(2, n - 1)), opts.signal).then(function () {
+          return attempt(n + 1);
+        });
+      });
+    }
+
+    return attempt(1);
+  }
+
+  /**
+   * Ask the device for the checksum of the stored file and compare it with ours.
+   * @returns {Promise<object>} uploadResult (plus `checksum`) on match, otherwise a failed result
+   */
+  function confirmChecksum(espIp, name, algo, expected, uploadResult, transfer) {
+    const url = deviceUrl(espIp, CHECKSUM_PATH) + '?path=' + encodeURIComponent(name) + '&algo=' + algo;
+    return fetchWithTimeout(url, { method: 'GET', mode: 'cors' }, transfer)
+      .then(function (response) {
+        return response.text().then(function (text) {
+          if (!response.ok) {
+            return { ok: false, status: response.status, message: 'Checksum check failed: ' + (text || response.statusText) };
+          }
+          let actual = text.trim();
+          try {
+            const body = JSON.parse(text);
+            if (body && typeof body.checksum === 'string') actual = body.checksum;
+          } catch (e) {
+            // Plain-text reply: the body is the checksum itself
+          }
+          actual = actual.toLowerCase();
+          if (actual !== expected) {
+            return {
+              ok: false,
+              status: response.status,
+              reason: 'checksum',
+              expected: expected,
+              actual: actual,
+              message: algo + ' mismatch: sent ' + expected + ', device has ' + (actual || 'nothing'),
+            };
+          }
+          uploadResult.checksum = expected;
+          return uploadResult;
+        });
+      })
+      .catch(function (err) {
+        return describeFetchError(err, transfer);
+      });
+  }
+
+  /**
+   * POST one file as multipart/form-data. Uses XMLHttpRequest where available so upload
+   * progress can be reported; falls back to fetch (progress then only fires on completion).
+   * @param {string} url
+   * @param {Blob} blob
+   * @param {string} name
+   * @param {{ signal?: AbortSignal, timeout?: number, onProgress?: function(number) }} [transfer] - onProgress receives bytes of this blob sent
+   */
+  function postFile(url, blob, name, transfer) {
+    const signal = transfer && transfer.signal;
+    const timeout = transfer && transfer.timeout > 0 ? transfer.timeout : 0;
+    const onProgress = transfer && transfer.onProgress;
+    if (signal && signal.aborted) {
+      return Promise.resolve(abortedResult());
+    }
+    const formData = new FormData();
+    formData.append('file', blob, name);
+
+    if (typeof XMLHttpRequest === 'undefined') {
+      return fetchWithTimeout(url, { method: 'POST', body: formData, mode: 'cors' }, transfer)
+        .then(function (response) {
+          if (response.ok && onProgress) onProgress(blob.size);
+          return toResult(response);
+        })
+        .catch(function (err) {
+          return describeFetchError(err, transfer);
+        });
+    }
+
+    return new Promise(function (resolve) {
+      const xhr = new XMLHttpRequest();
+      function onAbort() {
+        xhr.abort();
+      }
+      function settle(result) {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve(result);
+      }
+      xhr.open('POST', url);
+      xhr.timeout = timeout;
+      if (onProgress) {
+        xhr.upload.onprogress = function (e) {
+          // e.loaded counts multipart framing too; clamp to the file's own size
+          onProgress(Math.min(e.loaded, blob.size));
+        };
+      }
+      xhr.onload = function () {
+        if (xhr.status >= 200 && xhr.status < 300) {
+          if (onProgress) onProgress(blob.size);
+          settle({ ok: true, status: xhr.status });
+        } else {
+          settle({ ok: false, status: xhr.status, message: xhr.responseText || xhr.statusText });
+        }
+      };
+      xhr.onerror = function () {
+        settle(networkError(null));
+      };
+      xhr.ontimeout = function () {
+        settle(timeoutResult(timeout));
+      };
+      xhr.onabort = function () {
+        settle(abortedResult());
+      };
+      if (signal) signal.addEventListener('abort', onAbort);
+      xhr.send(formData);
+    });
+  }
+
+  /**
+   * Upload a file in fixed-size parts, one request per part, stopping at the first failure.
+   * @param {Blob} file - The whole file (sliced by bytes, so multi-byte characters are safe)
+   * @param {string} name - Target path on the device
+   * @param {string} espIp - ESP IP
+   * @param {number} chunkSize - Bytes per part
+   * @param {number} startIndex - First part to send (parts before it are assumed acknowledged)
+   * @param {{ signal?: AbortSignal, timeout?: number, onProgress?: function(number, number), retries?: number }} opts
+   * @param {string} extraQuery - Extra query params ('&a=b...') added to every part
+   * @returns {Promise<{ ok: boolean, status?: number, message?: string, aborted?: boolean, attempts: number, chunkCount: number, failedChunk?: number, resumeFrom?: number }>}
+   */
+  function uploadChunked(file, name, espIp, chunkSize, startIndex, opts, extraQuery) {
+    const total = file.size;
+    const count = Math.max(1, Math.ceil(total / chunkSize));
+    let attempts = 0;
+    const errors = [];
+    if (startIndex >= count) {
+      return Promise.resolve({ ok: true, attempts: 0, chunkCount: count });
+    }
+
+    function sendPart(index) {
+      const offset = index * chunkSize;
+      const part = file.slice(offset, Math.min(offset + chunkSize, total));
+      const query = '?path=' + encodeURIComponent(name) +
+        '&offset=' + offset +
+        '&total=' + total +
+        '&index=' + index +
+        '&count=' + count +
+        extraQuery;
+      const transfer = {
+        signal: opts.signal,
+        timeout: opts.timeout,
+        onProgress: opts.onProgress && function (sent) {
+          opts.onProgress(offset + sent, total);
+        },
+      };
+      return withRetries(function () {
+        return postFile(deviceUrl(espIp, CHUNK_UPLOAD_PATH) + query, part, name, transfer);
+      }, opts).then(function (result) {
+        attempts += result.attempts;
+        (result.errors || []).forEach(function (e) {
+          e.chunk = index;
+          errors.push(e);
+        });
+        result.attempts = attempts;
+        if (errors.length) result.errors = errors;
+        if (!result.ok) {
+          result.chunkCount = count;
+          result.failedChunk = index;
+          result.resumeFrom = index;
+          if (!result.aborted) {
+            result.message = 'Part ' + (index + 1) + '/' + count + ' failed: ' + (result.message || 'unknown error');
+          }
+          return result;
+        }
+        if (index + 1 >= count) {
+          result.chunkCount = count;
+          return result;
+        }
+        return sendPart(index + 1);
+      });
+    }
+
+    return sendPart(startIndex);
+  }
+
+  function requireIp(fnName, espIp) {
+    if (!espIp || typeof espIp !== 'string') {
+      return Promise.reject(new Error(fnName + ': espIp is required (e.g. "192.168.4.1")'));
+    }
+    return null;
+  }
+
+  function requirePath(fnName, argName, path) {
+    if (typeof path !== 'string' || !path.trim()) {
+      return Promise.reject(new Error(fnName + ': ' + argName + ' is required'));
+    }
+    return null;
+  }
+
+  /** Cut a file name to maxLength, keeping its extension when there is room for it. */
+  function truncateName(name, maxLength) {
+    if (name.length <= maxLength) return name;
+    const dot = name.lastIndexOf('.');
+    const ext = dot > 0 ? name.slice(dot) : '';
+    if (ext && ext.length < maxLength) return name.slice(0, maxLength - ext.length) + ext;
+    return name.slice(0, maxLength);
+  }
+
+  function toShortName(segment, isFile) {
+    const dot = isFile ? segment.lastIndexOf('.') : -1;
+    const base = (dot > 0 ? segment.slice(0, dot) : segment).replace(/\./g, '_').slice(0, 8);
+    const ext = dot > 0 ? segment.slice(dot + 1).replace(/\./g, '_').slice(0, 3) : '';
+    return (ext ? base + '.' + ext : base).toUpperCase();
+  }
+
+  /**
+   * Normalize a device path (e.g. 'pick&place/My Job.gcode') for the device's filesystem.
+   * @param {string} path - Folder(s) and file name, '/' or '\\' separated
+   * @param {string} [profile] - 'sd' (default) | 'fat83' | 'littlefs' | 'spiffs'
+   * @returns {{ ok: boolean, path?: string, folder?: string, name?: string, changed?: boolean, message?: string }}
+   */
+  function normalizeDevicePath(path, profile) {
+    const rules = DEVICE_PROFILES[profile || DEFAULT_DEVICE_PROFILE];
+    if (!rules) {
+      return { ok: false, message: 'Unknown device profile "' + profile + '"' };
+    }
+    const original = typeof path === 'string' ? path.trim() : '';
+    const parts = original.split(/[\\/]+/).filter(Boolean);
+    if (parts.length === 0) {
+      return { ok: false, message: 'File name is empty' };
+    }
+    if (parts.some(function (part) { return part === '.' || part === '..'; })) {
+      return { ok: false, message: 'Path "' + original + '" must not contain "." or ".." segments' };
+    }
+
+    const segments = [];
+    for (let i = 0; i < parts.length; i++) {
+      const isFile = i === parts.length - 1;
+      let segment = parts[i]
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(rules.unsafe || /[^A-Za-z0-9._&+~-]/g, '_')
+        .replace(/_+/g, '_')
+        .replace(/_+\./g, '.')
+        .replace(/^[._]+|[._]+$/g, '');
+      if (!segment) {
+        return { ok: false, message: 'Name "' + parts[i] + '" has no usable characters' };
+      }
+      segment = rules.shortNames ? toShortName(segment, isFile) : truncateName(segment, rules.maxSegment);
+      segments.push(segment);
+    }
+
+    const folder = segments.slice(0, -1).join('/');
+    let name = segments[segments.length - 1];
+    const room = rules.maxPath - (folder ? folder.length + 1 : 0);
+    if (room < 1) {
+      return { ok: false, message: 'Folder "' + folder + '" leaves no room for a file name on ' + (profile || DEFAULT_DEVICE_PROFILE) };
+    }
+    name = truncateName(name, room);
+    const normalized = folder ? folder + '/' + name : name;
+    return {
+      ok: true,
+      path: normalized,
+      folder: folder,
+      name: name,
+      changed: normalized !== parts.join('/'),
+    };
+  }
+
+  /**
+   * One bodiless request to a device endpoint, with timeout and retries.
+   * @param {string} espIp
+   * @param {string} method - 'GET' or 'POST' (both are CORS "simple" requests, so no preflight)
+   * @param {string} path - Endpoint path
+   * @param {Object<string, string>} params - Query parameters
+   * @param {object} [options] - signal, timeout, retries, retryDelay, maxRetryDelay
+   * @param {function(Response): Promise<object>} [readBody] - Extra fields for a successful result
+   * @returns {Promise<{ ok: boolean, status?: number, message?: string, attempts: number }>}
+   */
+  function callDevice(espIp, method, path, params, options, readBody) {
+    const opts = options || {};
+    const query = Object.keys(params).map(function (key) {
+      return encodeURIComponent(key) + '=' + encodeURIComponent(params[key]);
+    }).join('&');
+    const url = deviceUrl(espIp, path) + (query ? '?' + query : '');
+    return withRetries(function () {
+      return fetchWithTimeout(url, { method: method, mode: 'cors' }, opts)
+        .then(function (response) {
+          if (!response.ok || !readBody) return toResult(response);
+          return readBody(response).then(function (fields) {
+            return Object.assign({ ok: true, status: response.status }, fields);
+          });
+        })
+        .catch(function (err) {
+          return describeFetchError(err, opts);
+        });
+    }, opts);
+  }
+
+  function normalizeEntry(entry, folder) {
+    if (typeof entry === 'string') entry = { name: entry };
+    const name = String(entry.name || entry.path || '').replace(/^.*\//, '');
+    const dir = folder ? folder.replace(/^\/+|\/+$/g, '') : '';
+    return {
+      name: name,
+      path: entry.path ? String(entry.path).replace(/^\/+/, '') : (dir ? dir + '/' : '') + name,
+      size: typeof entry.size === 'number' ? entry.size : null,
+      isDir: !!(entry.isDir || entry.dir || entry.type === 'dir' || entry.type === 'directory'),
+    };
+  }
+
+  /**
+   * List files in a folder on the device (e.g. 'plotter', 'laser', 'pick&place'; '' for the root).
+   * @param {string} espIp
+   * @param {string} [folder]
+   * @param {object} [options] - signal, timeout, retries, retryDelay, maxRetryDelay
+   * @returns {Promise<{ ok: boolean, status?: number, message?: string, files?: Array<{ name: string, path: string, size: number|null, isDir: boolean }> }>}
+   */
+  function listDeviceFiles(espIp, folder, options) {
+    const invalid = requireIp('listDeviceFiles', espIp);
+    if (invalid) return invalid;
+    const dir = typeof folder === 'string' ? folder.trim() : '';
+    return callDevice(espIp, 'GET', LIST_PATH, { dir: dir }, options, function (response) {
+      return response.json().then(function (body) {
+        const entries = Array.isArray(body) ? body : (body && body.files) || [];
+        return { files: entries.map(function (entry) { return normalizeEntry(entry, dir); }) };
+      });
+    });
+  }
+
+  /**
+   * Delete a file on the device.
+   * @param {string} espIp
+   * @param {string} path - e.g. 'plotter/plot_2items.gcode'
+   * @param {object} [options] - signal, timeout, retries, retryDelay, maxRetryDelay
+   * @returns {Promise<{ ok: boolean, status?: number, message?: string }>}
+   */
+  function deleteDeviceFile(espIp, path, options) {
+    const invalid = requireIp('deleteDeviceFile', espIp) || requirePath('deleteDeviceFile', 'path', path);
+    if (invalid) return invalid;
+    return callDevice(espIp, 'POST', DELETE_PATH, { path: path.trim() }, options);
+  }
+
+  /**
+   * Rename or move a file on the device.
+   * @param {string} espIp
+   * @param {string} fromPath - Existing path
+   * @param {string} toPath - New path (normalized like upload names)
+   * @param {object} [options] - signal, timeout, retries, retryDelay, maxRetryDelay, deviceProfile
+   * @returns {Promise<{ ok: boolean, path: string, status?: number, message?: string }>}
+   */
+  function renameDeviceFile(espIp, fromPath, toPath, options) {
+    const invalid = requireIp('renameDeviceFile', espIp) ||
+      requirePath('renameDeviceFile', 'fromPath', fromPath) ||
+      requirePath('renameDeviceFile', 'toPath', toPath);
+    if (invalid) return invalid;
+    const target = normalizeDevicePath(toPath, options && options.deviceProfile);
+    if (!target.ok) {
+      return Promise.reject(new Error('renameDeviceFile: ' + target.message));
+    }
+    return callDevice(espIp, 'POST', RENAME_PATH, { from: fromPath.trim(), to: target.path }, options).then(function (result) {
+      result.path = target.path;
+      return result;
+    });
+  }
+
+  /**
+   * Read a file back from the device as text.
+   * @param {string} espIp
+   * @param {string} path
+   * @param {object} [options] - signal, timeout, retries, retryDelay, maxRetryDelay
+   * @returns {Promise<{ ok: boolean, status?: number, message?: string, content?: string }>}
+   */
+  function downloadDeviceFile(espIp, path, options) {
+    const invalid = requireIp('downloadDeviceFile', espIp) || requirePath('downloadDeviceFile', 'path', path);
+    if (invalid) return invalid;
+    return callDevice(espIp, 'GET', DOWNLOAD_PATH, { path: path.trim() }, options, function (response) {
+      return response.text().then(function (content) {
+        return { content: content };
+      });
+    });
+  }
+
+  /**
+   * Start running a G-code file already stored on the device.
+   * @param {string} espIp
+   * @param {string} path - e.g. 'plotter/plot_2items.gcode'
+   * @param {object} [options] - signal, timeout, retries, retryDelay, maxRetryDelay
+   * @returns {Promise<{ ok: boolean, status?: number, message?: string }>}
+   */
+  function runDeviceFile(espIp, path, options) {
+    const invalid = requireIp('runDeviceFile', espIp) || requirePath('runDeviceFile', 'path', path);
+    if (invalid) return invalid;
+    return callDevice(espIp, 'POST', RUN_PATH, { path: path.trim() }, options);
+  }
+
+  /** Pause the running job. Same options and result as runDeviceFile. */
+  function pauseJob(espIp, options) {
+    return requireIp('pauseJob', espIp) || callDevice(espIp, 'POST', PAUSE_PATH, {}, options);
+  }
+
+  /** Resume a paused job. Same options and result as runDeviceFile. */
+  function resumeJob(espIp, options) {
+    return requireIp('resumeJob', espIp) || callDevice(espIp, 'POST', RESUME_PATH, {}, options);
+  }
+
+  /** Stop the current job. Same options and result as runDeviceFile. */
+  function abortJob(espIp, options) {
+    return requireIp('abortJob', espIp) || callDevice(espIp, 'POST', ABORT_PATH, {}, options);
+  }
+
+  /**
+   * Read the device's job state.
+   * @param {string} espIp
+   * @param {object} [options] - signal, timeout, retries, retryDelay, maxRetryDelay
+   * @returns {Promise<{ ok: boolean, status?: number, message?: string, job?: { state: string, file?: string, progress?: number } }>}
+   */
+  function getJobStatus(espIp, options) {
+    const invalid = requireIp('getJobStatus', espIp);
+    if (invalid) return invalid;
+    return callDevice(espIp, 'GET', STATUS_PATH, {}, options, function (response) {
+      return response.json().then(function (body) {
+        const job = Object.assign({}, body);
+        job.state = String(job.state || 'unknown').toLowerCase();
+        return { job: job };
+      });
+    });
+  }
+
+  function numberOrNull(value) {
+    return typeof value === 'number' && isFinite(value) ? value : null;
+  }
+
+  /**
+   * Check that a device answers, allows CORS and identifies itself through /info.
+   * @param {string} espIp
+   * @param {object} [options] - signal, timeout (default 3000 ms), retries, retryDelay, maxRetryDelay
+   * @returns {Promise<{ ok: boolean, host: string, reachable: boolean, cors: boolean, status?: number, message?: string,
+   *                     latencyMs?: number, firmware?: string|null, version?: string|null, machine?: string|null, uploadPath?: string, deviceProfile?: string|null,
+   *                     maxFileSize?: number|null, freeBytes?: number|null, totalBytes?: number|null, compression?: string[], info?: object }>}
+   */
+  function probeDevice(espIp, options) {
+    const invalid = requireIp('probeDevice', espIp);
+    if (invalid) return invalid;
+    const opts = Object.assign({ timeout: DEFAULT_PROBE_TIMEOUT_MS }, options);
+    const url = deviceUrl(espIp, INFO_PATH);
+    const started = Date.now();
+    return callDevice(espIp, 'GET', INFO_PATH, {}, opts, function (response) {
+      return response.json().then(
+        function (info) {
+          return { info: info && typeof info === 'object' ? info : {} };
+        },
+        function () {
+          return { info: {} };
+        }
+      );
+    }).then(function (result) {
+      const base = { host: espIp, latencyMs: Date.now() - started, attempts: result.attempts };
+      if (result.ok) {
+        const info = result.info;
+        return Object.assign(base, {
+          ok: true,
+          reachable: true,
+          cors: true,
+          status: result.status,
+          firmware: typeof info.firmware === 'string' ? info.firmware : null,
+          version: typeof info.version === 'string' ? info.version : null,
+          machine: typeof info.machine === 'string' ? info.machine.toLowerCase() : null,
+          uploadPath: typeof info.uploadPath === 'string' ? info.uploadPath : UPLOAD_PATH,
+          deviceProfile: Object.prototype.hasOwnProperty.call(DEVICE_PROFILES, info.filesystem) ? info.filesystem : null,
+          maxFileSize: numberOrNull(info.maxFileSize),
+          freeBytes: numberOrNull(info.freeBytes),
+          totalBytes: numberOrNull(info.totalBytes),
+          compression: Array.isArray(info.compression) ? info.compression : [],
+          info: info,
+        });
+      }
+      if (result.status || result.aborted || result.timedOut) {
+        // The device answered (with an error) or we gave up waiting; no point in a second request
+        return Object.assign(base, {
+          ok: false,
+          reachable: !!result.status,
+          cors: !!result.status,
+          status: result.status,
+          timedOut: result.timedOut,
+          aborted: result.aborted,
+          message: result.message,
+        });
+      }
+      // fetch() failed without a response: tell "no host" apart from "host without CORS headers"
+      return fetchWithTimeout(url, { method: 'GET', mode: 'no-cors' }, opts).then(
+        function () {
+          return Object.assign(base, {
+            ok: false,
+            reachable: true,
+            cors: false,
+            message: 'Device answers but does not allow cross-origin requests (CORS)',
+          });
+        },
+        function (err) {
+          return Object.assign(base, describeFetchError(err, opts), { ok: false, reachable: false, cors: false });
+        }
+      );
+    });
+  }
+
+  /**
+   * Run task(item, index) for every item with at most `concurrency` in flight.
+   * @param {Array} items
+   * @param {number} concurrency
+   * @param {function(*, number): Promise<*>} task - Must not reject
+   * @returns {Promise<Array>} Task results in item order
+   */
+  function runPool(items, concurrency, task) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    function worker() {
+      if (next >= items.length) return Promise.resolve();
+      const index = next++;
+      return task(items[index], index).then(function (result) {
+        results[index] = result;
+        return worker();
+      });
+    }
+
+    const workers = [];
+    for (let i = 0; i < Math.min(concurrency, items.length); i++) workers.push(worker());
+    return Promise.all(workers).then(function () {
+      return results;
+    });
+  }
+
+  /**
+   * Probe a list of candidate hosts and report each one.
+   * @param {string[]} hosts - e.g. ['192.168.4.1', '192.168.1.50', 'plotter.local']
+   * @param {object} [options] - probeDevice options plus concurrency (default 4) and onResult(result)
+   * @returns {Promise<Array<object>>} probeDevice results in the order of `hosts`
+   */
+  function scanDevices(hosts, options) {
+    if (!Array.isArray(hosts)) {
+      return Promise.reject(new Error('scanDevices: hosts must be an array'));
+    }
+    const opts = options || {};
+    const concurrency = opts.concurrency > 0 ? Math.floor(opts.concurrency) : DEFAULT_SCAN_CONCURRENCY;
+    return runPool(hosts, concurrency, function (host) {
+      return probeDevice(host, opts)
+        .catch(function (err) {
+          return { ok: false, host: host, reachable: false, cors: false, message: err.message };
+        })
+        .then(function (result) {
+          if (opts.onResult) opts.onResult(result);
+          return result;
+        });
+    });
+  }
 
   /**
    * Upload G-code string to ESP as a file via HTTP POST (multipart/form-data).
    * @param {string} gcodeString - The G-code content
    * @param {string} [filename] - Filename for the upload (e.g. 'plot.gcode', 'gripper/run.gcode'). Default 'job.gcode'
    * @param {string} espIp - ESP IP (e.g. '192.168.4.1')
-   * @returns {Promise<{ ok: boolean, status?: number, message?: string }>}
+   * @param {{ chunked?: boolean, chunkSize?: number, resumeFrom?: number, onProgress?: function(number, number), signal?: AbortSignal,
+   *           verify?: boolean|'crc32'|'sha256', retries?: number, retryDelay?: number, maxRetryDelay?: number, timeout?: number,
+   *           deviceProfile?: string, compress?: boolean|'gzip'|'delta', deviceInfo?: object }} [options]
+   * @returns {Promise<{ ok: boolean, path: string, status?: number, message?: string, aborted?: boolean, timedOut?: boolean, reason?: string, checksum?: string,
+   *                     attempts: number, retryable?: boolean, errors?: Array<object>, compression?: object, chunkCount?: number, failedChunk?: number, resumeFrom?: number }>}
    */
-  function sendToDevice(gcodeString, filename, espIp) {
+  function sendToDevice(gcodeString, filename, espIp, options) {
     if (typeof gcodeString !== 'string') {
       return Promise.reject(new Error('sendToDevice: gcodeString must be a string'));
     }
@@ -32,37 +1029,151 @@
       return Promise.reject(new Error('sendToDevice: espIp is required (e.g. "192.168.4.1")'));
     }
 
-    const name = (typeof filename === 'string' && filename.trim()) ? filename.trim() : DEFAULT_FILENAME;
-    const url = espIp.replace(/\/$/, '') + UPLOAD_PATH;
+    const opts = options || {};
+    const verify = opts.verify === true ? 'crc32' : opts.verify;
+    if (verify && verify !== 'crc32' && verify !== 'sha256') {
+      return Promise.reject(new Error('sendToDevice: verify must be "crc32" or "sha256"'));
+    }
+    if (opts.compress && opts.compress !== true && opts.compress !== 'gzip' && opts.compress !== 'delta') {
+      return Promise.reject(new Error('sendToDevice: compress must be true, "gzip" or "delta"'));
+    }
+    const profile = opts.deviceProfile || (opts.deviceInfo && opts.deviceInfo.deviceProfile);
+    const stored = normalizeDevicePath((typeof filename === 'string' && filename.trim()) ? filename : DEFAULT_FILENAME, profile);
+    if (!stored.ok) {
+      return Promise.reject(new Error('sendToDevice: ' + stored.message));
+    }
+    const name = stored.path;
     const file = new File([gcodeString], name, { type: 'text/plain' });
-    const formData = new FormData();
-    formData.append('file', file);
 
-    return fetch(url, {
-      method: 'POST',
-      body: formData,
-      mode: 'cors',
-    })
-      .then(function (response) {
-        if (response.ok) {
-          return { ok: true, status: response.status };
-        }
-        return response.text().then(function (text) {
-          return {
-            ok: false,
-            status: response.status,
-            message: text || response.statusText,
-          };
+    return Promise.all([
+      verify ? computeChecksum(gcodeString, verify) : null,
+      encodeForDevice(file, gcodeString, espIp, opts),
+    ]).then(function (prepared) {
+      const checksum = prepared[0];
+      const body = prepared[1].blob;
+      const extraQuery = (checksum ? '&algo=' + verify + '&checksum=' + checksum : '') +
+        (prepared[1].encoding ? '&encoding=' + prepared[1].encoding : '');
+      const retries = opts.retries > 0 ? Math.floor(opts.retries) : 0;
+      let attempts = 0;
+      const errors = [];
+
+      // Fold one step's attempts and errors into the totals for the whole send
+      function tally(result) {
+        attempts += result.attempts || 0;
+        (result.errors || []).forEach(function (e) {
+          errors.push(e);
         });
-      })
-      .catch(function (err) {
-        return {
-          ok: false,
-          message: err && err.message ? err.message : 'Network or CORS error',
+        result.attempts = attempts;
+        if (errors.length) result.errors = errors;
+        return result;
+      }
+
+      function upload(startIndex) {
+        if (opts.chunked || opts.chunkSize) {
+          const chunkSize = opts.chunkSize > 0 ? Math.floor(opts.chunkSize) : DEFAULT_CHUNK_SIZE;
+          return uploadChunked(body, name, espIp, chunkSize, startIndex, opts, extraQuery);
+        }
+        const uploadPath = (opts.deviceInfo && opts.deviceInfo.uploadPath) || UPLOAD_PATH;
+        const url = deviceUrl(espIp, uploadPath) + (extraQuery ? '?' + extraQuery.slice(1) : '');
+        const transfer = {
+          signal: opts.signal,
+          timeout: opts.timeout,
+          onProgress: opts.onProgress && function (sent) {
+            opts.onProgress(sent, body.size);
+          },
         };
+        return withRetries(function () {
+          return postFile(url, body, name, transfer);
+        }, opts);
+      }
+
+      // A stored file that fails its checksum is sent again from the start, up to `retries` times
+      function uploadAndVerify(startIndex, round) {
+        return upload(startIndex).then(function (result) {
+          tally(result);
+          if (!result.ok || !checksum) return result;
+          const uploaded = Object.assign({}, result);
+          delete uploaded.attempts;
+          delete uploaded.errors;
+          return withRetries(function () {
+            return confirmChecksum(espIp, name, verify, checksum, uploaded, opts);
+          }, opts).then(function (confirmed) {
+            tally(confirmed);
+            if (confirmed.reason === 'checksum' && round < retries && !(opts.signal && opts.signal.aborted)) {
+              return uploadAndVerify(0, round + 1);
+            }
+            return confirmed;
+          });
+        });
+      }
+
+      return uploadAndVerify(opts.resumeFrom > 0 ? Math.floor(opts.resumeFrom) : 0, 0).then(function (result) {
+        result.path = name;
+        if (prepared[1].compression) result.compression = prepared[1].compression;
+        return result;
       });
+    });
   }
 
+  /**
+   * Upload several jobs (e.g. the same G-code to every plotter on the line) with a concurrency limit.
+   * @param {Array<{ gcode: string, filename?: string, espIp: string, options?: object }>} jobs
+   * @param {object} [options] - Shared sendToDevice options plus concurrency, onJobProgress, onJobDone
+   * @returns {Promise<{ ok: boolean, sent: number, failed: number, results: Array<object> }>}
+   */
+  function sendToDevices(jobs, options) {
+    if (!Array.isArray(jobs)) {
+      return Promise.reject(new Error('sendToDevices: jobs must be an array'));
+    }
+    const opts = options || {};
+    const concurrency = opts.concurrency > 0 ? Math.floor(opts.concurrency) : DEFAULT_BATCH_CONCURRENCY;
+    return runPool(jobs, concurrency, function (job, index) {
+      const jobOpts = Object.assign({}, opts, job && job.options);
+      if (opts.onJobProgress) {
+        jobOpts.onProgress = function (sent, total) {
+          opts.onJobProgress(index, sent, total);
+        };
+      }
+      const espIp = job && job.espIp;
+      return Promise.resolve()
+        .then(function () {
+          return sendToDevice(job && job.gcode, job && job.filename, espIp, jobOpts);
+        })
+        .catch(function (err) {
+          return { ok: false, message: err.message };
+        })
+        .then(function (result) {
+          result.espIp = espIp;
+          if (opts.onJobDone) opts.onJobDone(index, result);
+          return result;
+        });
+    }).then(function (results) {
+      const sent = results.filter(function (r) { return r.ok; }).length;
+      return { ok: sent === results.length, sent: sent, failed: results.length - sent, results: results };
+    });
+  }
+
+  const deviceApi = {
+    listDeviceFiles: listDeviceFiles,
+    deleteDeviceFile: deleteDeviceFile,
+    renameDeviceFile: renameDeviceFile,
+    downloadDeviceFile: downloadDeviceFile,
+    runDeviceFile: runDeviceFile,
+    pauseJob: pauseJob,
+    resumeJob: resumeJob,
+    abortJob: abortJob,
+    getJobStatus: getJobStatus,
+    normalizeDevicePath: normalizeDevicePath,
+    deltaEncodeGcode: deltaEncodeGcode,
+    deltaDecodeGcode: deltaDecodeGcode,
+    probeDevice: probeDevice,
+    scanDevices: scanDevices,
+    sendToDevices: sendToDevices,
+  };
+  Object.keys(deviceApi).forEach(function (key) {
+    sendToDevice[key] = deviceApi[key];
+  });
+
   // Expose globally for script-tag usage (cloud / any page)
   global.sendToDevice = sendToDevice;
 
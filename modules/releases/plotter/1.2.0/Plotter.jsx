@@ -0,0 +1,1083 @@
+import React, { useState, useEffect, useRef } from 'react';
+import './Plotter.css';
+import { useConnection } from '../components/context/ConnectionContext';
+import { uploadGcodeFile } from '../components/api/gcodeUploader';
+import {
+  canUpload, createLifecycle, createSession, getRunDeviceFile, makeTranslator, resolveDeviceProfile, toStoredPath,
+  uploadGcode, uploadReportsProgress,
+} from './moduleKit.js';
+import {
+  adaptiveCubic, adaptiveQuad, applyToolPaths, BEZIER_FLATNESS_TOLERANCE, explodePathToSegments,
+  findCenterArc, ggcodeGenerateGCode, hatchLines, itemBounds, itemTransform, optimizeTravel, pathRings,
+  placeItem, toSegment,
+} from './plotterCore.js';
+
+// --- Configuration ---
+// Bed: origin (0,0) at bottom center; X from -width/2 (left) to +width/2 (right); Y from 0 (bottom) to height (top).
+// These are the fallbacks; the host passes the machine's values as props (see "config" in modules.json).
+const BED_WIDTH_MM = 500;
+const BED_HEIGHT_MM = 300;
+
+const DEFAULT_SETTINGS = {
+  // Dimensions (mm)
+  width: 100,
+  height: 100,
+  keepProportions: true,
+  scale: 1, // Internal scale factor
+  
+  // Positioning (posX/posY: bottom-left of the item's bounding box; posX from -width/2 of the bed, posY: 0 = bottom)
+  posX: 0,
+  posY: 0,
+  rotation: 0, // degrees counter-clockwise
+  mirrorX: false, // swap left and right
+  mirrorY: false, // swap top and bottom
+  
+  // Plotter Settings
+  tool: 'pen', // 'pen' | 'laser' | 'knife' (drag knife)
+  zUp: 5.0,
+  zDown: 0.0,
+  workSpeed: 1000,
+  travelSpeed: 6000,
+  passes: 1, // laser / knife: times each shape is cut
+
+  // Laser (tool: 'laser')
+  laserPower: 1000, // S value while cutting
+  dynamicPower: false, // M4: firmware scales power with speed (cleaner corners); M3 otherwise
+  dwell: 0, // ms to wait after switching the laser on (pierce)
+  dwellUnit: 'ms', // 'ms' (Marlin: G4 P<ms>) or 's' (GRBL: G4 P<sec>)
+
+  // Drag knife (tool: 'knife')
+  knifeOffset: 0.3, // mm from the holder axis to the blade tip
+
+  // Fill: hatch lines inside filled, closed shapes (as the SVG's fill-rule defines them)
+  hatch: false,
+  hatchSpacing: 1, // mm between lines
+  hatchAngle: 45, // degrees
+  crosshatch: false, // second pass at hatchAngle + 90
+  hatchInset: 0, // mm kept clear of the outline
+
+  // Quality
+  curveResolution: 0.5, // mm per segment for curves
+};
+
+function createItemId() {
+  return 'plot_' + Date.now() + '_' + Math.random().toString(36).slice(2, 9);
+}
+
+// Dialog and sidebar text. The host passes the operator's language from the module's catalog
+// (i18n.messages_url in modules.json) as the messages prop; missing keys fall back to these.
+const MESSAGES = {
+  generateFailed: 'Error generating G-code',
+  connectFirst: 'Connect to a device first (use the connection menu to connect to your ESP/plotter).',
+  sendUnavailable: 'Send to device is not available in this environment.',
+  runUnavailable: 'Upload & Run is not available in this environment.',
+  fileNamePrompt: 'Enter file name (.gcode will be added automatically):',
+  runFailed: 'G-code saved as {path}, but the job did not start:\n{reason}',
+  runRefused: 'Device refused the run request.',
+  sentAndStarted: 'G-code sent and started.\nRunning: {path}',
+  sent: 'G-code sent to device successfully.\nSaved as: {path}',
+  sendFailed: 'Failed to send G-code to device.',
+  selectImages: 'Please select image files (SVG).',
+  gcodeReady: 'G-code ready',
+  penUpTravel: 'Pen-up travel: {before} mm → {after} mm ({saved}% less)',
+  penUpTravelKept: 'Pen-up travel: {distance} mm (drawing order kept)',
+  whatNext: 'What would you like to do?',
+  download: 'Download',
+  sending: 'SENDING...',
+  uploadProgress: 'Uploading… {percent}%',
+  cancelUpload: 'Cancel upload',
+  uploadCancelled: 'Upload cancelled. Nothing was started on the device.',
+  sendToDevice: 'Send to device',
+  uploadAndRun: 'Upload & Run',
+  cancel: 'Cancel',
+  // Sidebar: tool settings
+  toolLabel: 'Tool:',
+  toolPen: 'Pen',
+  toolLaser: 'Laser',
+  toolKnife: 'Drag knife',
+  passes: 'Passes:',
+  laserSection: 'Laser',
+  laserPower: 'Power (S):',
+  dynamicPower: 'Dynamic power (M4):',
+  dwell: 'Dwell after on (ms):',
+  dwellUnit: 'Dwell unit:',
+  dwellUnitMs: 'ms (Marlin: G4 P<ms>)',
+  dwellUnitS: 's (GRBL: G4 P<sec>)',
+  bladeOffset: 'Blade offset (mm):',
+  // Sidebar: hatch fill
+  fillSection: 'Fill',
+  hatch: 'Hatch filled shapes:',
+  hatchSpacing: 'Line spacing (mm):',
+  hatchAngle: 'Angle (°):',
+  crosshatch: 'Crosshatch:',
+  hatchInset: 'Inset (mm):',
+  noFills: 'This image has no filled shapes.',
+  // Sidebar: orientation
+  orientationSection: 'Orientation',
+  rotation: 'Rotation (°):',
+  mirrorX: 'Mirror horizontally:',
+  mirrorY: 'Mirror vertically:',
+  // Toolbar, workspace and item list
+  uploadImages: 'Upload images',
+  reset: 'Reset',
+  uploading: 'Uploading…',
+  loadImages: 'Load images',
+  generate: 'GENERATE G-CODE',
+  processing: 'PROCESSING...',
+  removeItem: 'Remove',
+  loadHint: 'Load images (.SVG). Paths are traced as lines (vectors).',
+  // Sidebar: size and position
+  dimensionsSection: 'Dimensions (mm)',
+  width: 'Width:',
+  height: 'Height:',
+  keepProportions: 'Keep proportions:',
+  positionSection: 'Position (mm)',
+  posX: 'Pos X:',
+  posY: 'Pos Y:',
+  // Sidebar: plotter setup
+  setupSection: 'Plotter setup',
+  zUp: 'Z Up:',
+  zDown: 'Z Down:',
+  workSpeed: 'Work Speed:',
+  travelSpeed: 'Travel Speed:',
+};
+
+// Single image block on the bed (canvas + position)
+function PlotItem({ item, scale, isSelected, bedWidthMm, bedHeightMm }) {
+  const canvasRef = useRef(null);
+  const { paths, fills, settings, originalSize } = item;
+  const box = itemBounds(settings);
+  useEffect(() => {
+    if (!canvasRef.current || !paths || paths.length === 0) return;
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+    const renderScale = 2;
+    canvas.width = box.w * renderScale;
+    canvas.height = box.h * renderScale;
+    // Paths are traced in SVG units through the same transform as the G-code (bed mm -> canvas pixels, y down),
+    // then stroked in mm so the line width does not follow the item's scale.
+    const m = itemTransform(settings, originalSize);
+    const toCanvas = () => ctx.setTransform(
+      renderScale * m.a, -renderScale * m.b, renderScale * m.c, -renderScale * m.d,
+      renderScale * (m.e - settings.posX), renderScale * (settings.posY + box.h - m.f)
+    );
+    const stroke = () => {
+      ctx.setTransform(renderScale, 0, 0, renderScale, 0, 0);
+      ctx.stroke();
+    };
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.strokeStyle = '#2563eb';
+    ctx.lineWidth = 0.5;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    paths.forEach((poly) => {
+      const seg = toSegment(poly);
+      if (!seg) return;
+      toCanvas();
+      ctx.beginPath();
+      // GGcode-style segment: { type, p1, p2, params? }
+      if (seg.p1 && seg.p2 !== undefined) {
+        if (seg.type === 'arc' && seg.params && typeof seg.params.rx === 'number') {
+          const center = findCenterArc(seg.p1.x, seg.p1.y, seg.p2.x, seg.p2.y, seg.params.rx, seg.params.large, seg.params.sweep);
+          const r = Math.hypot(seg.p1.x - center.x, seg.p1.y - center.y);
+          const startAngle = Math.atan2(seg.p1.y - center.y, seg.p1.x - center.x);
+          const endAngle = Math.atan2(seg.p2.y - center.y, seg.p2.x - center.x);
+          // sweep 1 is the increasing angle, which the canvas draws clockwise
+          ctx.arc(center.x, center.y, r, startAngle, endAngle, seg.params.sweep !== 1);
+        } else if (seg.type === 'curve' && seg.params) {
+          let points;
+          if (seg.params.type === 'quadratic') {
+            const out = [];
+            adaptiveQuad({ x: seg.p1.x, y: seg.p1.y }, { x: seg.params.x1, y: seg.params.y1 }, { x: seg.p2.x, y: seg.p2.y }, BEZIER_FLATNESS_TOLERANCE, out);
+            points = [seg.p1, ...out];
+          } else {
+            const out = [];
+            adaptiveCubic({ x: seg.p1.x, y: seg.p1.y }, { x: seg.params.x1, y: seg.params.y1 }, { x: seg.params.x2, y: seg.params.y2 }, { x: seg.p2.x, y: seg.p2.y }, BEZIER_FLATNESS_TOLERANCE, out);
+            points = [seg.p1, ...out];
+          }
+          if (points.length >= 2) {
+            ctx.moveTo(points[0].x, points[0].y);
+            for (let i = 1; i < points.length; i++) ctx.lineTo(points[i].x, points[i].y);
+          }
+        } else {
+          ctx.moveTo(seg.p1.x, seg.p1.y);
+          ctx.lineTo(seg.p2.x, seg.p2.y);
+        }
+      } else if (seg.type === 'arc' && seg.start && seg.center) {
+        const r = Math.hypot(seg.start.x - seg.center.x, seg.start.y - seg.center.y);
+        const startAngle = Math.atan2(seg.start.y - seg.center.y, seg.start.x - seg.center.x);
+        const endAngle = Math.atan2(seg.end.y - seg.center.y, seg.end.x - seg.center.x);
+        ctx.arc(seg.center.x, seg.center.y, r, startAngle, endAngle, seg.clockwise);
+      } else if (seg.points && seg.points.length >= 2) {
+        ctx.moveTo(seg.points[0].x, seg.points[0].y);
+        for (let i = 1; i < seg.points.length; i++) ctx.lineTo(seg.points[i].x, seg.points[i].y);
+      }
+      stroke();
+    });
+    if (settings.hatch && fills && fills.length) {
+      ctx.strokeStyle = 'rgba(37, 99, 235, 0.5)';
+      ctx.lineWidth = 0.3;
+      toCanvas();
+      ctx.beginPath();
+      hatchLines(fills, settings.width / originalSize.w, settings.height / originalSize.h, settings).forEach(([p1, p2]) => {
+        ctx.moveTo(p1.x, p1.y);
+        ctx.lineTo(p2.x, p2.y);
+      });
+      stroke();
+    }
+  }, [paths, fills, settings.width, settings.height, settings.rotation, settings.mirrorX, settings.mirrorY, settings.hatch, settings.hatchSpacing, settings.hatchAngle, settings.crosshatch, settings.hatchInset, originalSize]);
+  return (
+    <div
+      data-plot-item
+      data-id={item.id}
+      style={{
+        position: 'absolute',
+        left: `${(bedWidthMm / 2 + settings.posX) * scale}px`,
+        top: `${(bedHeightMm - settings.posY - box.h) * scale}px`,
+        width: `${box.w * scale}px`,
+        height: `${box.h * scale}px`,
+        border: isSelected ? '2px dashed var(--accent)' : '1px dashed rgba(255,255,255,0.3)',
+        zIndex: isSelected ? 10 : 5,
+        cursor: 'move',
+      }}
+    >
+      <canvas ref={canvasRef} style={{ width: '100%', height: '100%', display: 'block', pointerEvents: 'none' }} />
+    </div>
+  );
+}
+
+// Module lifecycle (modules.json "lifecycle": 1; see createLifecycle in moduleKit.js). The mounted page keeps
+// `session` current: dirty while the items differ from the last downloaded or uploaded G-code, busy while
+// sending, and state is the items (their parsed paths and settings). Nothing runs in the page itself (jobs
+// run on the device), so there is nothing to stop.
+const session = createSession();
+
+export const lifecycle = createLifecycle(session, () => ({
+  importFormats: ['svg'],
+  simulate: false,
+  download: true,
+  sendToDevice: true,
+  uploadAndRun: Boolean(getRunDeviceFile()),
+  restoreState: true,
+}));
+
+// Folder on device SD card: pass as prop when used from different pages (e.g. plotter, laser).
+// bedWidthMm / bedHeightMm, deviceProfile and defaults (overrides for DEFAULT_SETTINGS) come from the module's manifest config;
+// messages is the operator's dialog text (see MESSAGES).
+export default function VectorPlotter({ uploadFolder = 'plotter', bedWidthMm = BED_WIDTH_MM, bedHeightMm = BED_HEIGHT_MM, deviceProfile, defaults, messages }) {
+  const { connectionStatus, espInfo } = useConnection?.() || {};
+  const t = makeTranslator(MESSAGES, messages);
+  const halfBedMm = bedWidthMm / 2;
+  // --- State: multiple images ---
+  const [items, setItems] = useState([]); // [{ id, name, paths, settings, originalSize }, ...]
+  const [activeId, setActiveId] = useState(null);
+  
+  // View State: x/y for panning the bed, scale for zoom
+  const [view, setView] = useState({ x: 0, y: 0, scale: 2.0 });
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [isUploading, setIsUploading] = useState(false);
+  const [lastGeneratedGcode, setLastGeneratedGcode] = useState(null);
+  const [isSending, setIsSending] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(null); // { sent, total } while sendToDevice uploads
+  const uploadAbortRef = useRef(null);
+  const [showGcodeDialog, setShowGcodeDialog] = useState(false);
+  const [travelStats, setTravelStats] = useState(null); // pen-up mm of lastGeneratedGcode: { before, after }
+  // Items as last downloaded or uploaded; anything else is unsaved work.
+  const [savedItems, setSavedItems] = useState(items);
+  const gcodeItemsRef = useRef(null); // items lastGeneratedGcode was made from
+
+  // --- Interaction State ---
+  const [dragMode, setDragMode] = useState('NONE'); // 'NONE', 'VIEW', 'IMAGE'
+  const lastMousePos = useRef({ x: 0, y: 0 });
+  const dragItemIdRef = useRef(null);
+  const pendingUploadsRef = useRef(0);
+
+  // --- Refs ---
+  const fileInputRef = useRef(null);
+  const containerRef = useRef(null);
+  const hiddenSvgRef = useRef(null); // For parsing path geometry
+
+  const activeItem = items.find((i) => i.id === activeId);
+
+  // --- Lifecycle session ---
+  useEffect(() => {
+    session.restore = (state) => {
+      if (!state || !Array.isArray(state.items)) return;
+      const restored = state.items.map((it) => ({ ...it, settings: { ...DEFAULT_SETTINGS, ...defaults, ...it.settings } }));
+      setItems(restored);
+      setActiveId(restored.some((it) => it.id === state.activeId) ? state.activeId : (restored[0] ? restored[0].id : null));
+      setSavedItems(state.unsaved ? null : restored);
+    };
+    if (session.pendingState) {
+      session.restore(session.pendingState);
+      session.pendingState = null;
+    }
+    return () => {
+      session.restore = null;
+      session.dirty = false;
+      session.busy = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    session.dirty = items.length > 0 && items !== savedItems;
+    session.busy = isProcessing || isUploading || isSending;
+    session.state = { items, activeId, unsaved: session.dirty };
+  }, [items, activeId, savedItems, isProcessing, isUploading, isSending]);
+
+  // --- Helpers (1 decimal place for settings) ---
+  const round = (num) => Math.round(num * 10) / 10;
+  const round1 = (num) => (typeof num === 'number' && !Number.isNaN(num) ? Math.round(num * 10) / 10 : num);
+  const roundGcode = (num) => Math.round(num * 1000) / 1000; // 3 decimals for CNC
+
+  // --- SVG Parsing Engine (returns { paths, fills, origW, origH } or null) ---
+  const parseSVG = (svgText) => {
+    const parser = new DOMParser();
+    const doc = parser.parseFromString(svgText, "image/svg+xml");
+    const svgEl = doc.querySelector("svg");
+    if (!svgEl) return null;
+
+    let viewBox = svgEl.getAttribute("viewBox");
+    let origW, origH;
+    if (viewBox) {
+      const vb = viewBox.split(/\s+|,/).filter(Boolean).map(parseFloat);
+      origW = vb[2];
+      origH = vb[3];
+    } else {
+      origW = parseFloat(svgEl.getAttribute("width")) || 100;
+      origH = parseFloat(svgEl.getAttribute("height")) || 100;
+    }
+
+    if (!hiddenSvgRef.current) return { paths: [], fills: [], origW, origH };
+    hiddenSvgRef.current.innerHTML = svgText;
+    const svgDom = hiddenSvgRef.current.querySelector('svg');
+    if (!svgDom) return { paths: [], fills: [], origW, origH };
+
+        svgDom.setAttribute('width', '100%');
+        svgDom.setAttribute('height', '100%');
+
+        const extractedPaths = [];
+        const extractedFills = [];
+        const precision = 0.5; // Finer sampling for smoother curves and fewer missed segments
+        const NS = "http://www.w3.org/2000/svg";
+
+        const getRefId = (useEl) => {
+            const href = useEl.getAttribute('href') || useEl.getAttribute('xlink:href') || '';
+            const m = href.match(/#([^#]+)/);
+            return m ? m[1] : href.replace(/^#/, '');
+        };
+
+        // Recursively expand <use> inside a cloned element so nested symbols appear (depth limit to avoid cycles)
+        const expandUsesInClone = (clone, svgRoot, depth) => {
+            if (depth > 15) return;
+            const uses = clone.querySelectorAll ? Array.from(clone.querySelectorAll('use')) : [];
+            uses.forEach((useEl) => {
+                const id = getRefId(useEl);
+                if (!id) return;
+                const ref = svgRoot.querySelector('[id="' + id + '"]') || document.getElementById(id);
+                if (!ref) return;
+                const tag = ref.tagName.toLowerCase();
+                const supported = ['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'g', 'symbol'];
+                if (!supported.includes(tag)) return;
+                const useX = parseFloat(useEl.getAttribute('x')) || 0;
+                const useY = parseFloat(useEl.getAttribute('y')) || 0;
+                let transform = `translate(${useX},${useY})`;
+                const tr = useEl.getAttribute('transform');
+                if (tr) transform = tr + ' ' + transform;
+                const innerGroup = document.createElementNS(NS, 'g');
+                innerGroup.setAttribute('transform', transform);
+                const innerClone = ref.cloneNode(true);
+                expandUsesInClone(innerClone, svgRoot, depth + 1);
+                innerGroup.appendChild(innerClone);
+                if (useEl.parentNode) useEl.parentNode.replaceChild(innerGroup, useEl);
+            });
+        };
+
+        // Resolve <use href="#id">: clone referenced element into a temp group with use's transform so getCTM() is correct
+        const tempGroups = [];
+        const allUse = svgDom.querySelectorAll('use');
+        allUse.forEach((useEl) => {
+            if (useEl.closest('defs')) return;
+            const id = getRefId(useEl);
+            if (!id) return;
+            const ref = svgDom.querySelector('[id="' + id + '"]') || document.getElementById(id);
+            if (!ref) return;
+            const tag = ref.tagName.toLowerCase();
+            const supported = ['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'g', 'symbol'];
+            if (!supported.includes(tag)) return;
+
+            const useX = parseFloat(useEl.getAttribute('x')) || 0;
+            const useY = parseFloat(useEl.getAttribute('y')) || 0;
+            let transform = `translate(${useX},${useY})`;
+            const tr = useEl.getAttribute('transform');
+            if (tr) transform = tr + ' ' + transform;
+
+            const group = document.createElementNS(NS, 'g');
+            group.setAttribute('transform', transform);
+            const clone = ref.cloneNode(true);
+            expandUsesInClone(clone, svgDom, 0);
+            group.appendChild(clone);
+            svgDom.appendChild(group);
+            tempGroups.push(group);
+        });
+
+        // Sample one element: get points with CTM applied. Filled shapes also add their outline to outFills
+        // as rings (for hatching), with the fill rule that decides which parts are holes.
+        const sampleElement = (el, outPaths, outFills) => {
+            const tag = el.tagName.toLowerCase();
+            const ctm = el.getCTM ? el.getCTM() : null;
+            const applyCtm = (pt) => {
+                if (!ctm) return { x: pt.x, y: pt.y };
+                return {
+                    x: pt.x * ctm.a + pt.y * ctm.c + ctm.e,
+                    y: pt.x * ctm.b + pt.y * ctm.d + ctm.f
+                };
+            };
+            const addFill = (d) => {
+                const style = window.getComputedStyle(el);
+                const fill = style.fill || el.getAttribute('fill') || '';
+                if (!fill || fill === 'none' || fill === 'transparent' || /rgba\(.*,\s*0\)$/.test(fill)) return;
+                if (parseFloat(style.fillOpacity) === 0) return;
+                const rings = pathRings(d).map((ring) => ring.map(applyCtm));
+                if (rings.length) outFills.push({ rule: style.fillRule === 'evenodd' ? 'evenodd' : 'nonzero', rings });
+            };
+
+            // GGcode-style segments: { type: 'arc'|'line'|'curve', p1, p2, params?, d? }
+            if (tag === 'path') {
+                const d = el.getAttribute('d') || '';
+                if (!d.trim()) return;
+                const pathSegments = explodePathToSegments(d, applyCtm);
+                pathSegments.forEach((seg) => outPaths.push(seg));
+                addFill(d);
+                return;
+            }
+
+            if (tag === 'circle') {
+                const cx = parseFloat(el.getAttribute('cx')) || 0;
+                const cy = parseFloat(el.getAttribute('cy')) || 0;
+                const r = parseFloat(el.getAttribute('r')) || 0;
+                if (r <= 0) return;
+                const pStart = applyCtm({ x: cx - r, y: cy });
+                const pMid = applyCtm({ x: cx + r, y: cy });
+                outPaths.push({ type: 'arc', p1: pStart, p2: pMid, params: { rx: r, ry: r, rot: 0, large: 1, sweep: 1 }, d: `M${cx-r},${cy} A${r} ${r} 0 1 1 ${cx+r} ${cy}` });
+                outPaths.push({ type: 'arc', p1: pMid, p2: pStart, params: { rx: r, ry: r, rot: 0, large: 1, sweep: 1 }, d: `M${cx+r},${cy} A${r} ${r} 0 1 1 ${cx-r} ${cy}` });
+                addFill(`M${cx-r},${cy} A${r} ${r} 0 1 1 ${cx+r} ${cy} A${r} ${r} 0 1 1 ${cx-r} ${cy} Z`);
+                return;
+            }
+
+            if (tag === 'ellipse') {
+                const cx = parseFloat(el.getAttribute('cx')) || 0;
+                const cy = parseFloat(el.getAttribute('cy')) || 0;
+                const rx = parseFloat(el.getAttribute('rx')) || 0;
+                const ry = parseFloat(el.getAttribute('ry')) || 0;
+                if (rx <= 0 || ry <= 0) return;
+                const d = `M${cx-rx},${cy} A${rx} ${ry} 0 1 1 ${cx+rx} ${cy} A${rx} ${ry} 0 1 1 ${cx-rx} ${cy}`;
+                const pathSegments = explodePathToSegments(d, applyCtm);
+                pathSegments.forEach((seg) => outPaths.push(seg));
+                addFill(d + ' Z');
+                return;
+            }
+
+            if (tag === 'line') {
+                const x1 = parseFloat(el.getAttribute('x1')) || 0, y1 = parseFloat(el.getAttribute('y1')) || 0;
+                const x2 = parseFloat(el.getAttribute('x2')) || 0, y2 = parseFloat(el.getAttribute('y2')) || 0;
+                outPaths.push({ type: 'line', p1: applyCtm({ x: x1, y: y1 }), p2: applyCtm({ x: x2, y: y2 }), params: {} });
+                return;
+            }
+            if (tag === 'rect') {
+                const x = parseFloat(el.getAttribute('x')) || 0, y = parseFloat(el.getAttribute('y')) || 0;
+                const w = parseFloat(el.getAttribute('width')) || 0, h = parseFloat(el.getAttribute('height')) || 0;
+                if (w <= 0 || h <= 0) return;
+                const p0 = applyCtm({ x, y });
+                const p1 = applyCtm({ x: x + w, y });
+                const p2 = applyCtm({ x: x + w, y: y + h });
+                const p3 = applyCtm({ x, y: y + h });
+                outPaths.push({ type: 'line', p1: p0, p2: p1, params: {} });
+                outPaths.push({ type: 'line', p1: p1, p2: p2, params: {} });
+                outPaths.push({ type: 'line', p1: p2, p2: p3, params: {} });
+                outPaths.push({ type: 'line', p1: p3, p2: p0, params: {} });
+                addFill(`M${x},${y} L${x + w},${y} L${x + w},${y + h} L${x},${y + h} Z`);
+                return;
+            }
+            if (tag === 'polyline' || tag === 'polygon') {
+                const pointsAttr = el.getAttribute('points') || '';
+                const nums = pointsAttr.trim().split(/[\s,]+/).map(parseFloat).filter((n) => !Number.isNaN(n));
+                if (nums.length < 4) return;
+                const verts = [];
+                for (let i = 0; i + 1 < nums.length; i += 2) verts.push(applyCtm({ x: nums[i], y: nums[i + 1] }));
+                for (let i = 0; i < verts.length - 1; i++)
+                    outPaths.push({ type: 'line', p1: verts[i], p2: verts[i + 1], params: {} });
+                if (tag === 'polygon' && verts.length > 2)
+                    outPaths.push({ type: 'line', p1: verts[verts.length - 1], p2: verts[0], params: {} });
+                // A filled polyline is filled as if it were closed
+                if (nums.length >= 6) addFill('M' + nums.slice(0, nums.length - (nums.length % 2)).join(' ') + ' Z');
+                return;
+            }
+
+            if (tag === 'g' || tag === 'symbol') {
+                const children = el.querySelectorAll('path, rect, circle, ellipse, line, polyline, polygon');
+                children.forEach(child => sampleElement(child, outPaths, outFills));
+            }
+        };
+
+        // Collect elements to sample: direct shapes not in defs + shapes inside expanded use groups
+        const direct = svgDom.querySelectorAll('path, rect, circle, ellipse, line, polyline, polygon');
+        direct.forEach(el => {
+            if (el.closest('defs')) return;
+            sampleElement(el, extractedPaths, extractedFills);
+        });
+
+        tempGroups.forEach(g => g.remove());
+    hiddenSvgRef.current.innerHTML = '';
+    return { paths: extractedPaths, fills: extractedFills, origW, origH };
+  };
+
+  const addItemsFromParsed = (name, paths, fills, origW, origH) => {
+    if (!paths || paths.length === 0) return;
+    const initialWidth = 100;
+    const initialHeight = origW > 0 ? round(initialWidth * (origH / origW)) : initialWidth;
+    setItems((prev) => {
+      const offset = prev.length * 22;
+      const newItem = {
+        id: createItemId(),
+        name,
+        paths,
+        fills: fills || [],
+        originalSize: { w: origW, h: origH },
+        settings: {
+          ...DEFAULT_SETTINGS,
+          ...defaults,
+          width: initialWidth,
+          height: initialHeight,
+          posX: Math.max(-halfBedMm, -offset),
+          posY: Math.min(bedHeightMm - initialHeight, offset),
+        },
+      };
+      setActiveId(newItem.id);
+      return [...prev, newItem];
+    });
+  };
+
+  // --- Logic: G-Code Generation (ggcode-style: connectivity-aware, arc fitting) ---
+  const generateGCode = async () => {
+    if (items.length === 0) return;
+    setIsProcessing(true);
+    await new Promise(r => setTimeout(r, 100));
+
+    try {
+      const first = items[0].settings; // only used when no item has anything to draw
+      const flatSegments = items.flatMap(placeItem);
+      const travel = optimizeTravel(flatSegments);
+      const code = ggcodeGenerateGCode(
+        applyToolPaths(travel.segments),
+        1,
+        first.workSpeed,
+        first.travelSpeed,
+        first.zUp,
+        first.zDown,
+        false
+      );
+
+      gcodeItemsRef.current = items;
+      setTravelStats({ before: travel.before, after: travel.after });
+      setLastGeneratedGcode(code);
+      setShowGcodeDialog(true);
+    } catch (e) {
+      console.error(e);
+      alert(t('generateFailed'));
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleDownloadGcode = () => {
+    if (!lastGeneratedGcode) return;
+    const blob = new Blob([lastGeneratedGcode], { type: "text/plain" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `plot_${items.length}items.gcode`;
+    a.click();
+    URL.revokeObjectURL(url);
+    setSavedItems(gcodeItemsRef.current);
+    setShowGcodeDialog(false);
+  };
+
+  const handleSendToDevice = async (runAfterUpload = false) => {
+    if (!lastGeneratedGcode) return;
+    const baseUrl = espInfo?.baseUrl;
+    if (!baseUrl) {
+      alert(t('connectFirst'));
+      return;
+    }
+    if (!canUpload(uploadGcodeFile)) {
+      alert(t('sendUnavailable'));
+      return;
+    }
+    const runDeviceFile = runAfterUpload ? getRunDeviceFile() : null;
+    if (runAfterUpload && !runDeviceFile) {
+      alert(t('runUnavailable'));
+      return;
+    }
+    const rawName = window.prompt(t('fileNamePrompt'), `plot_${items.length}items`);
+    if (rawName == null || String(rawName).trim() === '') return;
+    let fileName = String(rawName).trim();
+    if (!fileName.toLowerCase().endsWith('.gcode')) fileName += '.gcode';
+    // Busy before the profile lookup: with deviceProfile "auto" it may wait on the device's /info
+    setIsSending(true);
+    try {
+      const profile = await resolveDeviceProfile(baseUrl, deviceProfile);
+      const stored = toStoredPath(uploadFolder, fileName, profile);
+      if (!stored.ok) {
+        alert(stored.message);
+        return;
+      }
+      // With sendToDevice.js the dialog shows a progress bar and Cancel stops the upload
+      const controller = uploadReportsProgress() ? new AbortController() : null;
+      uploadAbortRef.current = controller;
+      if (controller) setUploadProgress({ sent: 0, total: 0 });
+      const upload = await uploadGcode(baseUrl, lastGeneratedGcode, stored, {
+        upload: uploadGcodeFile,
+        deviceProfile: profile,
+        onProgress: (sent, total) => setUploadProgress({ sent, total }),
+        signal: controller?.signal,
+      });
+      if (upload.aborted) {
+        alert(t('uploadCancelled'));
+        return;
+      }
+      if (!upload.ok) {
+        alert(upload.message || t('sendFailed'));
+        return;
+      }
+      setSavedItems(gcodeItemsRef.current);
+      if (runDeviceFile) {
+        const result = await runDeviceFile(baseUrl, stored.path);
+        if (!result.ok) {
+          alert(t('runFailed', { path: stored.path, reason: result.message || t('runRefused') }));
+          return;
+        }
+        alert(t('sentAndStarted', { path: stored.path }));
+      } else {
+        alert(t('sent', { path: stored.path }));
+      }
+      setShowGcodeDialog(false);
+    } catch (e) {
+      console.error(e);
+      alert(e?.message || t('sendFailed'));
+    } finally {
+      uploadAbortRef.current = null;
+      setUploadProgress(null);
+      setIsSending(false);
+    }
+  };
+
+  const uploadPercent = uploadProgress && uploadProgress.total > 0
+    ? Math.round((uploadProgress.sent / uploadProgress.total) * 100)
+    : 0;
+
+
+  // --- Handlers: File & Settings ---
+  const handleFile = (e) => {
+    const files = e.target.files;
+    if (!files || files.length === 0) return;
+    const svgFiles = Array.from(files).filter((f) => f.name.toLowerCase().endsWith('.svg'));
+    if (svgFiles.length === 0) {
+      alert(t('selectImages'));
+      e.target.value = '';
+      return;
+    }
+    pendingUploadsRef.current = svgFiles.length;
+    setIsUploading(true);
+    svgFiles.forEach((file) => {
+      const reader = new FileReader();
+      reader.onload = (ev) => {
+        const result = parseSVG(ev.target.result);
+        if (result && result.paths && result.paths.length > 0) {
+          const name = file.name.replace(/\.svg$/i, '');
+          addItemsFromParsed(name, result.paths, result.fills, result.origW, result.origH);
+        }
+        pendingUploadsRef.current -= 1;
+        if (pendingUploadsRef.current === 0) setIsUploading(false);
+      };
+      reader.onerror = () => {
+        pendingUploadsRef.current -= 1;
+        if (pendingUploadsRef.current === 0) setIsUploading(false);
+      };
+      reader.readAsText(file);
+    });
+    e.target.value = '';
+  };
+
+  const updateSetting = (key, value) => {
+    if (!activeId) return;
+    const numVal = typeof value === 'number' && !Number.isNaN(value) ? round1(value) : value;
+    setItems((prev) =>
+      prev.map((it) => {
+        if (it.id !== activeId) return it;
+        const next = { ...it, settings: { ...it.settings, [key]: numVal } };
+        if (it.settings.keepProportions && it.originalSize.w > 0 && (key === 'width' || key === 'height')) {
+          const aspect = it.originalSize.w / it.originalSize.h;
+          if (key === 'width') next.settings.height = round1(numVal / aspect);
+          if (key === 'height') next.settings.width = round1(numVal * aspect);
+        }
+        return next;
+      })
+    );
+  };
+
+  const deleteItem = (id) => {
+    setItems((prev) => {
+      const next = prev.filter((i) => i.id !== id);
+      if (activeId === id) setActiveId(next.length ? next[0].id : null);
+      return next;
+    });
+  };
+
+  // --- Handlers: Interactive Workspace ---
+  
+  const handleWheel = (e) => {
+    // Zoom with Ctrl/Meta + Scroll (or just Scroll based on preference, sticking to robust scroll zoom)
+    if (e.ctrlKey || e.metaKey || true) { // Always zoom on wheel for this 'studio' feel
+        e.preventDefault();
+        const delta = -Math.sign(e.deltaY) * 0.1;
+        const newScale = Math.max(0.2, Math.min(view.scale + delta, 10));
+        setView(prev => ({ ...prev, scale: newScale }));
+    }
+  };
+
+  const handleMouseDown = (e) => {
+    const plotItemEl = e.target.closest('[data-plot-item]');
+    if (plotItemEl && e.button === 0) {
+      e.stopPropagation();
+      const id = plotItemEl.dataset.id;
+      setActiveId(id);
+      dragItemIdRef.current = id;
+      setDragMode('IMAGE');
+      lastMousePos.current = { x: e.clientX, y: e.clientY };
+      return;
+    }
+    if (e.button === 0) {
+      setDragMode('VIEW');
+      lastMousePos.current = { x: e.clientX, y: e.clientY };
+    }
+  };
+
+  const handleMouseMove = (e) => {
+    if (dragMode === 'NONE') return;
+    const dx = e.clientX - lastMousePos.current.x;
+    const dy = e.clientY - lastMousePos.current.y;
+    lastMousePos.current = { x: e.clientX, y: e.clientY };
+
+    if (dragMode === 'VIEW') {
+      setView((prev) => ({ ...prev, x: prev.x + dx, y: prev.y + dy }));
+    } else if (dragMode === 'IMAGE' && dragItemIdRef.current) {
+      const dxMm = dx / view.scale;
+      const dyMm = -dy / view.scale;
+      setItems((prev) =>
+        prev.map((it) => {
+          if (it.id !== dragItemIdRef.current) return it;
+          const s = it.settings;
+          const box = itemBounds(s);
+          const minX = -halfBedMm;
+          const maxX = halfBedMm - box.w;
+          const minY = 0;
+          const maxY = Math.max(0, bedHeightMm - box.h);
+          return {
+            ...it,
+            settings: {
+              ...s,
+              posX: round(Math.max(minX, Math.min(maxX, s.posX + dxMm))),
+              posY: round(Math.max(minY, Math.min(maxY, s.posY + dyMm))),
+            },
+          };
+        })
+      );
+    }
+  };
+
+  const handleMouseUp = () => {
+    setDragMode('NONE');
+  };
+
+  return (
+    <div className="roboblock-studio-body">
+      <div ref={hiddenSvgRef} style={{ position: 'absolute', width: 0, height: 0, visibility: 'hidden', pointerEvents: 'none' }} />
+
+      <div id="main-container">
+        {/* LEFT TOOLBAR */}
+        <div className="plotter-toolbar">
+          <label className="plotter-icon-btn" title={t('uploadImages')}>
+            &#128193;
+            <input ref={fileInputRef} type="file" accept=".svg" multiple onChange={handleFile} style={{ display: 'none' }} />
+          </label>
+          <button className="plotter-icon-btn" title={t('reset')} onClick={() => { setItems([]); setActiveId(null); setView({ x: 0, y: 0, scale: 2 }); }}>&#10227;</button>
+          <div style={{ flexGrow: 1 }} />
+        </div>
+
+        {/* WORKSPACE CENTER */}
+        <div
+          className="plotter-workspace"
+          ref={containerRef}
+          onWheel={handleWheel}
+          onMouseDown={handleMouseDown}
+          onMouseMove={handleMouseMove}
+          onMouseUp={handleMouseUp}
+          onMouseLeave={handleMouseUp}
+          style={{ cursor: dragMode === 'VIEW' ? 'grabbing' : 'grab', justifyContent: 'center', alignItems: 'center', userSelect: 'none' }}
+        >
+          <div
+            id="machineBed"
+            style={{
+              width: `${bedWidthMm * view.scale}px`,
+              height: `${bedHeightMm * view.scale}px`,
+              backgroundColor: 'rgba(232,232,232,0.95)',
+              boxShadow: '0 10px 30px rgba(0,0,0,0.4)',
+              position: 'absolute',
+              transform: 'translate(-50%, -50%)',
+              left: `calc(50% + ${view.x}px)`,
+              top: `calc(50% + ${view.y}px)`,
+              backgroundImage: 'linear-gradient(rgba(200,200,200,0.8) 1px, transparent 1px), linear-gradient(90deg, rgba(200,200,200,0.8) 1px, transparent 1px)',
+              backgroundSize: `${10 * view.scale}px ${10 * view.scale}px`,
+              backgroundPosition: 'center bottom',
+              transition: dragMode === 'NONE' ? 'width 0.1s, height 0.1s' : 'none',
+              borderRadius: '8px',
+            }}
+          >
+            {/* Workspace: center bottom = 0,0; to right x+ → halfBedMm,0; to left x- → -halfBedMm,0; Y 0 = bottom */}
+            <div id="yAxis" style={{ position: 'absolute', top: 0, bottom: 0, left: '50%', width: 0, borderLeft: '2px solid #e74c3c', zIndex: 0, pointerEvents: 'none' }} />
+            <div id="xAxis" style={{ position: 'absolute', bottom: 0, left: 0, right: 0, height: 0, borderBottom: '2px solid #2ecc71', zIndex: 0, pointerEvents: 'none' }} />
+            <div style={{ position: 'absolute', left: 4, bottom: 4, fontSize: 10, color: '#666', pointerEvents: 'none' }}>{-halfBedMm},0</div>
+            <div style={{ position: 'absolute', left: '50%', bottom: 4, transform: 'translateX(-50%)', fontSize: 10, color: '#666', pointerEvents: 'none' }}>0,0</div>
+            <div style={{ position: 'absolute', right: 4, bottom: 4, fontSize: 10, color: '#666', pointerEvents: 'none' }}>{halfBedMm},0</div>
+
+            {items.map((item) => (
+              <PlotItem
+                key={item.id}
+                item={item}
+                scale={view.scale}
+                isSelected={activeId === item.id}
+                bedWidthMm={bedWidthMm}
+                bedHeightMm={bedHeightMm}
+              />
+            ))}
+
+            {isUploading && (
+              <div style={{ position: 'absolute', inset: 0, display: 'flex', alignItems: 'center', justifyContent: 'center', background: 'rgba(0,0,0,0.5)', color: 'var(--accent)', fontSize: '16px', fontWeight: 'bold', pointerEvents: 'none', zIndex: 50 }}>
+                {t('uploading')}
+              </div>
+            )}
+            {items.length === 0 && !isUploading && (
+              <div style={{ position: 'absolute', inset: 0, display: 'flex', alignItems: 'center', justifyContent: 'center', color: 'var(--text-muted)', fontSize: '14px', pointerEvents: 'none' }}>
+                {t('loadImages')}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* RIGHT SETTINGS */}
+        <div className="plotter-settings">
+          {items.length === 0 && (
+            <div style={{ position: 'absolute', top: 0, left: 0, width: '100%', height: '100%', background: 'rgba(0,0,0,0.4)', zIndex: 100, display: 'flex', justifyContent: 'center', alignItems: 'center', fontWeight: 'bold', color: 'var(--text-muted)', backdropFilter: 'blur(4px)' }}>
+              {t('loadImages')}
+            </div>
+          )}
+
+          <div style={{ padding: '20px', overflowY: 'auto', flexGrow: 1 }}>
+            <button className="plotter-full-width-btn" onClick={generateGCode} disabled={items.length === 0 || isProcessing} style={{ marginBottom: 16 }}>
+              {isProcessing ? t('processing') : t('generate')}
+            </button>
+
+            {showGcodeDialog && lastGeneratedGcode && (
+              <div
+                style={{
+                  position: 'fixed',
+                  inset: 0,
+                  zIndex: 9999,
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  background: 'rgba(0,0,0,0.5)',
+                  padding: 20,
+                }}
+                onClick={(e) => { if (e.target === e.currentTarget && !isSending) setShowGcodeDialog(false); }}
+              >
+                <div
+                  style={{
+                    background: 'var(--card-bg, #1a1a2e)',
+                    borderRadius: 12,
+                    padding: 24,
+                    maxWidth: 360,
+                    width: '100%',
+                    boxShadow: '0 8px 32px rgba(0,0,0,0.4)',
+                    border: '1px solid rgba(255,255,255,0.1)',
+                  }}
+                  onClick={(e) => e.stopPropagation()}
+                >
+                  <div style={{ fontSize: 16, fontWeight: 600, marginBottom: 8 }}>{t('gcodeReady')}</div>
+                  {travelStats && (
+                    <div style={{ fontSize: 13, color: 'var(--text-muted)', marginBottom: 8 }}>
+                      {travelStats.after < travelStats.before
+                        ? t('penUpTravel', {
+                          before: Math.round(travelStats.before),
+                          after: Math.round(travelStats.after),
+                          saved: Math.round((1 - travelStats.after / travelStats.before) * 100),
+                        })
+                        : t('penUpTravelKept', { distance: Math.round(travelStats.before) })}
+                    </div>
+                  )}
+                  <div style={{ fontSize: 13, color: 'var(--text-muted)', marginBottom: 20 }}>{t('whatNext')}</div>
+                  {uploadProgress && (
+                    <div style={{ marginBottom: 16 }}>
+                      <div style={{ height: 6, borderRadius: 3, background: 'rgba(255,255,255,0.1)', overflow: 'hidden' }}>
+                        <div style={{ width: `${uploadPercent}%`, height: '100%', background: 'var(--accent)', transition: 'width 0.2s' }} />
+                      </div>
+                      <div style={{ fontSize: 12, color: 'var(--text-muted)', marginTop: 6 }}>{t('uploadProgress', { percent: uploadPercent })}</div>
+                    </div>
+                  )}
+                  <div style={{ display: 'flex', flexDirection: 'column', gap: 10 }}>
+                    <button type="button" className="plotter-full-width-btn" onClick={handleDownloadGcode}>
+                      {t('download')}
+                    </button>
+                    <button
+                      type="button"
+                      className="plotter-full-width-btn"
+                      onClick={() => handleSendToDevice()}
+                      disabled={connectionStatus !== 'connected' || isSending}
+                      style={{ opacity: connectionStatus === 'connected' ? 1 : 0.7 }}
+                    >
+                      {isSending ? t('sending') : t('sendToDevice')}
+                    </button>
+                    <button
+                      type="button"
+                      className="plotter-full-width-btn"
+                      onClick={() => handleSendToDevice(true)}
+                      disabled={connectionStatus !== 'connected' || isSending}
+                      style={{ opacity: connectionStatus === 'connected' ? 1 : 0.7 }}
+                    >
+                      {isSending ? t('sending') : t('uploadAndRun')}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => (isSending ? uploadAbortRef.current?.abort() : setShowGcodeDialog(false))}
+                      disabled={isSending && !uploadProgress}
+                      style={{
+                        background: 'none',
+                        border: '1px solid rgba(255,255,255,0.2)',
+                        color: 'var(--text-muted)',
+                        padding: '10px 16px',
+                        borderRadius: 8,
+                        cursor: 'pointer',
+                        fontSize: 13,
+                      }}
+                    >
+                      {isSending ? t('cancelUpload') : t('cancel')}
+                    </button>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {items.length > 0 && (
+              <div style={{ marginTop: 12, marginBottom: 8, maxHeight: 120, overflowY: 'auto' }}>
+                {items.map((it) => (
+                  <div
+                    key={it.id}
+                    onClick={() => setActiveId(it.id)}
+                    style={{
+                      display: 'flex', alignItems: 'center', justifyContent: 'space-between',
+                      padding: '6px 8px', marginBottom: 4, borderRadius: 6, cursor: 'pointer',
+                      background: activeId === it.id ? 'rgba(0,210,255,0.2)' : 'rgba(255,255,255,0.05)',
+                      border: activeId === it.id ? '1px solid var(--accent)' : '1px solid transparent',
+                    }}
+                  >
+                    <span style={{ fontSize: 12, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', maxWidth: 180 }}>{it.name}</span>
+                    <button type="button" onClick={(ev) => { ev.stopPropagation(); deleteItem(it.id); }} style={{ background: 'none', border: 'none', color: 'var(--text-muted)', cursor: 'pointer', padding: '0 4px', fontSize: 14 }} title={t('removeItem')}>×</button>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {activeItem && (
+              <>
+                <div className="plotter-section-header">{t('dimensionsSection')}</div>
+                <div className="plotter-control-group"><label>{t('width')}</label><input type="number" step="0.1" value={activeItem.settings.width} onChange={(e) => updateSetting('width', parseFloat(e.target.value) || 0)} /></div>
+                <div className="plotter-control-group"><label>{t('height')}</label><input type="number" step="0.1" value={activeItem.settings.height} onChange={(e) => updateSetting('height', parseFloat(e.target.value) || 0)} /></div>
+                <div className="plotter-control-group"><label>{t('keepProportions')}</label><input type="checkbox" checked={activeItem.settings.keepProportions} onChange={(e) => updateSetting('keepProportions', e.target.checked)} /></div>
+
+                <div className="plotter-section-header">{t('positionSection')}</div>
+                <div className="plotter-control-group"><label>{t('posX')}</label><input type="number" step="0.1" value={activeItem.settings.posX} onChange={(e) => updateSetting('posX', parseFloat(e.target.value) || 0)} /></div>
+                <div className="plotter-control-group"><label>{t('posY')}</label><input type="number" step="0.1" value={activeItem.settings.posY} onChange={(e) => updateSetting('posY', parseFloat(e.target.value) || 0)} /></div>
+
+                <div className="plotter-section-header">{t('orientationSection')}</div>
+                <div className="plotter-control-group"><label>{t('rotation')}</label><input type="number" step="1" value={activeItem.settings.rotation} onChange={(e) => updateSetting('rotation', parseFloat(e.target.value) || 0)} /></div>
+                <div className="plotter-control-group"><label>{t('mirrorX')}</label><input type="checkbox" checked={activeItem.settings.mirrorX} onChange={(e) => updateSetting('mirrorX', e.target.checked)} /></div>
+                <div className="plotter-control-group"><label>{t('mirrorY')}</label><input type="checkbox" checked={activeItem.settings.mirrorY} onChange={(e) => updateSetting('mirrorY', e.target.checked)} /></div>
+
+                <div className="plotter-section-header">{t('setupSection')}</div>
+                <div className="plotter-control-group">
+                  <label>{t('toolLabel')}</label>
+                  <select value={activeItem.settings.tool} onChange={(e) => updateSetting('tool', e.target.value)}>
+                    <option value="pen">{t('toolPen')}</option>
+                    <option value="laser">{t('toolLaser')}</option>
+                    <option value="knife">{t('toolKnife')}</option>
+                  </select>
+                </div>
+                {activeItem.settings.tool !== 'laser' && (
+                  <>
+                    <div className="plotter-control-group"><label>{t('zUp')}</label><input type="number" step="0.1" value={activeItem.settings.zUp} onChange={(e) => updateSetting('zUp', parseFloat(e.target.value) || 0)} /></div>
+                    <div className="plotter-control-group"><label>{t('zDown')}</label><input type="number" step="0.1" value={activeItem.settings.zDown} onChange={(e) => updateSetting('zDown', parseFloat(e.target.value) || 0)} /></div>
+                  </>
+                )}
+                <div className="plotter-control-group"><label>{t('workSpeed')}</label><input type="number" step="0.1" value={activeItem.settings.workSpeed} onChange={(e) => updateSetting('workSpeed', parseFloat(e.target.value) || 0)} /></div>
+                <div className="plotter-control-group"><label>{t('travelSpeed')}</label><input type="number" step="0.1" value={activeItem.settings.travelSpeed} onChange={(e) => updateSetting('travelSpeed', parseFloat(e.target.value) || 0)} /></div>
+                {activeItem.settings.tool !== 'pen' && (
+                  <div className="plotter-control-group"><label>{t('passes')}</label><input type="number" step="1" min="1" value={activeItem.settings.passes} onChange={(e) => updateSetting('passes', Math.max(1, parseInt(e.target.value, 10) || 1))} /></div>
+                )}
+                {activeItem.settings.tool === 'laser' && (
+                  <>
+                    <div className="plotter-section-header">{t('laserSection')}</div>
+                    <div className="plotter-control-group"><label>{t('laserPower')}</label><input type="number" step="1" min="0" max="65535" value={activeItem.settings.laserPower} onChange={(e) => updateSetting('laserPower', parseFloat(e.target.value) || 0)} /></div>
+                    <div className="plotter-control-group"><label>{t('dynamicPower')}</label><input type="checkbox" checked={activeItem.settings.dynamicPower} onChange={(e) => updateSetting('dynamicPower', e.target.checked)} /></div>
+                    <div className="plotter-control-group"><label>{t('dwell')}</label><input type="number" step="1" min="0" value={activeItem.settings.dwell} onChange={(e) => updateSetting('dwell', Math.max(0, parseFloat(e.target.value) || 0))} /></div>
+                    <div className="plotter-control-group">
+                      <label>{t('dwellUnit')}</label>
+                      <select value={activeItem.settings.dwellUnit} onChange={(e) => updateSetting('dwellUnit', e.target.value)}>
+                        <option value="ms">{t('dwellUnitMs')}</option>
+                        <option value="s">{t('dwellUnitS')}</option>
+                      </select>
+                    </div>
+                  </>
+                )}
+                {activeItem.settings.tool === 'knife' && (
+                  <div className="plotter-control-group"><label>{t('bladeOffset')}</label><input type="number" step="0.1" min="0" value={activeItem.settings.knifeOffset} onChange={(e) => updateSetting('knifeOffset', Math.max(0, parseFloat(e.target.value) || 0))} /></div>
+                )}
+
+                <div className="plotter-section-header">{t('fillSection')}</div>
+                {activeItem.fills && activeItem.fills.length > 0 ? (
+                  <>
+                    <div className="plotter-control-group"><label>{t('hatch')}</label><input type="checkbox" checked={activeItem.settings.hatch} onChange={(e) => updateSetting('hatch', e.target.checked)} /></div>
+                    {activeItem.settings.hatch && (
+                      <>
+                        <div className="plotter-control-group"><label>{t('hatchSpacing')}</label><input type="number" step="0.1" min="0.1" value={activeItem.settings.hatchSpacing} onChange={(e) => updateSetting('hatchSpacing', Math.max(0.1, parseFloat(e.target.value) || 0))} /></div>
+                        <div className="plotter-control-group"><label>{t('hatchAngle')}</label><input type="number" step="1" value={activeItem.settings.hatchAngle} onChange={(e) => updateSetting('hatchAngle', parseFloat(e.target.value) || 0)} /></div>
+                        <div className="plotter-control-group"><label>{t('crosshatch')}</label><input type="checkbox" checked={activeItem.settings.crosshatch} onChange={(e) => updateSetting('crosshatch', e.target.checked)} /></div>
+                        <div className="plotter-control-group"><label>{t('hatchInset')}</label><input type="number" step="0.1" min="0" value={activeItem.settings.hatchInset} onChange={(e) => updateSetting('hatchInset', Math.max(0, parseFloat(e.target.value) || 0))} /></div>
+                      </>
+                    )}
+                  </>
+                ) : (
+                  <div className="plotter-hint">{t('noFills')}</div>
+                )}
+              </>
+            )}
+
+            <div className="plotter-hint">
+              {t('loadHint')}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
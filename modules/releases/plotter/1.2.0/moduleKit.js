@@ -0,0 +1,173 @@
+/**
+ * moduleKit.js — Helpers every module component shares: dialog text, the lifecycle export and
+ * the device calls made through sendToDevice.js.
+ *
+ * Components import it by relative path:
+ *   import { makeTranslator, createSession, createLifecycle, toStoredPath } from './moduleKit.js';
+ * scripts/publish-module.js copies it into the release folder next to the component and lists it
+ * under the release's "imports", so every release keeps the copy it was published with.
+ *
+ * sendToDevice.js is not imported: the host page loads it as a script (window.sendToDevice). Without
+ * it getRunDeviceFile() is null, names are stored as typed and the device profile is left to the
+ * device's defaults.
+ */
+
+// Version of the lifecycle interface (modules.json "lifecycle")
+export const LIFECYCLE_VERSION = 1;
+
+/**
+ * window.sendToDevice, or null when the host page has not loaded sendToDevice.js.
+ * @returns {function|null}
+ */
+export function getDeviceApi() {
+  return typeof window !== 'undefined' && window.sendToDevice ? window.sendToDevice : null;
+}
+
+/**
+ * sendToDevice.runDeviceFile, or null without job control.
+ * @returns {function|null}
+ */
+export function getRunDeviceFile() {
+  const api = getDeviceApi();
+  return api && typeof api.runDeviceFile === 'function' ? api.runDeviceFile : null;
+}
+
+/**
+ * Where the device will store folder/fileName (sendToDevice.normalizeDevicePath).
+ * @param {string} folder - e.g. the module's uploadFolder
+ * @param {string} fileName
+ * @param {string} [deviceProfile] - 'sd' | 'fat83' | 'littlefs' | 'spiffs'
+ * @returns {{ ok: boolean, path?: string, folder?: string, name?: string, changed?: boolean, message?: string }}
+ */
+export function toStoredPath(folder, fileName, deviceProfile) {
+  const api = getDeviceApi();
+  if (!api || typeof api.normalizeDevicePath !== 'function') {
+    return { ok: true, folder, name: fileName, path: `${folder}/${fileName}` };
+  }
+  return api.normalizeDevicePath(`${folder}/${fileName}`, deviceProfile);
+}
+
+/**
+ * Whether the component can upload: through sendToDevice.js, else through the host's upload function.
+ * @param {function} [upload] - The host's uploadGcodeFile(baseUrl, file, folder)
+ * @returns {boolean}
+ */
+export function canUpload(upload) {
+  return Boolean(getDeviceApi()) || typeof upload === 'function';
+}
+
+/**
+ * Whether uploadGcode() reports progress and can be cancelled (sendToDevice.js is loaded).
+ * @returns {boolean}
+ */
+export function uploadReportsProgress() {
+  return Boolean(getDeviceApi());
+}
+
+/**
+ * Upload G-code text to stored.path (a toStoredPath() result). With sendToDevice.js loaded it goes
+ * through sendToDevice(), which calls onProgress as parts go out and stops when signal aborts;
+ * otherwise through the host's upload function, which does neither and throws on failure.
+ * @param {string} baseUrl - Device address
+ * @param {string} gcode
+ * @param {{ path: string, folder: string, name: string }} stored
+ * @param {{ upload?: function, deviceProfile?: string, onProgress?: function(number, number), signal?: AbortSignal }} [options]
+ *   upload is the host's uploadGcodeFile(baseUrl, file, folder)
+ * @returns {Promise<{ ok: boolean, aborted?: boolean, message?: string }>} aborted: signal was aborted
+ */
+export async function uploadGcode(baseUrl, gcode, stored, options) {
+  const opts = options || {};
+  const api = getDeviceApi();
+  if (api) {
+    return api(gcode, stored.path, baseUrl, {
+      deviceProfile: opts.deviceProfile,
+      onProgress: opts.onProgress,
+      signal: opts.signal,
+    });
+  }
+  await opts.upload(baseUrl, new File([gcode], stored.name, { type: 'text/plain' }), stored.folder);
+  return { ok: true };
+}
+
+// Filesystem each device reported in /info, by address, for the rest of the page session
+const probedProfiles = new Map();
+
+/**
+ * Filesystem rules for the device: the deviceProfile from the module config, else (unset or "auto")
+ * the filesystem the device reports in /info (sendToDevice.probeDevice). A device is probed once per
+ * page session; a probe that fails is tried again on the next call.
+ * @param {string} baseUrl - Device address
+ * @param {string} [configured] - The module's deviceProfile prop
+ * @returns {Promise<string|undefined>} undefined means SD card rules
+ */
+export async function resolveDeviceProfile(baseUrl, configured) {
+  if (configured && configured !== 'auto') return configured;
+  if (probedProfiles.has(baseUrl)) return probedProfiles.get(baseUrl);
+  const api = getDeviceApi();
+  if (!api || typeof api.probeDevice !== 'function') return undefined;
+  const probe = await api.probeDevice(baseUrl);
+  if (!probe.ok) return undefined;
+  probedProfiles.set(baseUrl, probe.deviceProfile || undefined);
+  return probe.deviceProfile || undefined;
+}
+
+/**
+ * t(key, vars) for a component: the operator's text from the messages prop (the module's catalog,
+ * i18n.messages_url in modules.json), else the component's English defaults, else the key itself.
+ * {name} placeholders are replaced with vars.name.
+ * @param {Object<string, string>} defaults - The component's MESSAGES
+ * @param {Object<string, string>} [messages] - The messages prop
+ * @returns {function(string, object=): string}
+ */
+export function makeTranslator(defaults, messages) {
+  return (key, vars) => String((messages && messages[key]) || defaults[key] || key)
+    .replace(/\{(\w+)\}/g, (match, name) => (vars && vars[name] != null ? String(vars[name]) : match));
+}
+
+/**
+ * State the mounted page shares with its lifecycle export:
+ *   dirty, busy     whether hasUnsavedWork() is true
+ *   state           what serializeState() returns (JSON-safe)
+ *   restore(state)  set while mounted; onActivate hands it an earlier serializeState() result
+ *   pendingState    a state onActivate got before the page mounted, for the page to restore
+ *   stop()          set while something runs in the page itself; onDeactivate calls it
+ * @returns {object}
+ */
+export function createSession() {
+  return { dirty: false, busy: false, state: null, pendingState: null, restore: null, stop: null };
+}
+
+/**
+ * The component's `lifecycle` export (modules.json "lifecycle": 1). The host imports it along with
+ * the default export, calls onActivate/onDeactivate around showing the page and asks
+ * hasUnsavedWork() before navigating away.
+ * @param {object} session - From createSession(), kept current by the mounted page
+ * @param {function(): object} capabilities - What getCapabilities() reports besides `lifecycle`
+ * @returns {{ version: number, onActivate: function(object), onDeactivate: function(), hasUnsavedWork: function(): boolean,
+ *             getCapabilities: function(): object, serializeState: function(): object|null }}
+ */
+export function createLifecycle(session, capabilities) {
+  return {
+    version: LIFECYCLE_VERSION,
+    // context: { machine?, locale?, state? }; state is an earlier serializeState() result to restore.
+    onActivate(context) {
+      const state = context && context.state;
+      if (!state) return;
+      if (session.restore) session.restore(state);
+      else session.pendingState = state;
+    },
+    onDeactivate() {
+      if (session.stop) session.stop();
+    },
+    hasUnsavedWork() {
+      return session.dirty || session.busy;
+    },
+    getCapabilities() {
+      return Object.assign({ lifecycle: LIFECYCLE_VERSION }, capabilities());
+    },
+    // JSON-safe snapshot of the page, or null before it has mounted.
+    serializeState() {
+      return session.state ? JSON.parse(JSON.stringify(session.state)) : null;
+    },
+  };
+}
@@ -0,0 +1,1319 @@
+import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
+import './PNP.css';
+import { v4 as uuidv4 } from 'uuid';
+import { useConnection } from '../../frontend/src/components/context/ConnectionContext';
+import { uploadGcodeFile } from '../../frontend/src/components/api/gcodeUploader';
+
+const PALETTE_BLOCKS = [
+    { type: 'motion', label: 'Move to point', icon: '✥' },
+    { type: 'vacuum', label: 'Pick & Place ', icon: '◎' },
+    { type: 'dwell', label: 'Dwell', icon: '⏱' },
+];
+
+/** Semicircle bed (mm): X −R…R, Y 0 flat top → R apex bottom. Upper half of disk center (0,0). R is the bedRadiusMm prop (manifest config), 390 by default. */
+const MOTION_BED_RADIUS_MM = 390;
+const MOTION_BED_CIRCLE_CX = 0;
+const MOTION_BED_CIRCLE_CY = 0;
+
+/** Bounding box of the semicircle bed for radius R (mm). */
+function motionBedBounds(R) {
+    return { xMin: -R, xMax: R, yMin: 0, yMax: R, radius: R };
+}
+
+function clampToSemicircleMm(x, y, bed) {
+    const cx = MOTION_BED_CIRCLE_CX;
+    const cy = MOTION_BED_CIRCLE_CY;
+    const R = bed.radius;
+    let px = Math.max(bed.xMin, Math.min(bed.xMax, x));
+    let py = Math.max(bed.yMin, Math.min(bed.yMax, y));
+    const dx = px - cx;
+    const dy = py - cy;
+    const d2 = dx * dx + dy * dy;
+    if (d2 > R * R - 1e-4) {
+        const len = Math.sqrt(d2);
+        px = cx + (dx / len) * R;
+        py = cy + (dy / len) * R;
+    }
+    px = Math.max(bed.xMin, Math.min(bed.xMax, px));
+    py = Math.max(bed.yMin, Math.min(bed.yMax, py));
+    return { x: Math.round(px * 10) / 10, y: Math.round(py * 10) / 10 };
+}
+
+/** Advance streamed G-code queue only on firmware `ok` (Grbl-style: exact or line starting with `ok`). */
+function isFirmwareOkMessage(raw) {
+    if (raw == null) return false;
+    const text = String(raw);
+    const lines = text.split(/\r?\n/).map((s) => s.trim()).filter(Boolean);
+    const chunks = lines.length > 0 ? lines : [text.trim()];
+    return chunks.some((line) => {
+        const t = line.toLowerCase();
+        return t === 'ok' || t.startsWith('ok');
+    });
+}
+
+/** Job control comes from sendToDevice.js, which the host page loads as a script (window.runDeviceFile). */
+function getRunDeviceFile() {
+    return typeof window !== 'undefined' && typeof window.runDeviceFile === 'function' ? window.runDeviceFile : null;
+}
+
+/** Filename rules come from sendToDevice.js too (window.normalizeDevicePath); without it the name is used as typed. */
+function toStoredPath(folder, fileName) {
+    if (typeof window === 'undefined' || typeof window.normalizeDevicePath !== 'function') {
+        return { ok: true, folder, name: fileName, path: `${folder}/${fileName}` };
+    }
+    return window.normalizeDevicePath(`${folder}/${fileName}`);
+}
+
+/**
+ * Dialog text. The host passes the operator's language from the module's catalog
+ * (i18n.messages_url in modules.json) as the messages prop; missing keys fall back to these.
+ */
+const MESSAGES = {
+    simulationDone: 'Simulation completed!',
+    workspaceEmptySimulate: 'Workspace empty! Please add blocks before simulating.',
+    notConnected: 'Not connected to ESP. Please connect first.',
+    nothingToSimulate: 'No G-code to simulate!',
+    workspaceEmptyDownload: 'Workspace empty! Please add blocks before downloading.',
+    savedToPc: 'G-Code saved to PC successfully!\n\n{count} block(s) processed.',
+    noBaseUrl: 'ESP device information (base URL) not available.',
+    sendUnavailable: 'Send to device is not available in this environment.',
+    runUnavailable: 'Upload & Run is not available in this environment.',
+    nothingToSend: 'No G-code to send. Please add blocks to the workspace.',
+    fileNamePrompt: 'Enter file name (.gcode will be added automatically):',
+    runFailed: 'G-Code saved as {path}, but the job did not start:\n{reason}',
+    runRefused: 'Device refused the run request.',
+    sentAndStarted: 'G-Code sent and started.\nRunning: {path}',
+    sent: 'G-Code sent to device successfully.\nSaved as: {path}',
+    sendFailed: 'Failed to send G-Code to device: {error}',
+    optionsTitle: 'G-Code: Save or Send to Device',
+    chooseHowToProceed: 'Choose how you want to proceed:',
+    saveToPc: 'Save to PC',
+    sendToDevice: 'Send to Device',
+    uploadAndRun: 'Upload & Run',
+    sending: 'Sending…',
+};
+
+/** Replace {name} placeholders in a message with vars.name. */
+function makeTranslator(messages) {
+    return (key, vars) => String((messages && messages[key]) || MESSAGES[key] || key)
+        .replace(/\{(\w+)\}/g, (match, name) => (vars && vars[name] != null ? String(vars[name]) : match));
+}
+
+/**
+ * Module lifecycle (modules.json "lifecycle": 1). The host imports `lifecycle` along with the
+ * default export, calls onActivate/onDeactivate around showing the page and asks hasUnsavedWork()
+ * before navigating away. The mounted page keeps `session` current.
+ */
+const LIFECYCLE_VERSION = 1;
+const session = { dirty: false, busy: false, state: null, pendingState: null, restore: null, stop: null };
+
+export const lifecycle = {
+    version: LIFECYCLE_VERSION,
+    /** context: { machine?, locale?, state? }; state is an earlier serializeState() result to restore. */
+    onActivate(context) {
+        const state = context && context.state;
+        if (!state) return;
+        if (session.restore) session.restore(state);
+        else session.pendingState = state;
+    },
+    /** Stops a running simulation; the workspace itself is kept. */
+    onDeactivate() {
+        if (session.stop) session.stop();
+    },
+    /** True while blocks have not been saved or sent since their last change, or while simulating or sending. */
+    hasUnsavedWork() {
+        return session.dirty || session.busy;
+    },
+    getCapabilities() {
+        return {
+            lifecycle: LIFECYCLE_VERSION,
+            simulate: true,
+            saveToPc: true,
+            sendToDevice: true,
+            uploadAndRun: Boolean(getRunDeviceFile()),
+            restoreState: true,
+        };
+    },
+    /** JSON-safe snapshot of the workspace, or null before the page has mounted. */
+    serializeState() {
+        return session.state ? JSON.parse(JSON.stringify(session.state)) : null;
+    },
+};
+
+/**
+ * uploadFolder and bedRadiusMm come from the module's manifest config; messages is the
+ * operator's dialog text (see MESSAGES).
+ */
+function PickAndPlacePage({ uploadFolder = 'pick&place', bedRadiusMm = MOTION_BED_RADIUS_MM, messages }) {
+    const bed = useMemo(() => motionBedBounds(bedRadiusMm), [bedRadiusMm]);
+    const t = useMemo(() => makeTranslator(messages), [messages]);
+    const [simulationCount, setSimulationCount] = useState(1);
+    const { connectionStatus, sendWebSocketMessage, espInfo } = useConnection();
+    const [workspaceBlocks, setWorkspaceBlocks] = useState([]);
+    /** Blocks as last saved to PC or uploaded; anything else is unsaved work. */
+    const [savedBlocks, setSavedBlocks] = useState(workspaceBlocks);
+    const [modalOpen, setModalOpen] = useState(false);
+    const [activeBlock, setActiveBlock] = useState(null);
+    const [tempState, setTempState] = useState({});
+    const [motionMode, setMotionMode] = useState('bed');
+    const [showGcodePopup, setShowGcodePopup] = useState(false);
+    const [popupPosition, setPopupPosition] = useState({ x: 50, y: 50 });
+    const [isDragging, setIsDragging] = useState(false);
+    const [dragOffset, setDragOffset] = useState({ x: 0, y: 0 });
+    const [selectedBlockType, setSelectedBlockType] = useState(null);
+    const [highlightedBlockId, setHighlightedBlockId] = useState(null);
+    const [extensionPopupPosition, setExtensionPopupPosition] = useState({ x: 0, y: 0 });
+    const [isDraggingExtension, setIsDraggingExtension] = useState(false);
+    const [extensionDragOffset, setExtensionDragOffset] = useState({ x: 0, y: 0 });
+    const [showDownloadOptions, setShowDownloadOptions] = useState(false);
+    const [isSendingToDevice, setIsSendingToDevice] = useState(false);
+    const [isSimulating, setIsSimulating] = useState(false);
+
+    const extensionPopupRef = useRef(null);
+    const extensionHeaderRef = useRef(null);
+    const posPollIntervalRef = useRef(null);
+    const gcodeQueueRef = useRef([]);
+    const currentGcodeIndexRef = useRef(0);
+    const waitingForOkRef = useRef(false);
+    const isSimulatingRef = useRef(false);
+
+    const motionBedRef = useRef(null);
+    /** Latest machine XYZ from #POS; used to seed motion modal (not stale block/saved clicks). */
+    const lastMachinePoseRef = useRef(null);
+    const popupRef = useRef(null);
+    const popupHeaderRef = useRef(null);
+
+    // Parse POS from ESP, e.g. "POS:0,0,0|0,0,0" or "POS:0.000,0.000,0.000" (machine | work optional)
+    const parsePosResponse = (message) => {
+        if (!message || typeof message !== 'string') return null;
+        const trimmed = message.trim();
+        const posMatch = trimmed.match(/POS:\s*([\d.-]+)\s*,\s*([\d.-]+)\s*,\s*([\d.-]+)(?:\s*\|\s*([\d.-]+)\s*,\s*([\d.-]+)\s*,\s*([\d.-]+))?/i);
+        if (!posMatch) return null;
+        return {
+            machine: {
+                x: parseFloat(posMatch[1]) || 0,
+                y: parseFloat(posMatch[2]) || 0,
+                z: parseFloat(posMatch[3]) || 0
+            },
+            work: posMatch[4] != null ? {
+                x: parseFloat(posMatch[4]) || 0,
+                y: parseFloat(posMatch[5]) || 0,
+                z: parseFloat(posMatch[6]) || 0
+            } : null
+        };
+    };
+
+    // Send G-code command
+    const sendGcode = (cmd) => {
+        if (!cmd || !cmd.trim()) return;
+        if (connectionStatus !== 'connected' || !sendWebSocketMessage) return;
+
+        const trimmedCmd = cmd.trim();
+        sendWebSocketMessage(trimmedCmd);
+    };
+
+    const getDefaultLabel = (type) => {
+        if (type === 'motion') return "X:0 Y:0 Z:0";
+        if (type === 'vacuum') return "OFF";
+        if (type === 'dwell') return "500ms";
+        return "";
+    };
+
+    const getBlockLabel = (block) => {
+        const { type, vals } = block;
+        if (type === 'motion') return `X:${vals.x} Y:${vals.y} Z:${vals.z}`;
+        if (type === 'vacuum') return vals.on ? `ON` : `OFF`;
+        if (type === 'dwell') return `${Math.max(1, Math.round(vals.dwellMs ?? 500))}ms`;
+        return "";
+    };
+
+    const handleDragStart = (e, block) => {
+        if (isSimulating) {
+            e.preventDefault();
+            return;
+        }
+        e.dataTransfer.setData('text/plain', JSON.stringify(block));
+        e.dataTransfer.effectAllowed = 'copy';
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        if (isSimulating) return;
+        const droppedBlock = JSON.parse(e.dataTransfer.getData('text/plain'));
+
+        const newBlock = {
+            id: uuidv4(),
+            type: droppedBlock.type,
+            vals: droppedBlock.type === 'motion' ? { x: 0, y: 0, z: 0 } :
+                droppedBlock.type === 'vacuum' ? { on: false } :
+                    droppedBlock.type === 'dwell' ? { dwellMs: 500 } :
+                    { a: 0, b: 0, c: 0 }
+        };
+
+        setWorkspaceBlocks(prev => [...prev, newBlock]);
+
+        openModal(newBlock);
+    };
+
+    const handleDeleteBlock = (e, blockId) => {
+        e.stopPropagation();
+        setWorkspaceBlocks(blocks => blocks.filter(b => b.id !== blockId));
+    };
+
+    const openModal = (block) => {
+        setActiveBlock(block);
+        if (block.type === 'motion') {
+            const v = { ...block.vals };
+            if (connectionStatus === 'connected' && lastMachinePoseRef.current) {
+                const m = lastMachinePoseRef.current;
+                setTempState({ ...v, x: m.x, y: m.y, z: m.z });
+            } else if (connectionStatus === 'connected') {
+                setTempState({ ...v, x: 0, y: 0, z: 0 });
+            } else {
+                setTempState({ ...v });
+            }
+        } else {
+            setTempState(block.type === 'dwell'
+                ? { dwellMs: Math.max(1, Math.round(block.vals?.dwellMs ?? 500)) }
+                : { ...block.vals });
+        }
+        setModalOpen(true);
+
+        if (block.type === 'motion' && connectionStatus === 'connected') {
+            startPositionPolling();
+            if (sendWebSocketMessage) sendWebSocketMessage('#POS');
+        }
+    };
+
+    // Start continuous position polling
+    const startPositionPolling = () => {
+        if (connectionStatus !== 'connected' || !sendWebSocketMessage) return;
+
+        // Clear any existing interval
+        if (posPollIntervalRef.current) {
+            clearInterval(posPollIntervalRef.current);
+        }
+
+        // Send initial request immediately
+        sendWebSocketMessage('#POS');
+
+        // Then poll continuously every 200ms
+        posPollIntervalRef.current = setInterval(() => {
+            if (connectionStatus === 'connected' && sendWebSocketMessage) {
+                sendWebSocketMessage('#POS');
+            }
+        }, 200);
+    };
+
+    // Stop position polling
+    const stopPositionPolling = () => {
+        if (posPollIntervalRef.current) {
+            clearInterval(posPollIntervalRef.current);
+            posPollIntervalRef.current = null;
+        }
+    };
+
+    const saveBlockSettings = () => {
+        if (!activeBlock) return;
+
+        // Stop position polling
+        stopPositionPolling();
+
+        setWorkspaceBlocks(blocks => blocks.map(b =>
+            b.id === activeBlock.id ? { ...b, vals: tempState } : b
+        ));
+
+        setModalOpen(false);
+        setActiveBlock(null);
+    };
+
+    const generateGcode = () => {
+        if (workspaceBlocks.length === 0) return "type: pickandplace\n";
+
+        let gcode = "type: pickandplace\n";
+
+        workspaceBlocks.forEach((blk) => {
+            const { type, vals: d } = blk;
+            if (type === 'motion') gcode += `G0 X${d.x.toFixed(1)} Y${d.y.toFixed(1)} Z${d.z.toFixed(1)}\n`;
+            if (type === 'vacuum') gcode += d.on ? `M03\n` : `M05\n`;
+            if (type === 'dwell') {
+                const ms = Math.max(1, Math.round(d.dwellMs ?? 500));
+                gcode += `G4 P${ms}\n`;
+            }
+        });
+
+        return gcode;
+    };
+
+    // Send next G-code line from queue
+    const sendNextGcodeLine = useCallback(() => {
+        if (currentGcodeIndexRef.current >= gcodeQueueRef.current.length) {
+            // All lines sent
+            isSimulatingRef.current = false;
+            setIsSimulating(false);
+            gcodeQueueRef.current = [];
+            currentGcodeIndexRef.current = 0;
+            waitingForOkRef.current = false;
+            setHighlightedBlockId(null);
+            alert(t('simulationDone'));
+            return;
+        }
+
+        if (waitingForOkRef.current) {
+            // Still waiting for ok, don't send next line yet
+            return;
+        }
+
+        const line = gcodeQueueRef.current[currentGcodeIndexRef.current];
+        if (line) {
+            waitingForOkRef.current = true;
+            sendGcode(line);
+
+            // Map G-code line to block for highlighting
+            // Structure: [Block1, Block2, ...] repeated for each loop
+            // Each loop has workspaceBlocks.length lines
+            const linesPerLoop = workspaceBlocks.length;
+            const blockIndex = currentGcodeIndexRef.current % linesPerLoop;
+            
+            if (blockIndex >= 0 && blockIndex < workspaceBlocks.length) {
+                setHighlightedBlockId(workspaceBlocks[blockIndex].id);
+            }
+        }
+    }, [workspaceBlocks, t]);
+
+    // Handle ok response and send next line
+    const handleOkResponse = useCallback(() => {
+        if (!isSimulatingRef.current || !waitingForOkRef.current) return;
+
+        // Received ok, move to next line
+        waitingForOkRef.current = false;
+        currentGcodeIndexRef.current += 1;
+
+        // Small delay before sending next line
+        setTimeout(() => {
+            sendNextGcodeLine();
+        }, 50);
+    }, [sendNextGcodeLine]);
+
+    const stopSimulation = useCallback(() => {
+        isSimulatingRef.current = false;
+        waitingForOkRef.current = false;
+        gcodeQueueRef.current = [];
+        currentGcodeIndexRef.current = 0;
+        setIsSimulating(false);
+        setHighlightedBlockId(null);
+    }, []);
+
+    /** Hand the lifecycle session this page's restore and stop hooks. */
+    useEffect(() => {
+        session.restore = (state) => {
+            if (!state || !Array.isArray(state.blocks)) return;
+            setWorkspaceBlocks(state.blocks);
+            setSavedBlocks(state.unsaved ? null : state.blocks);
+            if (Number.isInteger(state.simulationCount) && state.simulationCount > 0) setSimulationCount(state.simulationCount);
+        };
+        session.stop = stopSimulation;
+        if (session.pendingState) {
+            session.restore(session.pendingState);
+            session.pendingState = null;
+        }
+        return () => {
+            session.restore = null;
+            session.stop = null;
+            session.dirty = false;
+            session.busy = false;
+        };
+    }, [stopSimulation]);
+
+    useEffect(() => {
+        session.dirty = workspaceBlocks.length > 0 && workspaceBlocks !== savedBlocks;
+        session.busy = isSimulating || isSendingToDevice;
+        session.state = { blocks: workspaceBlocks, simulationCount, unsaved: session.dirty };
+    }, [workspaceBlocks, savedBlocks, simulationCount, isSimulating, isSendingToDevice]);
+
+    // Simulate: stream G-code; click again while running to stop
+    const handleSimulate = () => {
+        if (isSimulating) {
+            stopSimulation();
+            return;
+        }
+
+        if (workspaceBlocks.length === 0) {
+            alert(t('workspaceEmptySimulate'));
+            return;
+        }
+
+        if (connectionStatus !== 'connected') {
+            alert(t('notConnected'));
+            return;
+        }
+
+        // Generate G-code and split into lines
+        const fullGcode = generateGcode();
+        const lines = fullGcode.split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length > 0 && !line.startsWith('type:')); // Filter out empty lines and type prefix
+
+        if (lines.length === 0) {
+            alert(t('nothingToSimulate'));
+            return;
+        }
+
+        let allLines = [];
+        for (let i = 0; i < simulationCount; i++) {
+            allLines = [...allLines, ...lines];
+        }
+        // Initialize queue
+        gcodeQueueRef.current = allLines;
+        currentGcodeIndexRef.current = 0;
+        waitingForOkRef.current = false;
+        isSimulatingRef.current = true;
+        setIsSimulating(true);
+        setHighlightedBlockId(null);
+
+        // Send first line
+        sendNextGcodeLine();
+    };
+
+    const handleDownloadGcode = () => {
+        if (workspaceBlocks.length === 0) {
+            alert(t('workspaceEmptyDownload'));
+            return;
+        }
+        setShowDownloadOptions(true);
+    };
+
+    const handleSaveToPC = () => {
+        const gcode = generateGcode();
+
+        // Download the G-code file
+        const blob = new Blob([gcode], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `pickandplace_${Date.now()}.gcode`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+
+        setSavedBlocks(workspaceBlocks);
+        setShowDownloadOptions(false);
+        alert(t('savedToPc', { count: workspaceBlocks.length }));
+    };
+
+    const handleSendToDevice = async (runAfterUpload = false) => {
+        if (connectionStatus !== 'connected') {
+            alert(t('notConnected'));
+            return;
+        }
+
+        if (!espInfo || !espInfo.baseUrl) {
+            alert(t('noBaseUrl'));
+            return;
+        }
+
+        if (typeof uploadGcodeFile !== 'function') {
+            alert(t('sendUnavailable'));
+            return;
+        }
+
+        const runDeviceFile = runAfterUpload ? getRunDeviceFile() : null;
+        if (runAfterUpload && !runDeviceFile) {
+            alert(t('runUnavailable'));
+            return;
+        }
+
+        const gcodeContent = generateGcode();
+        if (!gcodeContent || workspaceBlocks.length === 0) {
+            alert(t('nothingToSend'));
+            return;
+        }
+
+        const defaultName = `pickandplace_${workspaceBlocks.length}blocks`;
+        const rawName = window.prompt(t('fileNamePrompt'), defaultName);
+        if (rawName == null || String(rawName).trim() === '') return;
+
+        let fileName = String(rawName).trim();
+        if (!fileName.toLowerCase().endsWith('.gcode')) fileName += '.gcode';
+
+        const stored = toStoredPath(uploadFolder, fileName);
+        if (!stored.ok) {
+            alert(stored.message);
+            return;
+        }
+
+        const blob = new Blob([gcodeContent], { type: 'text/plain' });
+        const gcodeFile = new File([blob], stored.name, { type: 'text/plain' });
+
+        setIsSendingToDevice(true);
+        try {
+            await uploadGcodeFile(espInfo.baseUrl, gcodeFile, stored.folder);
+            setSavedBlocks(workspaceBlocks);
+            if (runDeviceFile) {
+                const result = await runDeviceFile(espInfo.baseUrl, stored.path);
+                if (!result.ok) {
+                    alert(t('runFailed', { path: stored.path, reason: result.message || t('runRefused') }));
+                    return;
+                }
+                alert(t('sentAndStarted', { path: stored.path }));
+            } else {
+                alert(t('sent', { path: stored.path }));
+            }
+            setShowDownloadOptions(false);
+        } catch (error) {
+            console.error("Failed to send G-Code to device:", error);
+            alert(t('sendFailed', { error: error.message || error }));
+        } finally {
+            setIsSendingToDevice(false);
+        }
+    };
+
+    // Popup drag handlers
+    const handlePopupMouseDown = (e) => {
+        if (!popupRef.current || !popupHeaderRef.current) return;
+        if (!popupHeaderRef.current.contains(e.target)) return;
+
+        setIsDragging(true);
+        const rect = popupRef.current.getBoundingClientRect();
+        setDragOffset({
+            x: e.clientX - rect.left,
+            y: e.clientY - rect.top
+        });
+    };
+
+    const handlePopupMouseMove = (e) => {
+        if (!isDragging || !popupRef.current) return;
+
+        const popup = popupRef.current;
+        const popupRect = popup.getBoundingClientRect();
+        const popupWidth = popupRect.width;
+        const popupHeight = popupRect.height;
+
+        // Calculate new position
+        let newX = e.clientX - dragOffset.x;
+        let newY = e.clientY - dragOffset.y;
+
+        // Constrain to window boundaries
+        const minX = 0;
+        const minY = 0;
+        const maxX = window.innerWidth - popupWidth;
+        const maxY = window.innerHeight - popupHeight;
+
+        // Clamp values
+        newX = Math.max(minX, Math.min(maxX, newX));
+        newY = Math.max(minY, Math.min(maxY, newY));
+
+        setPopupPosition({
+            x: newX,
+            y: newY
+        });
+    };
+
+    const handlePopupMouseUp = () => {
+        setIsDragging(false);
+    };
+
+    // Attach drag event listeners for popup
+    useEffect(() => {
+        if (isDragging) {
+            document.addEventListener('mousemove', handlePopupMouseMove);
+            document.addEventListener('mouseup', handlePopupMouseUp);
+            return () => {
+                document.removeEventListener('mousemove', handlePopupMouseMove);
+                document.removeEventListener('mouseup', handlePopupMouseUp);
+            };
+        }
+    }, [isDragging, dragOffset]);
+
+    // Extension popup drag handlers
+    const handleExtensionPopupMouseDown = (e) => {
+        if (!extensionPopupRef.current || !extensionHeaderRef.current) return;
+        if (!extensionHeaderRef.current.contains(e.target)) return;
+
+        setIsDraggingExtension(true);
+        const rect = extensionPopupRef.current.getBoundingClientRect();
+        setExtensionDragOffset({
+            x: e.clientX - rect.left,
+            y: e.clientY - rect.top
+        });
+    };
+
+    const handleExtensionPopupMouseMove = (e) => {
+        if (!isDraggingExtension || !extensionPopupRef.current) return;
+
+        const popup = extensionPopupRef.current;
+        const popupRect = popup.getBoundingClientRect();
+        const popupWidth = popupRect.width;
+        const popupHeight = popupRect.height;
+
+        // Calculate new position
+        let newX = e.clientX - extensionDragOffset.x;
+        let newY = e.clientY - extensionDragOffset.y;
+
+        // Constrain to window boundaries
+        const minX = 0;
+        const minY = 0;
+        const maxX = window.innerWidth - popupWidth;
+        const maxY = window.innerHeight - popupHeight;
+
+        // Clamp values
+        newX = Math.max(minX, Math.min(maxX, newX));
+        newY = Math.max(minY, Math.min(maxY, newY));
+
+        setExtensionPopupPosition({
+            x: newX,
+            y: newY
+        });
+    };
+
+    const handleExtensionPopupMouseUp = () => {
+        setIsDraggingExtension(false);
+    };
+
+    // Attach drag event listeners for extension popup
+    useEffect(() => {
+        if (isDraggingExtension) {
+            document.addEventListener('mousemove', handleExtensionPopupMouseMove);
+            document.addEventListener('mouseup', handleExtensionPopupMouseUp);
+            return () => {
+                document.removeEventListener('mousemove', handleExtensionPopupMouseMove);
+                document.removeEventListener('mouseup', handleExtensionPopupMouseUp);
+            };
+        }
+    }, [isDraggingExtension, extensionDragOffset]);
+
+    // Clear highlight after 3 seconds
+    useEffect(() => {
+        if (highlightedBlockId) {
+            const timer = setTimeout(() => {
+                setHighlightedBlockId(null);
+            }, 3000);
+            return () => clearTimeout(timer);
+        }
+    }, [highlightedBlockId]);
+
+    // --- Motion UI Logic ---
+    const updateCoords = useCallback(() => {
+        setTempState(s => ({
+            ...s,
+            x: Math.round(s.x * 10) / 10,
+            y: Math.round(s.y * 10) / 10,
+            z: Math.round(s.z * 10) / 10,
+        }));
+    }, []);
+
+
+    /** Map screen → machine mm inside semicircle. X is mirrored vs raw left→right so screen-left (+X region) matches jog/tap. */
+    const clientToBedMm = useCallback((clientX, clientY) => {
+        const el = motionBedRef.current;
+        if (!el) return null;
+        const rect = el.getBoundingClientRect();
+        if (rect.width <= 0 || rect.height <= 0) return null;
+        const xSpan = bed.xMax - bed.xMin;
+        const ySpan = bed.yMax - bed.yMin;
+        const tx = (clientX - rect.left) / rect.width;
+        let x = bed.xMin + tx * xSpan;
+        x = -x;
+        let y = bed.yMin + ((clientY - rect.top) / rect.height) * ySpan;
+        return clampToSemicircleMm(x, y, bed);
+    }, [bed]);
+
+    const handleBedTap = useCallback((e) => {
+        if (e.button != null && e.button !== 0) return;
+        setTempState((s) => {
+            const pt = clientToBedMm(e.clientX, e.clientY);
+            if (!pt) return s;
+            if (connectionStatus === 'connected' && sendWebSocketMessage) {
+                const z = s.z ?? 0;
+                const cmd = `G0 X${pt.x.toFixed(1)} Y${pt.y.toFixed(1)} Z${z.toFixed(1)}`;
+                sendWebSocketMessage(cmd.trim());
+            }
+            return { ...s, x: pt.x, y: pt.y };
+        });
+    }, [connectionStatus, sendWebSocketMessage, clientToBedMm]);
+
+    useEffect(() => {
+        if (activeBlock?.type === 'motion') {
+            updateCoords();
+        }
+    }, [tempState.x, tempState.y, tempState.z, activeBlock, updateCoords]);
+
+    // Listen for WebSocket messages to get position updates and ok responses
+    useEffect(() => {
+        const handleWebSocketMessage = (event) => {
+            const { message } = event.detail;
+            const trimmedMsg = message ? message.trim().toLowerCase() : '';
+
+            // Advance simulation queue only on firmware ok
+            if (isSimulatingRef.current && isFirmwareOkMessage(message)) {
+                handleOkResponse();
+            }
+
+            // After a move completes, refresh position from device (skip while line-by-line sim is running)
+            if (
+                modalOpen &&
+                activeBlock?.type === 'motion' &&
+                !isSimulatingRef.current &&
+                sendWebSocketMessage &&
+                (trimmedMsg === 'ok' || trimmedMsg.startsWith('ok'))
+            ) {
+                sendWebSocketMessage('#POS');
+            }
+
+            const posData = parsePosResponse(message);
+            if (posData && connectionStatus === 'connected') {
+                lastMachinePoseRef.current = {
+                    x: posData.machine.x,
+                    y: posData.machine.y,
+                    z: posData.machine.z
+                };
+            }
+            if (modalOpen && activeBlock?.type === 'motion' && posData) {
+                setTempState(s => ({
+                    ...s,
+                    x: posData.machine.x,
+                    y: posData.machine.y,
+                    z: posData.machine.z
+                }));
+            }
+        };
+
+        window.addEventListener('websocket-message', handleWebSocketMessage);
+
+        return () => {
+            window.removeEventListener('websocket-message', handleWebSocketMessage);
+        };
+    }, [modalOpen, activeBlock, handleOkResponse, sendWebSocketMessage, connectionStatus]);
+
+    // Handle modal open/close and connection status changes - start/stop polling
+    useEffect(() => {
+        // Start polling if modal opens for motion block and connection is available
+        if (modalOpen && activeBlock?.type === 'motion' && connectionStatus === 'connected') {
+            startPositionPolling();
+        } else {
+            // Stop polling if modal closes or connection is lost
+            stopPositionPolling();
+        }
+
+        // Cleanup on unmount or when modal closes
+        return () => {
+            stopPositionPolling();
+        };
+    }, [modalOpen, activeBlock, connectionStatus]);
+
+    const jog = (axis, dir) => {
+        if (connectionStatus !== 'connected') return;
+
+        const step = parseFloat(document.querySelector('input[name="step"]:checked')?.value || '1');
+        if (isNaN(step)) return;
+
+        // Calculate new absolute position based on current fetched position + step
+        const increment = dir * step;
+        const currentPos = tempState[axis] || 0;
+        const newPos = parseFloat((currentPos + increment).toFixed(1));
+
+        const zVal = tempState.z || 0;
+        if (axis === 'z') {
+            const clampedZ = Math.max(0, Math.min(200, newPos));
+            sendGcode(`G0 Z${clampedZ.toFixed(1)}`);
+            return;
+        }
+
+        let nx = tempState.x || 0;
+        let ny = tempState.y || 0;
+        const mirrorXJog = motionMode === 'bed' && axis === 'x';
+        const xJogDir = mirrorXJog ? -dir : dir;
+        if (axis === 'x') {
+            const xNew = parseFloat(((tempState.x || 0) + xJogDir * step).toFixed(1));
+            nx = Math.max(bed.xMin, Math.min(bed.xMax, xNew));
+        } else if (axis === 'y') {
+            ny = Math.max(bed.yMin, Math.min(bed.yMax, newPos));
+        }
+        const p = clampToSemicircleMm(nx, ny, bed);
+        sendGcode(`G0 X${p.x.toFixed(1)} Y${p.y.toFixed(1)} Z${zVal.toFixed(1)}`);
+    };
+
+    const renderModalContent = () => {
+        if (!activeBlock) return null;
+
+        const { type } = activeBlock;
+
+        switch (type) {
+            case 'motion':
+                return (
+                    <div id="ui-motion" className="view-section active">
+                        <div className="mode-toggle">
+                            <button type="button" className={`mode-btn ${motionMode === 'bed' ? 'active' : ''}`} onClick={() => setMotionMode('bed')}>Bed</button>
+                            <button type="button" className={`mode-btn ${motionMode === 'btn' ? 'active' : ''}`} onClick={() => setMotionMode('btn')}>Buttons</button>
+                        </div>
+
+                        {motionMode === 'bed' ? (
+                            <div className="joystick-group bed-mode-group" style={{ flexDirection: 'column', gap: '20px' }}>
+                                <div style={{ display: 'flex', gap: '20px', alignItems: 'flex-start' }}>
+                                    <div className="motion-bed-wrap">
+                                        <div
+                                            ref={motionBedRef}
+                                            className="motion-bed"
+                                            onClick={handleBedTap}
+                                        >
+                                            <div className="motion-bed-grid" aria-hidden />
+                                            <div className="motion-bed-axis motion-bed-axis-x" aria-hidden />
+                                            <div className="motion-bed-axis motion-bed-axis-y" aria-hidden />
+                                            <div
+                                                className="motion-bed-marker"
+                                                style={{
+                                                    left: `${((bed.xMax - (tempState.x ?? 0)) / (bed.xMax - bed.xMin)) * 100}%`,
+                                                    top: `${(((tempState.y ?? 0) - bed.yMin) / (bed.yMax - bed.yMin)) * 100}%`,
+                                                }}
+                                            />
+                                        </div>
+                                    </div>
+                                    <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+                                        <button type="button" className="btn-dpad" style={{ width: '60px' }} onMouseDown={() => jog('z', -1)}>Z▲</button>
+                                        <button type="button" className="btn-dpad" style={{ width: '60px' }} onMouseDown={() => jog('z', 1)}>Z▼</button>
+                                    </div>
+                                </div>
+                                <div className="step-selector">
+                                    <span className="step-label">Step:</span>
+                                    <label className="radio-label">
+                                        <input type="radio" name="step" value="0.1" />
+                                        <span>0.1</span>
+                                    </label>
+                                    <label className="radio-label">
+                                        <input type="radio" name="step" value="1" defaultChecked />
+                                        <span>1</span>
+                                    </label>
+                                    <label className="radio-label">
+                                        <input type="radio" name="step" value="10" />
+                                        <span>10</span>
+                                    </label>
+                                    <label className="radio-label">
+                                        <input type="radio" name="step" value="100" />
+                                        <span>100</span>
+                                    </label>
+                                </div>
+                            </div>
+                        ) : (
+                            <div className="joystick-group" style={{ flexDirection: 'column' }}>
+                                <div style={{ display: 'flex', gap: '20px' }}>
+                                    <div className="dpad-grid">
+                                        <div className="btn-dpad u" onMouseDown={() => jog('y', 1)}>▲</div>
+                                        <div className="btn-dpad l" onMouseDown={() => jog('x', -1)}>◀</div>
+                                        <div className="btn-dpad r" onMouseDown={() => jog('x', 1)}>▶</div>
+                                        <div className="btn-dpad d" onMouseDown={() => jog('y', -1)}>▼</div>
+                                    </div>
+                                    <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+                                        <button className="btn-dpad" style={{ width: '60px' }} onMouseDown={() => jog('z', -1)}>Z▲</button>
+                                        <button className="btn-dpad" style={{ width: '60px' }} onMouseDown={() => jog('z', 1)}>Z▼</button>
+                                    </div>
+                                </div>
+                                <div className="step-selector">
+                                    <span className="step-label">Step:</span>
+                                    <label className="radio-label">
+                                        <input type="radio" name="step" value="0.1" />
+                                        <span>0.1</span>
+                                    </label>
+                                    <label className="radio-label">
+                                        <input type="radio" name="step" value="1" defaultChecked />
+                                        <span>1</span>
+                                    </label>
+                                    <label className="radio-label">
+                                        <input type="radio" name="step" value="10" />
+                                        <span>10</span>
+                                    </label>
+                                    <label className="radio-label">
+                                        <input type="radio" name="step" value="100" />
+                                        <span>100</span>
+                                    </label>
+                                </div>
+                            </div>
+                        )}
+
+                        <div className="coord-display">
+                            X:<span>{(tempState.x || 0).toFixed(1)}</span> Y:<span>{(tempState.y || 0).toFixed(1)}</span> Z:<span>{(tempState.z || 0).toFixed(1)}</span>
+                        </div>
+                    </div>
+                );
+            case 'dwell':
+                return (
+                    <div id="ui-dwell" className="view-section active">
+                        <p className="vacuum-toggle-hint">Pause (G4 P… milliseconds)</p>
+                        <label style={{ display: 'flex', flexDirection: 'column', gap: 6, fontSize: 14 }}>
+                            <span>Dwell time (ms)</span>
+                            <input
+                                type="number"
+                                min={1}
+                                step={1}
+                                value={Math.max(1, Math.round(tempState.dwellMs ?? 500))}
+                                onChange={(e) => setTempState(s => ({ ...s, dwellMs: Math.max(1, parseInt(e.target.value, 10) || 1) }))}
+                                style={{ padding: '8px 10px', borderRadius: 6, border: '1px solid rgba(255,255,255,0.2)', background: 'rgba(0,0,0,0.2)', color: 'inherit' }}
+                            />
+                        </label>
+                    </div>
+                );
+            case 'vacuum':
+                return (
+                    <div id="ui-vacuum" className="view-section active">
+                        <p className="vacuum-toggle-hint">Pick &amp; place</p>
+                        <div className="vacuum-toggle-row">
+                            <button
+                                type="button"
+                                className={`vacuum-toggle-btn ${tempState.on ? 'active' : ''}`}
+                                title="Vacuum ON — M03 (pick)"
+                                onClick={() => {
+                                    if (tempState.on) return;
+                                    setTempState((s) => ({ ...s, on: true }));
+                                    if (connectionStatus === 'connected') sendGcode('M03');
+                                }}
+                            >
+                                ON
+                            </button>
+                            <button
+                                type="button"
+                                className={`vacuum-toggle-btn ${!tempState.on ? 'active' : ''}`}
+                                title="Vacuum OFF — M05 (place)"
+                                onClick={() => {
+                                    if (!tempState.on) return;
+                                    setTempState((s) => ({ ...s, on: false }));
+                                    if (connectionStatus === 'connected') sendGcode('M05');
+                                }}
+                            >
+                                OFF
+                            </button>
+                        </div>
+                    </div>
+                );
+            default: return null;
+        }
+    };
+
+    const modalTitle = activeBlock ?
+        activeBlock.type === 'motion' ? "Set Coordinates" :
+        activeBlock.type === 'vacuum' ? "Vacuum Settings" :
+        activeBlock.type === 'dwell' ? "Dwell" : "Unknown Block"
+        : "";
+
+    return (
+        <div className="roboblock-studio-body">
+                <div id="main-container">
+                    <div id="palette">
+                        <div className="palette-header">Logic Blocks</div>
+                        {PALETTE_BLOCKS.map(block => (
+                            <div
+                                key={block.type}
+                                className={`block block-${block.type}${isSimulating ? ' block-drag-disabled' : ''}`}
+                                draggable={!isSimulating}
+                                onDragStart={(e) => handleDragStart(e, block)}
+                            >
+                                <span>{block.label}</span>
+                                <span style={{ fontSize: '20px' }}>{block.icon}</span>
+                            </div>
+                        ))}
+                    </div>
+                    <div
+                        id="workspace"
+                        className={isSimulating ? 'workspace-simulating' : ''}
+                        onDragOver={(e) => {
+                            if (!isSimulating) e.preventDefault();
+                        }}
+                        onDrop={handleDrop}
+                    >
+                        <div className="workspace-header">
+                            <h3>Workspace</h3>
+                            <div className="workspace-header-buttons">
+                                <button
+                                    className="gcode-toggle-btn"
+                                    onClick={() => setShowGcodePopup(!showGcodePopup)}
+                                    title="Show G-Code"
+                                >
+                                    G-Code
+                                </button>
+                                <button
+                                    className="run-btn"
+                                    onClick={handleDownloadGcode}
+                                    title="Download G-Code"
+                                    disabled={workspaceBlocks.length === 0}
+                                >
+                                    Download G-Code
+                                </button>
+                            </div>
+                        </div>
+                        <div className="workspace-content">
+                            <div className="workspace-blocks-list">
+                                {workspaceBlocks.length === 0 ? (
+                                    <div id="workspace-hint">Drag blocks here...</div>
+                                ) : (
+                                    workspaceBlocks.map((block, index) => {
+                                        const isHighlighted = highlightedBlockId === block.id;
+                                        return (
+                                            <div
+                                                key={block.id}
+                                                className={`block workspace-block block-${block.type} ${isHighlighted ? 'highlighted' : ''}`}
+                                                onClick={() => openModal(block)}
+                                                ref={isHighlighted ? (el) => {
+                                                    if (el) {
+                                                        setTimeout(() => {
+                                                            el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                                                        }, 100);
+                                                    }
+                                                } : null}
+                                            >
+                                                <span className="block-number">{index + 1}</span>
+                                                <span>{PALETTE_BLOCKS.find(b => b.type === block.type).label}</span>
+                                                <div className="block-params">{getBlockLabel(block)}</div>
+                                                <span
+                                                    className="delete-btn"
+                                                    onClick={(e) => { if (!isSimulating) handleDeleteBlock(e, block.id); }}
+                                                    style={isSimulating ? { opacity: 0.35, pointerEvents: 'none' } : undefined}
+                                                >×</span>
+                                            </div>
+                                        );
+                                    })
+                                )}
+                            </div>
+                            <div className="workspace-stats-panel">
+                                <div className="stats-header">
+                                    <h4>Statistics</h4>
+                                </div>
+                                <div className="stats-content">
+                                    <div className="stat-item">
+                                        <span className="stat-label">Total Blocks</span>
+                                        <span className="stat-value">{workspaceBlocks.length}</span>
+                                    </div>
+                                    <div className="stat-item">
+                                        <span className="stat-label">Block Types</span>
+                                        <div className="stat-breakdown">
+                                            {['motion', 'vacuum', 'dwell'].map(type => {
+                                                const count = workspaceBlocks.filter(b => b.type === type).length;
+                                                const blocksOfType = workspaceBlocks
+                                                    .map((block, index) => ({ block, index: index + 1 }))
+                                                    .filter(({ block }) => block.type === type);
+                                                const isSelected = selectedBlockType === type;
+                                                return (
+                                                    <div key={type}>
+                                                        <div
+                                                            className={`breakdown-item ${isSelected ? 'selected' : ''}`}
+                                                            onClick={() => {
+                                                                if (count > 0) {
+                                                                    setSelectedBlockType(isSelected ? null : type);
+                                                                    if (!isSelected) {
+                                                                        // Set initial position for popup
+                                                                        const rect = document.querySelector('.workspace-stats-panel')?.getBoundingClientRect();
+                                                                        if (rect) {
+                                                                            const popupWidth = 300; // Approximate width
+                                                                            const popupHeight = Math.min(400, blocksOfType.length * 30 + 60); // Approx height
+                                                                            let initialX = rect.right + 20;
+                                                                            let initialY = rect.top + 100;
+
+                                                                            // Ensure popup stays within window bounds
+                                                                            if (initialX + popupWidth > window.innerWidth - 20) {
+                                                                                initialX = rect.left - popupWidth - 20; // Show on left side instead
+                                                                                if (initialX < 20) initialX = 20;
+                                                                            }
+                                                                            if (initialY + popupHeight > window.innerHeight - 20) {
+                                                                                initialY = window.innerHeight - popupHeight - 20;
+                                                                                if (initialY < 20) initialY = 20;
+                                                                            }
+
+                                                                            setExtensionPopupPosition({
+                                                                                x: initialX,
+                                                                                y: initialY
+                                                                            });
+                                                                        }
+                                                                    }
+                                                                }
+                                                            }}
+                                                            style={{ cursor: count > 0 ? 'pointer' : 'default' }}
+                                                        >
+                                                            <span className="breakdown-label">{PALETTE_BLOCKS.find(b => b.type === type)?.label || type}</span>
+                                                            <span className="breakdown-count">{count}</span>
+                                                        </div>
+                                                    </div>
+                                                );
+                                            })}
+                                        </div>
+                                    </div>
+                                    <div className="stat-item">
+                                        <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginTop: '8px' }}>
+                                            <input
+                                                type="number"
+                                                min="1"
+                                                value={simulationCount}
+                                                onChange={(e) => setSimulationCount(Math.max(1, parseInt(e.target.value) || 1))}
+                                                title="Number of loops"
+                                                style={{
+                                                    width: '60px',
+                                                    padding: '10px',
+                                                    background: 'rgba(255, 255, 255, 0.1)',
+                                                    border: '1px solid rgba(255, 255, 255, 0.2)',
+                                                    borderRadius: '6px',
+                                                    color: 'white',
+                                                    textAlign: 'center',
+                                                    fontWeight: 'bold',
+                                                    fontSize: '13px'
+                                                }}
+                                                disabled={isSimulating}
+                                            />
+                                            <button
+                                                type="button"
+                                                className={`simulate-btn${isSimulating ? ' simulate-btn-stop' : ''}`}
+                                                style={{ marginTop: 0, flex: 1 }}
+                                                onClick={handleSimulate}
+                                                disabled={workspaceBlocks.length === 0 || connectionStatus !== 'connected'}
+                                                title={isSimulating ? 'Stop simulation' : 'Run program on device'}
+                                            >
+                                                {isSimulating ? 'Stop' : 'Simulate'}
+                                            </button>
+                                        </div>
+                                    </div>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                {modalOpen && (
+                    <div id="modal-overlay">
+                        <div className="control-panel">
+                            <h3 className="panel-header">{modalTitle}</h3>
+                            {renderModalContent()}
+                            <button className="save-btn" onClick={saveBlockSettings}>Save Configuration</button>
+                        </div>
+                    </div>
+                )}
+
+                {/* Block Type Extension Popup */}
+                {selectedBlockType && workspaceBlocks.filter(b => b.type === selectedBlockType).length > 0 && (
+                    <div
+                        className="extension-popup"
+                        ref={extensionPopupRef}
+                        style={{
+                            left: `${extensionPopupPosition.x}px`,
+                            top: `${extensionPopupPosition.y}px`
+                        }}
+                        onMouseDown={handleExtensionPopupMouseDown}
+                    >
+                        <div className="extension-popup-header" ref={extensionHeaderRef}>
+                            <h4>{PALETTE_BLOCKS.find(b => b.type === selectedBlockType)?.label || selectedBlockType}</h4>
+                            <div className="extension-popup-controls">
+                                <button
+                                    className="extension-close-btn"
+                                    onClick={() => {
+                                        setSelectedBlockType(null);
+                                        setHighlightedBlockId(null);
+                                    }}
+                                    title="Close"
+                                >
+                                    ×
+                                </button>
+                            </div>
+                        </div>
+                        <div className="extension-popup-content">
+                            {workspaceBlocks
+                                .map((block, index) => ({ block, index: index + 1 }))
+                                .filter(({ block }) => block.type === selectedBlockType)
+                                .map(({ block, index }) => (
+                                    <div
+                                        key={block.id}
+                                        className="extension-item"
+                                        onClick={() => {
+                                            setHighlightedBlockId(block.id);
+                                        }}
+                                        style={{ cursor: 'pointer' }}
+                                    >
+                                        <span className="extension-number">#{index}</span>
+                                        <span className="extension-details">{getBlockLabel(block)}</span>
+                                    </div>
+                                ))}
+                        </div>
+                    </div>
+                )}
+
+                {/* G-Code Popup */}
+                {showGcodePopup && (
+                    <div
+                        className="gcode-popup"
+                        ref={popupRef}
+                        style={{
+                            left: `${popupPosition.x}px`,
+                            top: `${popupPosition.y}px`
+                        }}
+                        onMouseDown={handlePopupMouseDown}
+                    >
+                        <div className="gcode-popup-header" ref={popupHeaderRef}>
+                            <h4>Generated G-Code</h4>
+                            <div className="gcode-popup-controls">
+                                <span className="gcode-count">{workspaceBlocks.length} block{workspaceBlocks.length !== 1 ? 's' : ''}</span>
+                                <button
+                                    className="gcode-close-btn"
+                                    onClick={() => setShowGcodePopup(false)}
+                                    title="Close"
+                                >
+                                    ×
+                                </button>
+                            </div>
+                        </div>
+                        <div className="gcode-popup-content">
+                            {workspaceBlocks.length === 0 ? (
+                                <div className="gcode-empty">No blocks in workspace yet</div>
+                            ) : (
+                                <div className="gcode-list">
+                                    {generateGcode().split('\n').filter(line => line.trim()).map((line, index) => (
+                                        <div key={index} className="gcode-line">
+                                            <span className="gcode-line-num">N{index + 1}</span>
+                                            <span className="gcode-command">{line}</span>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    </div>
+                )}
+
+                {/* G-Code options: Save to PC or Send to Device */}
+                {showDownloadOptions && (
+                    <div id="modal-overlay" onClick={() => !isSendingToDevice && setShowDownloadOptions(false)}>
+                        <div className="download-options-modal" onClick={(e) => e.stopPropagation()}>
+                            <h3 className="download-options-header">{t('optionsTitle')}</h3>
+                            <div className="download-options-content">
+                                <p>{t('chooseHowToProceed')}</p>
+                                <div className="download-options-buttons">
+                                    <button
+                                        className="download-option-btn save-pc-btn"
+                                        onClick={handleSaveToPC}
+                                        disabled={isSendingToDevice}
+                                    >
+                                        {t('saveToPc')}
+                                    </button>
+                                    <button
+                                        className="download-option-btn send-device-btn"
+                                        onClick={() => handleSendToDevice()}
+                                        disabled={isSendingToDevice}
+                                    >
+                                        {isSendingToDevice ? t('sending') : t('sendToDevice')}
+                                    </button>
+                                    <button
+                                        className="download-option-btn upload-run-btn"
+                                        onClick={() => handleSendToDevice(true)}
+                                        disabled={isSendingToDevice}
+                                    >
+                                        {isSendingToDevice ? t('sending') : t('uploadAndRun')}
+                                    </button>
+                                </div>
+                            </div>
+                            <button
+                                className="download-options-close"
+                                onClick={() => setShowDownloadOptions(false)}
+                                disabled={isSendingToDevice}
+                            >
+                                ×
+                            </button>
+                        </div>
+                    </div>
+                )}
+            </div>
+    );
+}
+
+export default PickAndPlacePage;
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+/**
+ * build-offline-bundle.js — Package the modules for use without internet.
+ *
+ * Usage: node scripts/build-offline-bundle.js [--out dir] [--channel stable|beta|dev]
+ *
+ * Writes (default dist/offline-modules/):
+ *   modules/...          every file the manifest links (stable release with its imports, the --channel release when it
+ *                        differs, card images, message catalogs), modules.json, manifestResolver.js and sendToDevice.js,
+ *                        at their CDN paths
+ *   module-sw.js         the service worker from modules/offline/
+ *   cache-manifest.json  { name, cache, origin, channel, files: [{ url, path, integrity?, bytes }] }
+ *
+ * Copy the directory to the host app's web root (or the ESP's file system) and register
+ * /module-sw.js. On its first run the worker caches every file under its CDN URL and its bundle URL;
+ * after that the modules load with no internet, whether the loader fetched modules.json from the CDN
+ * or from the bundle (its URLs point at the CDN, which the worker answers from the cache). The cache name holds a hash of the contents, so a rebuilt bundle
+ * replaces the old cache instead of mixing with it.
+ *
+ * Fails without writing anything if the manifest does not validate (see validate-modules.js).
+ */
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  REPO_ROOT, MANIFEST_PATH, CDN_ORIGIN, CDN_MANIFEST_URL, CHANNELS,
+  localFileForUrl, resolveChannel, sriHash, validateManifestFile,
+} = require('./validate-modules');
+const { resolveManifest } = require('../modules/manifestResolver');
+
+const DEFAULT_OUT_DIR = path.join(REPO_ROOT, 'dist', 'offline-modules');
+const SERVICE_WORKER_PATH = path.join(REPO_ROOT, 'modules', 'offline', 'module-sw.js');
+// Loaded by the host page with a script tag rather than through the manifest
+const SHARED_FILES = [
+  path.join(REPO_ROOT, 'modules', 'manifestResolver.js'),
+  path.join(REPO_ROOT, 'modules', 'pnp', 'sendToDevice.js'),
+];
+const CACHE_PREFIX = 'roboblock-modules-';
+
+function toUrl(file) {
+  return CDN_ORIGIN + '/' + path.relative(REPO_ROOT, file).split(path.sep).join('/');
+}
+
+/**
+ * Files the bundle needs for one channel, keyed by CDN URL.
+ * @param {object} manifest - Parsed, valid modules.json
+ * @param {string} channel
+ * @returns {Object<string, {file: string, integrity: string|null}>}
+ */
+function collectFiles(manifest, channel) {
+  const entries = resolveManifest(manifest, CDN_MANIFEST_URL).modules;
+  const files = {};
+  function add(url, integrity) {
+    if (typeof url !== 'string' || files[url]) return;
+    files[url] = { file: localFileForUrl(url), integrity: integrity || null };
+  }
+  add(toUrl(MANIFEST_PATH));
+  SHARED_FILES.forEach(function (file) { add(toUrl(file)); });
+  entries.forEach(function (entry) {
+    add(entry.image_url);
+    if (entry.i18n) add(entry.i18n.messages_url);
+    [entry, resolveChannel(entry, channel)].forEach(function (release) {
+      if (!release) return;
+      add(release.jsx_file_url, release.integrity && release.integrity.jsx_file_url);
+      add(release.css_file_url, release.integrity && release.integrity.css_file_url);
+      Object.keys(release.imports || {}).forEach(function (name) {
+        add(new URL(name, release.jsx_file_url).href, release.imports[name]);
+      });
+    });
+  });
+  return files;
+}
+
+/**
+ * Copy the files into outDir and write module-sw.js and cache-manifest.json.
+ * @param {string} outDir
+ * @param {string} channel
+ * @returns {{ cache: string, files: number, bytes: number }}
+ */
+function buildBundle(outDir, channel) {
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+  const files = collectFiles(manifest, channel);
+  const hash = crypto.createHash('sha256');
+  const listed = Object.keys(files).sort().map(function (url) {
+    const source = files[url].file;
+    const relative = path.relative(REPO_ROOT, source).split(path.sep).join('/');
+    const bytes = fs.statSync(source).size;
+    hash.update(url + '\0' + sriHash(source, 'sha256') + '\0');
+    return { url: url, path: relative, integrity: files[url].integrity || undefined, bytes: bytes };
+  });
+  const cacheManifest = {
+    name: 'roboblock modules (' + channel + ')',
+    cache: CACHE_PREFIX + hash.digest('hex').slice(0, 12),
+    origin: CDN_ORIGIN,
+    channel: channel,
+    files: listed,
+  };
+
+  if (fs.existsSync(outDir) && fs.readdirSync(outDir).length) {
+    // Only ever replace an earlier bundle, never some other directory passed as --out
+    if (!fs.existsSync(path.join(outDir, 'cache-manifest.json'))) {
+      throw new Error(outDir + ' is not empty and does not hold an offline bundle');
+    }
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+  listed.forEach(function (entry) {
+    const target = path.join(outDir, entry.path);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(files[entry.url].file, target);
+  });
+  fs.copyFileSync(SERVICE_WORKER_PATH, path.join(outDir, 'module-sw.js'));
+  fs.writeFileSync(path.join(outDir, 'cache-manifest.json'), JSON.stringify(cacheManifest, null, 2) + '\n');
+
+  return {
+    cache: cacheManifest.cache,
+    files: listed.length,
+    bytes: listed.reduce(function (sum, entry) { return sum + entry.bytes; }, 0),
+  };
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const outIndex = args.indexOf('--out');
+  const channelIndex = args.indexOf('--channel');
+  const outDir = outIndex === -1 ? DEFAULT_OUT_DIR : path.resolve(args[outIndex + 1] || '');
+  const channel = channelIndex === -1 ? 'stable' : args[channelIndex + 1];
+  if (CHANNELS.indexOf(channel) === -1) {
+    console.error('Channel must be one of ' + CHANNELS.join(', '));
+    process.exit(2);
+  }
+
+  const errors = validateManifestFile();
+  if (errors.length) {
+    console.error(path.relative(process.cwd(), MANIFEST_PATH) + ': ' + errors.length + ' problem(s); run node scripts/validate-modules.js');
+    process.exit(1);
+  }
+
+  let result;
+  try {
+    result = buildBundle(outDir, channel);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  console.log(path.relative(process.cwd(), outDir) + ': ' + result.files + ' file(s), ' +
+    Math.round(result.bytes / 1024) + ' KiB, cache ' + result.cache);
+}
+
+module.exports = {
+  collectFiles: collectFiles,
+  buildBundle: buildBundle,
+};
+
+if (require.main === module) {
+  main();
+}
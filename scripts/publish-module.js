@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+/**
+ * publish-module.js — Publish, promote and roll back module releases in modules/modules.json.
+ *
+ * Usage:
+ *   node scripts/publish-module.js release <module_type> <version> [--channel dev|beta|stable]
+ *       Copy the module's current files from modules/pnp/ to modules/releases/<module_type>/<version>/
+ *       and list them under "versions" with their integrity (and "lifecycle" when the component
+ *       exports it). Files the component imports from modules/pnp/ ('./moduleKit.js') are copied
+ *       along and listed under "imports". The channel defaults to dev.
+ *   node scripts/publish-module.js promote <module_type> <version> <channel>
+ *       Re-tag a release, e.g. beta -> stable once it has been tried.
+ *   node scripts/publish-module.js yank <module_type> <version> [--undo]
+ *       Roll back: channels skip the release and fall back to the next highest one.
+ *   node scripts/publish-module.js sync <module_type>
+ *       Rewrite the top-level version/URLs/integrity from the current stable release.
+ *
+ * Released files are never overwritten: fixing a release means publishing a new version. Every
+ * command re-syncs the top-level fields, which loaders that do not read "versions" still use.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+  REPO_ROOT, MANIFEST_PATH, CHANNELS, MIRRORED_FIELDS, LIFECYCLE_VERSION,
+  sriHash, parseVersion, compareVersions, resolveChannel, localFileForUrl, manifestUrlForFile, publishedBaseUrl,
+  relativeUrlBase, exportsLifecycle, localImports,
+} = require('./validate-modules');
+const { manifestEntries } = require('../modules/manifestResolver');
+
+const SOURCE_DIR = path.join(REPO_ROOT, 'modules', 'pnp');
+const RELEASES_DIR = path.join(REPO_ROOT, 'modules', 'releases');
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+function findEntry(entries, moduleType) {
+  const entry = entries.find(function (e) { return e.module_type === moduleType; });
+  if (!entry) fail('No module "' + moduleType + '" in ' + path.relative(process.cwd(), MANIFEST_PATH));
+  return entry;
+}
+
+function findRelease(entry, version) {
+  const release = (entry.versions || []).find(function (r) { return r.version === version; });
+  if (!release) fail(entry.module_type + ' has no release ' + version);
+  return release;
+}
+
+function requireChannel(channel) {
+  if (CHANNELS.indexOf(channel) === -1) fail('Channel must be one of ' + CHANNELS.join(', '));
+  return channel;
+}
+
+/**
+ * Copy the top-level fields of entry from its current stable release.
+ * @param {object} entry
+ */
+function syncStable(entry) {
+  const stable = resolveChannel(entry, 'stable');
+  if (!stable) fail(entry.module_type + ' would have no stable release');
+  MIRRORED_FIELDS.forEach(function (field) {
+    if (stable[field] === undefined) delete entry[field];
+    else entry[field] = JSON.parse(JSON.stringify(stable[field]));
+  });
+}
+
+/**
+ * Freeze the module's current source files as a new release.
+ * @param {object} entry
+ * @param {string} version
+ * @param {string} channel
+ * @param {string} baseUrl - publishedBaseUrl(manifest), for reading the entry's URLs
+ * @param {string|null} urlBase - relativeUrlBase(manifest); new URLs are relative to it, or absolute when null
+ * @returns {object} The release added to entry.versions
+ */
+function release(entry, version, channel, baseUrl, urlBase) {
+  if (!parseVersion(version)) fail('"' + version + '" is not a semantic version (MAJOR.MINOR.PATCH)');
+  entry.versions = entry.versions || [];
+  if (entry.versions.some(function (r) { return r.version === version; })) {
+    fail(entry.module_type + ' ' + version + ' is already released; publish a new version');
+  }
+  const dir = path.join(RELEASES_DIR, entry.module_type, version);
+  if (fs.existsSync(dir)) fail(path.relative(REPO_ROOT, dir) + ' already exists');
+
+  const added = { version: version, channel: channel, released: new Date().toISOString().slice(0, 10) };
+  const integrity = {};
+  const sources = {};
+  ['jsx_file_url', 'css_file_url'].forEach(function (field) {
+    const name = path.basename(localFileForUrl(entry[field], baseUrl) || '');
+    sources[field] = path.join(SOURCE_DIR, name);
+    if (!name || !fs.existsSync(sources[field])) fail('No source file for ' + entry.module_type + '.' + field + ' in modules/pnp/');
+  });
+  const imports = localImports(sources.jsx_file_url);
+  imports.forEach(function (name) {
+    if (!fs.existsSync(path.join(SOURCE_DIR, name))) {
+      fail(path.relative(REPO_ROOT, sources.jsx_file_url) + ' imports ./' + name + ', which does not exist');
+    }
+  });
+  fs.mkdirSync(dir, { recursive: true });
+  Object.keys(sources).forEach(function (field) {
+    const source = sources[field];
+    const target = path.join(dir, path.basename(source));
+    fs.copyFileSync(source, target);
+    added[field] = manifestUrlForFile(target, urlBase);
+    integrity[field] = sriHash(target);
+  });
+  added.integrity = integrity;
+  if (exportsLifecycle(sources.jsx_file_url)) added.lifecycle = LIFECYCLE_VERSION;
+  if (imports.length) {
+    added.imports = {};
+    imports.forEach(function (name) {
+      const target = path.join(dir, name);
+      fs.copyFileSync(path.join(SOURCE_DIR, name), target);
+      added.imports[name] = sriHash(target);
+    });
+  }
+
+  entry.versions.push(added);
+  entry.versions.sort(function (a, b) {
+    return compareVersions(parseVersion(b.version), parseVersion(a.version));
+  });
+  return added;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const moduleType = args[1];
+  if (!command || !moduleType) fail('Usage: node scripts/publish-module.js release|promote|yank|sync <module_type> [version] ...');
+
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+  const baseUrl = publishedBaseUrl(manifest);
+  const entry = findEntry(manifestEntries(manifest), moduleType);
+  const version = args[2];
+  let summary;
+
+  if (command === 'release') {
+    const i = args.indexOf('--channel');
+    const channel = requireChannel(i === -1 ? 'dev' : args[i + 1]);
+    const added = release(entry, version, channel, baseUrl, relativeUrlBase(manifest));
+    summary = 'released ' + moduleType + ' ' + version + ' on ' + channel + ' (' +
+      path.relative(REPO_ROOT, path.dirname(localFileForUrl(added.jsx_file_url, baseUrl))) + ')';
+  } else if (command === 'promote') {
+    const channel = requireChannel(args[3]);
+    findRelease(entry, version).channel = channel;
+    summary = moduleType + ' ' + version + ' is now on ' + channel;
+  } else if (command === 'yank') {
+    const target = findRelease(entry, version);
+    if (args.indexOf('--undo') !== -1) {
+      delete target.yanked;
+      summary = 'restored ' + moduleType + ' ' + version;
+    } else {
+      target.yanked = true;
+      summary = 'yanked ' + moduleType + ' ' + version;
+    }
+  } else if (command === 'sync') {
+    summary = 'synced ' + moduleType;
+  } else {
+    fail('Unknown command "' + command + '"');
+  }
+
+  syncStable(entry);
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n');
+  console.log(summary + '; stable is ' + entry.version);
+}
+
+module.exports = {
+  release: release,
+  syncStable: syncStable,
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+/**
+ * update-integrity.js — Write SRI hashes into modules/modules.json and optionally sign it.
+ *
+ * Usage: node scripts/update-integrity.js [--sign private.pem] [--verify public.pem]
+ *   (no flags)     recompute "integrity" of every entry from the files under modules/ and save;
+ *                  releases only get hashes they lack (a changed released file is an error)
+ *   --sign <pem>   after updating, write modules/modules.json.sig signed with an ECDSA P-256 key
+ *   --verify <pem> exit 1 unless modules/modules.json.sig is a valid signature of modules.json
+ *
+ * Each entry gets "integrity": { "jsx_file_url": "sha384-...", "css_file_url": "sha384-..." }, the
+ * same format as the HTML integrity attribute, so a loader hashes the fetched text and compares.
+ * scripts/validate-modules.js fails when a hash no longer matches its file.
+ *
+ * The signature covers the exact bytes of modules.json (and so every hash in it). It is base64 of
+ * an ECDSA P-256 / SHA-256 signature in IEEE P1363 (r || s) form, which is what WebCrypto's
+ * crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, ...) takes as is.
+ * Make a key pair with:
+ *   openssl ecparam -name prime256v1 -genkey -noout -out modules-signing.pem
+ *   openssl ec -in modules-signing.pem -pubout -out modules-signing.pub.pem
+ * Keep the private key out of the repo; the host app embeds the public key.
+ */
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { localFileForUrl, publishedBaseUrl, sriHash, MANIFEST_PATH, SRI_ALGORITHM } = require('./validate-modules');
+const { manifestEntries } = require('../modules/manifestResolver');
+
+const SIGNATURE_PATH = MANIFEST_PATH + '.sig';
+const INTEGRITY_FIELDS = ['jsx_file_url', 'css_file_url'];
+
+/**
+ * Integrity object an entry should carry, computed from the files its URLs point at.
+ * @param {object} entry - Manifest entry
+ * @param {string} baseUrl - publishedBaseUrl(manifest), for relative URLs
+ * @returns {{integrity: object, errors: string[]}}
+ */
+function integrityForEntry(entry, baseUrl) {
+  const integrity = {};
+  const errors = [];
+  INTEGRITY_FIELDS.forEach(function (field) {
+    const file = localFileForUrl(entry[field], baseUrl);
+    if (!file || !fs.existsSync(file)) {
+      errors.push(entry.module_type + '.' + field + ': no local file for ' + entry[field]);
+      return;
+    }
+    // Keep the algorithm already chosen for this entry, if any.
+    const current = entry.integrity && entry.integrity[field];
+    const algo = typeof current === 'string' && /^sha(256|384|512)-/.test(current) ? current.split('-')[0] : SRI_ALGORITHM;
+    integrity[field] = sriHash(file, algo);
+  });
+  return { integrity: integrity, errors: errors };
+}
+
+/**
+ * Sign manifest bytes.
+ * @param {Buffer|string} manifestBytes
+ * @param {string} privateKeyPem - ECDSA P-256 private key
+ * @returns {string} Base64 signature
+ */
+function signManifest(manifestBytes, privateKeyPem) {
+  return crypto.sign('sha256', Buffer.from(manifestBytes), { key: privateKeyPem, dsaEncoding: 'ieee-p1363' })
+    .toString('base64');
+}
+
+/**
+ * Verify a signature made by signManifest.
+ * @param {Buffer|string} manifestBytes
+ * @param {string} signature - Base64
+ * @param {string} publicKeyPem - ECDSA P-256 public key
+ * @returns {boolean}
+ */
+function verifyManifest(manifestBytes, signature, publicKeyPem) {
+  try {
+    return crypto.verify('sha256', Buffer.from(manifestBytes), { key: publicKeyPem, dsaEncoding: 'ieee-p1363' },
+      Buffer.from(String(signature).trim(), 'base64'));
+  } catch (err) {
+    return false;
+  }
+}
+
+function argValue(args, flag) {
+  const i = args.indexOf(flag);
+  if (i === -1) return null;
+  if (!args[i + 1]) {
+    console.error(flag + ' needs a key file');
+    process.exit(2);
+  }
+  return path.resolve(args[i + 1]);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const signKey = argValue(args, '--sign');
+  const verifyKey = argValue(args, '--verify');
+  const rel = path.relative(process.cwd(), MANIFEST_PATH);
+
+  if (!verifyKey || signKey) {
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+    const entries = manifestEntries(manifest);
+    const baseUrl = publishedBaseUrl(manifest);
+    let failed = false;
+    entries.forEach(function (entry) {
+      const computed = integrityForEntry(entry, baseUrl);
+      computed.errors.forEach(function (e) { console.error('  ' + e); failed = true; });
+      entry.integrity = Object.assign({}, entry.integrity, computed.integrity);
+      // Released files are immutable: fill in missing hashes, never replace one.
+      (entry.versions || []).forEach(function (release) {
+        const frozen = integrityForEntry(Object.assign({ module_type: entry.module_type + '@' + release.version }, release), baseUrl);
+        frozen.errors.forEach(function (e) { console.error('  ' + e); failed = true; });
+        Object.keys(frozen.integrity).forEach(function (field) {
+          const current = release.integrity && release.integrity[field];
+          if (!current) {
+            release.integrity = Object.assign({}, release.integrity, { [field]: frozen.integrity[field] });
+          } else if (current !== frozen.integrity[field]) {
+            console.error('  ' + entry.module_type + '@' + release.version + '.' + field + ': released file changed; publish a new version');
+            failed = true;
+          }
+        });
+      });
+    });
+    if (failed) process.exit(1);
+    fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n');
+    console.log(rel + ': integrity updated for ' + entries.length + ' module(s)');
+  }
+
+  if (signKey) {
+    const signature = signManifest(fs.readFileSync(MANIFEST_PATH), fs.readFileSync(signKey, 'utf8'));
+    fs.writeFileSync(SIGNATURE_PATH, signature + '\n');
+    console.log(path.relative(process.cwd(), SIGNATURE_PATH) + ': written');
+  }
+
+  if (verifyKey) {
+    if (!fs.existsSync(SIGNATURE_PATH)) {
+      console.error(path.relative(process.cwd(), SIGNATURE_PATH) + ': not found');
+      process.exit(1);
+    }
+    const ok = verifyManifest(fs.readFileSync(MANIFEST_PATH), fs.readFileSync(SIGNATURE_PATH, 'utf8'),
+      fs.readFileSync(verifyKey, 'utf8'));
+    if (!ok) {
+      console.error(rel + ': signature does not match');
+      process.exit(1);
+    }
+    console.log(rel + ': signature OK');
+  }
+}
+
+module.exports = {
+  integrityForEntry: integrityForEntry,
+  signManifest: signManifest,
+  verifyManifest: verifyManifest,
+  SIGNATURE_PATH: SIGNATURE_PATH,
+};
+
+if (require.main === module) {
+  main();
+}
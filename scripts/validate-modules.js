@@ -0,0 +1,624 @@
+#!/usr/bin/env node
+/**
+ * validate-modules.js — Check modules/modules.json before publishing.
+ *
+ * Run from anywhere: node scripts/validate-modules.js [path/to/modules.json]
+ * Exits 1 and lists every problem when the manifest:
+ *   - does not match modules/modules.schema.json (missing fields, bad semver, bad URLs, ...)
+ *   - repeats a module_type or route_path
+ *   - links a jsx/css/image URL (absolute on the CDN, or relative to base_url) that has no file under modules/
+ *   - is a bare array (the published format, read by every loader) with a relative URL; relative URLs
+ *     need { base_url, modules }, which only loaders using manifestResolver.js understand
+ *   - carries an integrity hash that no longer matches its file (fix with scripts/update-integrity.js)
+ *   - depends on a module that is not in the manifest, on itself, or on a version range no entry satisfies
+ *   - declares a config property whose default does not satisfy the property's own schema
+ *   - translates into a malformed locale, or links an i18n message catalog that is missing, has no
+ *     "en" messages, or has translations with keys or {placeholders} the English text lacks
+ *   - lists a release twice, links release files outside their version's folder, changes a released
+ *     file, has no stable release, or has top-level version/URLs/integrity/lifecycle other than the
+ *     stable release's
+ *   - declares "lifecycle" for a release whose component does not export it, or the other way round
+ *   - has "imports" other than the files its component imports from its own folder, or whose files
+ *     are missing or changed
+ *
+ * No dependencies: the schema is checked by a small interpreter for the JSON Schema keywords
+ * the manifest schema and module config schemas use (type, enum, pattern, minLength, minimum,
+ * maximum, required, properties, additionalProperties, items, minItems, $ref to #/definitions).
+ */
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { manifestBaseUrl, manifestEntries, resolveModuleUrl } = require('../modules/manifestResolver');
+
+const REPO_ROOT = path.resolve(__dirname, '..');
+const MANIFEST_PATH = path.join(REPO_ROOT, 'modules', 'modules.json');
+const SCHEMA_PATH = path.join(REPO_ROOT, 'modules', 'modules.schema.json');
+const CDN_ORIGIN = 'https://cdn-modules.onrender.com';
+// Where this repo's modules.json is published; relative URLs in it are checked against this copy.
+const CDN_MANIFEST_URL = CDN_ORIGIN + '/modules/modules.json';
+const FILE_URL_FIELDS = ['jsx_file_url', 'css_file_url', 'image_url'];
+const RELEASE_URL_FIELDS = ['jsx_file_url', 'css_file_url'];
+// Top-level fields that repeat the stable release, for loaders that do not read "versions".
+const MIRRORED_FIELDS = ['version', 'jsx_file_url', 'css_file_url', 'integrity', 'lifecycle', 'imports'];
+// Most to least stable.
+const CHANNELS = ['stable', 'beta', 'dev'];
+const SRI_ALGORITHM = 'sha384';
+// Version of the module lifecycle interface (the component file's named export "lifecycle")
+const LIFECYCLE_VERSION = 1;
+// BCP 47 tag as used for UI locales: language, then optional script/region/variant subtags
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#/')) throw new Error('Only local $ref is supported: ' + ref);
+  return ref.slice(2).split('/').reduce(function (node, key) {
+    return node[key];
+  }, root);
+}
+
+/**
+ * Validate value against schema, pushing '<path>: <problem>' strings into errors.
+ * @param {*} value
+ * @param {object} schema
+ * @param {object} root - Top-level schema (for $ref)
+ * @param {string} at - JSON path of value, for messages
+ * @param {string[]} errors
+ */
+function validateSchema(value, schema, root, at, errors) {
+  if (schema.$ref) {
+    validateSchema(value, resolveRef(schema.$ref, root), root, at, errors);
+    return;
+  }
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(function (t) { return matchesType(value, t); })) {
+      errors.push(at + ': expected ' + types.join(' or ') + ', got ' + typeOf(value));
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.some(function (v) { return v === value; })) {
+    errors.push(at + ': must be one of ' + schema.enum.map(String).join(', '));
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) {
+      errors.push(at + ': must be at least ' + schema.minimum);
+    }
+    if (schema.maximum != null && value > schema.maximum) {
+      errors.push(at + ': must be at most ' + schema.maximum);
+    }
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push(at + ': must not be shorter than ' + schema.minLength + ' characters');
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(at + ': "' + value + '" is not ' + (schema.title || 'matching ' + schema.pattern));
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push(at + ': needs at least ' + schema.minItems + ' item(s)');
+    }
+    if (schema.items) {
+      value.forEach(function (item, i) {
+        validateSchema(item, schema.items, root, at + '[' + i + ']', errors);
+      });
+    }
+  }
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(function (key) {
+      if (!(key in value)) errors.push(at + ': missing "' + key + '"');
+    });
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(function (key) {
+      if (properties[key]) {
+        validateSchema(value[key], properties[key], root, at + '.' + key, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(at + ': unknown field "' + key + '"');
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateSchema(value[key], schema.additionalProperties, root, at + '.' + key, errors);
+      }
+    });
+  }
+}
+
+/**
+ * Base URL of the published manifest: its base_url resolved against CDN_MANIFEST_URL.
+ * @param {object} manifest - Parsed modules.json
+ * @returns {string}
+ */
+function publishedBaseUrl(manifest) {
+  return manifestBaseUrl(manifest, CDN_MANIFEST_URL);
+}
+
+/**
+ * Map a manifest URL to the file it should serve from this repo, or null if it is not on the CDN.
+ * @param {string} url - Absolute URL, or relative to baseUrl
+ * @param {string} [baseUrl] - publishedBaseUrl(manifest); needed for relative URLs
+ * @returns {string|null}
+ */
+function localFileForUrl(url, baseUrl) {
+  if (typeof url !== 'string') return null;
+  let absolute;
+  try {
+    absolute = resolveModuleUrl(url, baseUrl);
+  } catch (err) {
+    return null;
+  }
+  if (!absolute.startsWith(CDN_ORIGIN + '/')) return null;
+  const pathname = decodeURIComponent(new URL(absolute).pathname);
+  return path.join(REPO_ROOT, pathname);
+}
+
+/**
+ * Base URL new file URLs are written relative to: publishedBaseUrl(manifest) for a manifest in the
+ * { base_url, modules } format, null for a bare array, whose URLs stay absolute for older loaders.
+ * @param {object|Array} manifest - Parsed modules.json
+ * @returns {string|null}
+ */
+function relativeUrlBase(manifest) {
+  return Array.isArray(manifest) ? null : publishedBaseUrl(manifest);
+}
+
+/**
+ * The URL to write into the manifest for a repo file: relative to baseUrl when one is given and
+ * the file is under it, else absolute on the CDN.
+ * @param {string} file - Path under the repo root
+ * @param {string|null} baseUrl - relativeUrlBase(manifest)
+ * @returns {string}
+ */
+function manifestUrlForFile(file, baseUrl) {
+  const url = CDN_ORIGIN + '/' + path.relative(REPO_ROOT, file).split(path.sep).join('/');
+  return baseUrl && url.startsWith(baseUrl) ? url.slice(baseUrl.length) : url;
+}
+
+function isAbsoluteUrl(url) {
+  return /^[a-z][a-z0-9+.-]*:/i.test(url);
+}
+
+/**
+ * SRI hash of a file's bytes, as used in the manifest's "integrity" maps.
+ * @param {string} file
+ * @param {string} [algorithm='sha384'] - sha256, sha384 or sha512
+ * @returns {string} e.g. 'sha384-oqVuAfXRKap7fdgcCY5uykM6+R9GqQ8K/uxy9rx7HNQlGYl1kPzQho1wx4JwY8wC'
+ */
+function sriHash(file, algorithm) {
+  const algo = algorithm || SRI_ALGORITHM;
+  return algo + '-' + crypto.createHash(algo).update(fs.readFileSync(file)).digest('base64');
+}
+
+/** Parse 'MAJOR.MINOR.PATCH' (pre-release and build suffixes ignored) into numbers, or null. */
+function parseVersion(version) {
+  const m = /^(\d+)\.(\d+)\.(\d+)/.exec(String(version));
+  return m ? [Number(m[1]), Number(m[2]), Number(m[3])] : null;
+}
+
+function compareVersions(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Whether version satisfies a dependency range: '*', '1.2.0' (exact), '>=1.2.0',
+ * '~1.2.0' (>=1.2.0 <1.3.0) or '^1.2.0' (>=1.2.0 <2.0.0; ^0.2.0 is >=0.2.0 <0.3.0).
+ * @param {string} version
+ * @param {string} range
+ * @returns {boolean}
+ */
+function satisfiesRange(version, range) {
+  if (range === '*') return parseVersion(version) !== null;
+  const m = /^(\^|~|>=)?(.*)$/.exec(range);
+  const v = parseVersion(version);
+  const min = parseVersion(m[2]);
+  if (!v || !min) return false;
+  const cmp = compareVersions(v, min);
+  if (!m[1]) return cmp === 0;
+  if (cmp < 0) return false;
+  if (m[1] === '>=') return true;
+  if (m[1] === '~' || min[0] === 0) return v[0] === min[0] && v[1] === min[1];
+  return v[0] === min[0];
+}
+
+/**
+ * Release a loader following channel gets: the highest version that is not yanked and is tagged
+ * with that channel or a more stable one (a beta client also gets newer stable releases).
+ * @param {object} entry - Manifest entry
+ * @param {string} channel - 'stable', 'beta' or 'dev'
+ * @returns {object|null} The release from entry.versions, or null if there is none
+ */
+function resolveChannel(entry, channel) {
+  const rank = CHANNELS.indexOf(channel);
+  if (rank === -1 || !entry || !Array.isArray(entry.versions)) return null;
+  let best = null;
+  entry.versions.forEach(function (release) {
+    if (!release || release.yanked) return;
+    const releaseRank = CHANNELS.indexOf(release.channel);
+    const v = parseVersion(release.version);
+    if (releaseRank === -1 || releaseRank > rank || !v) return;
+    if (!best || compareVersions(v, parseVersion(best.version)) > 0) best = release;
+  });
+  return best;
+}
+
+/**
+ * Whether a component file exports the module lifecycle interface.
+ * @param {string} file - Local .jsx file
+ * @returns {boolean}
+ */
+function exportsLifecycle(file) {
+  return /^export\s+const\s+lifecycle\b/m.test(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Plain JavaScript files a component imports from its own folder (import ... from './moduleKit.js'),
+ * and the ones those import in turn. A release folder holds copies of them next to the component.
+ * @param {string} file - Component (or imported) file
+ * @returns {string[]} File names, sorted
+ */
+function localImports(file) {
+  const found = {};
+  (function scan(current) {
+    const pattern = /^\s*(?:import|export)\b[^'";]*?['"]\.\/([\w.-]+\.js)['"]/gm;
+    const text = fs.readFileSync(current, 'utf8');
+    let match;
+    while ((match = pattern.exec(text))) {
+      const name = match[1];
+      if (found[name]) continue;
+      found[name] = true;
+      const next = path.join(path.dirname(current), name);
+      if (fs.existsSync(next)) scan(next);
+    }
+  })(file);
+  return Object.keys(found).sort();
+}
+
+/**
+ * Check a release's "imports" against what its component imports, and their files and hashes.
+ * @param {object} release
+ * @param {string} jsx - Local path of the release's component
+ * @param {string} at - JSON path of release, for messages
+ * @param {string[]} errors
+ */
+function checkImports(release, jsx, at, errors) {
+  const listed = release.imports && typeof release.imports === 'object' ? release.imports : {};
+  const needed = localImports(jsx);
+  needed.forEach(function (name) {
+    if (!Object.prototype.hasOwnProperty.call(listed, name)) {
+      errors.push(at + '.imports: ' + path.relative(REPO_ROOT, jsx) + ' imports ./' + name + ', which is not listed');
+    }
+  });
+  Object.keys(listed).forEach(function (name) {
+    const where = at + '.imports.' + name;
+    const file = path.join(path.dirname(jsx), name);
+    const hash = listed[name];
+    if (needed.indexOf(name) === -1) {
+      errors.push(where + ': ' + path.relative(REPO_ROOT, jsx) + ' does not import it');
+    } else if (!fs.existsSync(file)) {
+      errors.push(where + ': ' + path.relative(REPO_ROOT, file) + ' does not exist');
+    } else if (typeof hash === 'string' && /^sha(256|384|512)-/.test(hash) && sriHash(file, hash.split('-')[0]) !== hash) {
+      errors.push(where + ': does not match ' + path.relative(REPO_ROOT, file) + ' (released files must not change; publish a new version instead)');
+    }
+  });
+}
+
+/**
+ * Check that every default in a module's config schema (nested ones included) satisfies its property.
+ * @param {object} config - Entry's "config" JSON Schema
+ * @param {string} at - JSON path of config, for messages
+ * @param {string[]} errors
+ */
+function checkConfigDefaults(config, at, errors) {
+  const properties = config && typeof config.properties === 'object' ? config.properties : {};
+  Object.keys(properties).forEach(function (key) {
+    const property = properties[key];
+    if (!property || typeof property !== 'object') return;
+    const where = at + '.properties.' + key;
+    if ('default' in property) validateSchema(property.default, property, property, where + '.default', errors);
+    if (property.type === 'object') checkConfigDefaults(property, where, errors);
+  });
+}
+
+/**
+ * Check that the jsx/css/image URLs of an entry or release have files and matching hashes.
+ * @param {object} item - Manifest entry or one of its releases
+ * @param {string} at - JSON path of item, for messages
+ * @param {string} fix - What to do about a hash mismatch
+ * @param {string} baseUrl - publishedBaseUrl(manifest)
+ * @param {string[]} errors
+ */
+function checkFiles(item, at, fix, baseUrl, errors) {
+  FILE_URL_FIELDS.forEach(function (field) {
+    const url = item[field];
+    if (typeof url !== 'string') return;
+    const file = localFileForUrl(url, baseUrl);
+    if (!file) {
+      errors.push(at + '.' + field + ': ' + url + ' is not on ' + CDN_ORIGIN);
+    } else if (!fs.existsSync(file)) {
+      errors.push(at + '.' + field + ': ' + path.relative(REPO_ROOT, file) + ' does not exist');
+    }
+  });
+  const integrity = item.integrity;
+  if (!integrity || typeof integrity !== 'object') return;
+  Object.keys(integrity).forEach(function (field) {
+    const hash = integrity[field];
+    const file = localFileForUrl(item[field], baseUrl);
+    // Malformed hashes and missing files are already reported above.
+    if (typeof hash !== 'string' || !/^sha(256|384|512)-/.test(hash) || !file || !fs.existsSync(file)) return;
+    if (sriHash(file, hash.split('-')[0]) !== hash) {
+      errors.push(at + '.integrity.' + field + ': does not match ' + path.relative(REPO_ROOT, file) + ' (' + fix + ')');
+    }
+  });
+}
+
+/**
+ * Check an entry's releases: unique versions, URLs pinned to the version, untouched files, and
+ * top-level fields that mirror the current stable release.
+ * @param {object} entry
+ * @param {string} at
+ * @param {string} baseUrl - publishedBaseUrl(manifest)
+ * @param {string[]} errors
+ */
+function checkReleases(entry, at, baseUrl, errors) {
+  if (!Array.isArray(entry.versions)) return;
+  const seen = {};
+  entry.versions.forEach(function (release, j) {
+    if (!release || typeof release !== 'object') return;
+    const where = at + '.versions[' + j + ']';
+    if (typeof release.version === 'string') {
+      if (seen[release.version] != null) {
+        errors.push(where + '.version: ' + release.version + ' is already listed at versions[' + seen[release.version] + ']');
+      } else {
+        seen[release.version] = j;
+      }
+      RELEASE_URL_FIELDS.forEach(function (field) {
+        const url = release[field];
+        if (typeof url === 'string' && url.indexOf('/' + release.version + '/') === -1) {
+          errors.push(where + '.' + field + ': ' + url + ' is not pinned to ' + release.version);
+        }
+      });
+    }
+    checkFiles(release, where, 'released files must not change; publish a new version instead', baseUrl, errors);
+    const jsx = typeof release.jsx_file_url === 'string' ? localFileForUrl(release.jsx_file_url, baseUrl) : null;
+    if (jsx && fs.existsSync(jsx)) {
+      const exported = exportsLifecycle(jsx);
+      if (release.lifecycle != null && !exported) {
+        errors.push(where + '.lifecycle: ' + path.relative(REPO_ROOT, jsx) + ' does not export lifecycle');
+      } else if (release.lifecycle == null && exported) {
+        errors.push(where + ': ' + path.relative(REPO_ROOT, jsx) + ' exports lifecycle; declare "lifecycle": ' + LIFECYCLE_VERSION);
+      }
+      checkImports(release, jsx, where, errors);
+    }
+  });
+  const stable = resolveChannel(entry, 'stable');
+  if (!stable) {
+    errors.push(at + '.versions: no stable release that is not yanked');
+    return;
+  }
+  MIRRORED_FIELDS.forEach(function (field) {
+    if (JSON.stringify(entry[field]) !== JSON.stringify(stable[field])) {
+      errors.push(at + '.' + field + ': must match the stable release ' + stable.version +
+        ' (run node scripts/publish-module.js sync ' + entry.module_type + ')');
+    }
+  });
+}
+
+/**
+ * Check that an entry of a bare-array manifest (and its releases and catalog) only links absolute URLs.
+ * @param {object} entry
+ * @param {string} at
+ * @param {string[]} errors
+ */
+function checkAbsoluteUrls(entry, at, errors) {
+  const links = FILE_URL_FIELDS.map(function (field) { return [at + '.' + field, entry[field]]; });
+  (Array.isArray(entry.versions) ? entry.versions : []).forEach(function (release, j) {
+    RELEASE_URL_FIELDS.forEach(function (field) {
+      links.push([at + '.versions[' + j + '].' + field, release && release[field]]);
+    });
+  });
+  if (entry.i18n && typeof entry.i18n === 'object') links.push([at + '.i18n.messages_url', entry.i18n.messages_url]);
+  links.forEach(function (link) {
+    if (typeof link[1] === 'string' && !isAbsoluteUrl(link[1])) {
+      errors.push(link[0] + ': ' + link[1] + ' is relative; a bare-array manifest needs absolute URLs ' +
+        '(use { "base_url", "modules" } for relative ones)');
+    }
+  });
+}
+
+function placeholders(text) {
+  return (String(text).match(/\{\w+\}/g) || []).sort().join(' ');
+}
+
+/**
+ * Check an entry's translations: locale tags, and a message catalog whose translations only use
+ * keys and placeholders of its English messages.
+ * @param {object} entry
+ * @param {string} at
+ * @param {string} baseUrl - publishedBaseUrl(manifest)
+ * @param {string[]} errors
+ */
+function checkI18n(entry, at, baseUrl, errors) {
+  const i18n = entry.i18n;
+  if (!i18n || typeof i18n !== 'object') return;
+  ['display_name', 'description'].forEach(function (field) {
+    const texts = i18n[field];
+    if (!texts || typeof texts !== 'object') return;
+    if (typeof entry[field] !== 'string') {
+      errors.push(at + '.i18n.' + field + ': translates ' + field + ', which the entry does not have');
+    }
+    Object.keys(texts).forEach(function (locale) {
+      if (!LOCALE_PATTERN.test(locale)) errors.push(at + '.i18n.' + field + '.' + locale + ': not a locale tag');
+    });
+  });
+
+  const url = i18n.messages_url;
+  if (typeof url !== 'string') return;
+  const where = at + '.i18n.messages_url';
+  const file = localFileForUrl(url, baseUrl);
+  if (!file) {
+    errors.push(where + ': ' + url + ' is not on ' + CDN_ORIGIN);
+    return;
+  }
+  const rel = path.relative(REPO_ROOT, file);
+  let catalog;
+  try {
+    catalog = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    errors.push(where + ': ' + (fs.existsSync(file) ? rel + ': ' + err.message : rel + ' does not exist'));
+    return;
+  }
+  const english = catalog && catalog.en;
+  if (!english || typeof english !== 'object') {
+    errors.push(where + ': ' + rel + ' has no "en" messages');
+    return;
+  }
+  Object.keys(catalog).forEach(function (locale) {
+    const messages = catalog[locale];
+    if (!LOCALE_PATTERN.test(locale)) errors.push(where + ': ' + rel + ': "' + locale + '" is not a locale tag');
+    if (!messages || typeof messages !== 'object') {
+      errors.push(where + ': ' + rel + ': ' + locale + ' must be an object of messages');
+      return;
+    }
+    Object.keys(messages).forEach(function (key) {
+      const text = messages[key];
+      if (typeof text !== 'string') {
+        errors.push(where + ': ' + rel + ': ' + locale + '.' + key + ' must be a string');
+      } else if (!(key in english)) {
+        errors.push(where + ': ' + rel + ': ' + locale + '.' + key + ' has no English message');
+      } else if (placeholders(text) !== placeholders(english[key])) {
+        errors.push(where + ': ' + rel + ': ' + locale + '.' + key + ' must use the placeholders of en.' + key +
+          ' (' + (placeholders(english[key]) || 'none') + ')');
+      }
+    });
+  });
+}
+
+/**
+ * Checks the schema cannot express: unique module_type / route_path, files that exist and
+ * integrity hashes that match them, release rules, message catalogs, and dependencies that resolve
+ * to other entries.
+ * @param {object} manifest - Parsed modules.json
+ * @returns {string[]} Problems found
+ */
+function checkManifest(manifest) {
+  const errors = [];
+  const entries = manifestEntries(manifest);
+  const bare = Array.isArray(manifest);
+  const prefix = bare ? '$' : '$.modules';
+  let baseUrl;
+  try {
+    baseUrl = publishedBaseUrl(manifest);
+  } catch (err) {
+    return ['$.base_url: ' + err.message];
+  }
+  const seen = { module_type: {}, route_path: {} };
+  const versions = {};
+  entries.forEach(function (entry) {
+    if (entry && typeof entry.module_type === 'string') versions[entry.module_type] = entry.version;
+  });
+  entries.forEach(function (entry, i) {
+    if (!entry || typeof entry !== 'object') return;
+    const at = prefix + '[' + i + ']';
+    Object.keys(seen).forEach(function (field) {
+      const value = entry[field];
+      if (typeof value !== 'string') return;
+      if (seen[field][value] != null) {
+        errors.push(at + '.' + field + ': "' + value + '" is already used by ' + prefix + '[' + seen[field][value] + ']');
+      } else {
+        seen[field][value] = i;
+      }
+    });
+    if (bare) checkAbsoluteUrls(entry, at, errors);
+    checkFiles(entry, at, 'run node scripts/update-integrity.js', baseUrl, errors);
+    checkReleases(entry, at, baseUrl, errors);
+    checkConfigDefaults(entry.config, at + '.config', errors);
+    checkI18n(entry, at, baseUrl, errors);
+    const dependencies = entry.dependencies && typeof entry.dependencies === 'object' ? entry.dependencies : {};
+    Object.keys(dependencies).forEach(function (name) {
+      // Malformed ranges are reported by the schema; only well-formed ones are resolved here.
+      const range = dependencies[name];
+      if (name === entry.module_type) {
+        errors.push(at + '.dependencies.' + name + ': a module cannot depend on itself');
+      } else if (!(name in versions)) {
+        errors.push(at + '.dependencies.' + name + ': no module "' + name + '" in the manifest');
+      } else if (/^(\*|(\^|~|>=)?\d+\.\d+\.\d+)$/.test(range) && !satisfiesRange(versions[name], range)) {
+        errors.push(at + '.dependencies.' + name + ': ' + name + ' is ' + versions[name] + ', which is not ' + range);
+      }
+    });
+  });
+  return errors;
+}
+
+/**
+ * Validate a manifest file.
+ * @param {string} [manifestPath] - Defaults to modules/modules.json
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateManifestFile(manifestPath) {
+  const file = manifestPath || MANIFEST_PATH;
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    return [path.relative(REPO_ROOT, file) + ': ' + err.message];
+  }
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+  const errors = [];
+  validateSchema(manifest, schema, schema, '$', errors);
+  return errors.concat(checkManifest(manifest));
+}
+
+function main() {
+  const file = process.argv[2] ? path.resolve(process.argv[2]) : MANIFEST_PATH;
+  const errors = validateManifestFile(file);
+  if (errors.length) {
+    console.error(path.relative(process.cwd(), file) + ': ' + errors.length + ' problem(s)');
+    errors.forEach(function (e) { console.error('  ' + e); });
+    process.exit(1);
+  }
+  console.log(path.relative(process.cwd(), file) + ': OK');
+}
+
+module.exports = {
+  REPO_ROOT: REPO_ROOT,
+  MANIFEST_PATH: MANIFEST_PATH,
+  CDN_ORIGIN: CDN_ORIGIN,
+  CDN_MANIFEST_URL: CDN_MANIFEST_URL,
+  CHANNELS: CHANNELS,
+  MIRRORED_FIELDS: MIRRORED_FIELDS,
+  SRI_ALGORITHM: SRI_ALGORITHM,
+  LIFECYCLE_VERSION: LIFECYCLE_VERSION,
+  publishedBaseUrl: publishedBaseUrl,
+  relativeUrlBase: relativeUrlBase,
+  localFileForUrl: localFileForUrl,
+  manifestUrlForFile: manifestUrlForFile,
+  sriHash: sriHash,
+  satisfiesRange: satisfiesRange,
+  compareVersions: compareVersions,
+  parseVersion: parseVersion,
+  resolveChannel: resolveChannel,
+  validateSchema: validateSchema,
+  checkManifest: checkManifest,
+  checkConfigDefaults: checkConfigDefaults,
+  exportsLifecycle: exportsLifecycle,
+  localImports: localImports,
+  validateManifestFile: validateManifestFile,
+};
+
+if (require.main === module) {
+  main();
+}
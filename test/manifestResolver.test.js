@@ -0,0 +1,108 @@
+/**
+ * manifestResolver.test.js — Both manifest formats resolve to the same absolute URLs.
+ *
+ * Run: node --test test/
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  resolveManifest, manifestBaseUrl, manifestEntries, localizeMessages,
+} = require('../modules/manifestResolver');
+
+const CDN_MANIFEST_URL = 'https://cdn-modules.onrender.com/modules/modules.json';
+const MIRROR_MANIFEST_URL = 'http://192.168.4.1/cdn/modules/modules.json';
+
+function entry(urls) {
+  return Object.assign({ module_type: 'plotter', display_name: 'Vector Plotter', version: '1.0.0' }, urls);
+}
+
+test('bare array with absolute URLs (published format) is left as it is', function () {
+  const manifest = [entry({
+    image_url: 'https://cdn-modules.onrender.com/modules/pnp/assets/mechanic.png',
+    jsx_file_url: 'https://cdn-modules.onrender.com/modules/releases/plotter/1.0.0/Plotter.jsx',
+    css_file_url: 'https://cdn-modules.onrender.com/modules/releases/plotter/1.0.0/Plotter.css',
+  })];
+  // Served from a mirror, the absolute URLs still point at the CDN
+  const resolved = resolveManifest(manifest, MIRROR_MANIFEST_URL);
+  assert.strictEqual(resolved.baseUrl, 'http://192.168.4.1/cdn/modules/');
+  assert.deepStrictEqual(resolved.modules[0], manifest[0]);
+  assert.notStrictEqual(resolved.modules[0], manifest[0], 'entries are copies');
+});
+
+test('bare array resolves relative URLs against the manifest folder', function () {
+  const manifest = [entry({
+    image_url: 'pnp/assets/mechanic.png',
+    jsx_file_url: 'releases/plotter/1.0.0/Plotter.jsx',
+    css_file_url: 'https://other.example/Plotter.css',
+  })];
+  const resolved = resolveManifest(manifest, MIRROR_MANIFEST_URL).modules[0];
+  assert.strictEqual(resolved.image_url, 'http://192.168.4.1/cdn/modules/pnp/assets/mechanic.png');
+  assert.strictEqual(resolved.jsx_file_url, 'http://192.168.4.1/cdn/modules/releases/plotter/1.0.0/Plotter.jsx');
+  assert.strictEqual(resolved.css_file_url, 'https://other.example/Plotter.css');
+});
+
+test('{ base_url, modules } resolves relative URLs, releases and catalogs against base_url', function () {
+  const manifest = {
+    base_url: '../mirror/',
+    modules: [entry({
+      image_url: 'pnp/assets/mechanic.png',
+      jsx_file_url: 'releases/plotter/1.0.0/Plotter.jsx',
+      css_file_url: 'https://cdn-modules.onrender.com/modules/releases/plotter/1.0.0/Plotter.css',
+      i18n: { display_name: { de: 'Vektorplotter' }, messages_url: 'pnp/i18n/plotter.json' },
+      versions: [{ version: '1.0.0', channel: 'stable', jsx_file_url: 'releases/plotter/1.0.0/Plotter.jsx' }],
+    })],
+  };
+  const resolved = resolveManifest(manifest, MIRROR_MANIFEST_URL);
+  assert.strictEqual(resolved.baseUrl, 'http://192.168.4.1/cdn/mirror/');
+  const plotter = resolved.modules[0];
+  assert.strictEqual(plotter.jsx_file_url, 'http://192.168.4.1/cdn/mirror/releases/plotter/1.0.0/Plotter.jsx');
+  assert.strictEqual(plotter.css_file_url, 'https://cdn-modules.onrender.com/modules/releases/plotter/1.0.0/Plotter.css');
+  assert.strictEqual(plotter.versions[0].jsx_file_url, 'http://192.168.4.1/cdn/mirror/releases/plotter/1.0.0/Plotter.jsx');
+  assert.strictEqual(plotter.i18n.messages_url, 'http://192.168.4.1/cdn/mirror/pnp/i18n/plotter.json');
+  // The manifest itself is not modified
+  assert.strictEqual(manifest.modules[0].jsx_file_url, 'releases/plotter/1.0.0/Plotter.jsx');
+});
+
+test('both formats give the same entries and translations', function () {
+  const entries = [entry({ jsx_file_url: 'https://cdn-modules.onrender.com/modules/pnp/Plotter.jsx', i18n: { display_name: { de: 'Vektorplotter' } } })];
+  assert.strictEqual(manifestEntries(entries), entries);
+  assert.strictEqual(manifestEntries({ modules: entries }), entries);
+  assert.deepStrictEqual(manifestEntries(null), []);
+  const fromArray = resolveManifest(entries, CDN_MANIFEST_URL, { locale: 'de-AT' }).modules;
+  const fromObject = resolveManifest({ modules: entries }, CDN_MANIFEST_URL, { locale: 'de-AT' }).modules;
+  assert.deepStrictEqual(fromArray, fromObject);
+  assert.strictEqual(fromArray[0].display_name, 'Vektorplotter');
+  assert.deepStrictEqual(localizeMessages({ en: { a: 'A', b: 'B' }, de: { a: 'Ä' } }, 'de'), { a: 'Ä', b: 'B' });
+});
+
+test('manifestBaseUrl needs an absolute manifest URL', function () {
+  assert.strictEqual(manifestBaseUrl([], CDN_MANIFEST_URL), 'https://cdn-modules.onrender.com/modules/');
+  assert.throws(function () { manifestBaseUrl([], 'modules/modules.json'); }, /absolute URL/);
+});
+
+test('the published modules.json is a bare array of absolute URLs', function () {
+  const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'modules', 'modules.json'), 'utf8'));
+  assert.ok(Array.isArray(manifest));
+  resolveManifest(manifest, MIRROR_MANIFEST_URL).modules.forEach(function (resolved, i) {
+    ['image_url', 'jsx_file_url', 'css_file_url'].forEach(function (field) {
+      assert.strictEqual(resolved[field], manifest[i][field], manifest[i].module_type + '.' + field);
+      assert.match(resolved[field], /^https:\/\/cdn-modules\.onrender\.com\//);
+    });
+  });
+});
+
+test('the validator rejects relative URLs in the bare-array form only', function () {
+  const { checkManifest } = require('../scripts/validate-modules');
+  const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'modules', 'modules.json'), 'utf8'));
+  assert.deepStrictEqual(checkManifest(manifest), []);
+  const relative = JSON.parse(JSON.stringify(manifest));
+  relative[0].jsx_file_url = relative[0].jsx_file_url.replace('https://cdn-modules.onrender.com/modules/', '');
+  assert.ok(checkManifest(relative).some(function (e) { return /^\$\[0\]\.jsx_file_url: .*absolute/.test(e); }),
+    checkManifest(relative).join('\n'));
+  const allRelative = JSON.parse(JSON.stringify(manifest).split('https://cdn-modules.onrender.com/modules/').join(''));
+  assert.deepStrictEqual(checkManifest({ base_url: './', modules: allRelative }), []);
+});
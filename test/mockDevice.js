@@ -0,0 +1,234 @@
+/**
+ * mockDevice.js — Stand-in ESP for the sendToDevice tests.
+ *
+ * A local HTTP server speaking the device API sendToDevice.js talks to (/upload, /upload_chunk,
+ * /checksum, /info, /list, /delete, /rename, /download, /run, /pause, /resume, /abort, /status).
+ * It stores uploaded files in memory and records every request as
+ * { method, path, query, at } (at: arrival time in ms). Uploads sent with encoding=gzip|delta are
+ * stored decoded, as a device that lists them in /info "compression" does.
+ *   const device = await startMockDevice({ corrupt: 1, fail: { '/checksum': 404 }, delay: 50 });
+ *   sendToDevice(gcode, 'job.gcode', device.host, { verify: 'crc32' });
+ *   await device.close();
+ * Options:
+ *   corrupt  number of uploaded files stored with their first byte flipped
+ *   fail     { '/path': status } answers that path with the status instead; the value may also be
+ *            function (query, n) returning a status (or 0 to answer normally) for the nth request to the path
+ *   delay    ms before each answer
+ *   info     body for GET /info
+ *   files    { 'folder/name.gcode': 'content' } already on the device
+ *   listAs   'array' to answer /list with a bare array instead of { files: [...] }
+ * device.job is the job state /run, /pause, /resume and /abort change: { state, file?, progress? };
+ * /status reports it with the state upper-case, as some firmwares do.
+ */
+'use strict';
+
+const http = require('node:http');
+const net = require('node:net');
+const zlib = require('node:zlib');
+const crypto = require('node:crypto');
+const { deltaDecodeGcode } = require('../modules/pnp/sendToDevice.js');
+
+const DEFAULT_INFO = { firmware: 'roboblock-esp32', version: '1.4.0', machine: 'plotter', uploadPath: '/upload' };
+
+/** The 'file' field of a multipart/form-data body, as { name, data }. */
+function multipartFile(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || '');
+  if (!match) return null;
+  const boundary = '--' + (match[1] || match[2]);
+  const start = body.indexOf(boundary);
+  const headerEnd = body.indexOf('\r\n\r\n', start);
+  const end = body.indexOf('\r\n' + boundary, headerEnd);
+  if (start === -1 || headerEnd === -1 || end === -1) return null;
+  const headers = body.slice(start, headerEnd).toString('utf8');
+  const name = /filename="([^"]*)"/.exec(headers);
+  return { name: name ? name[1] : '', data: body.slice(headerEnd + 4, end) };
+}
+
+function checksumOf(data, algo) {
+  if (algo === 'sha256') return crypto.createHash('sha256').update(data).digest('hex');
+  return zlib.crc32(data).toString(16).padStart(8, '0');
+}
+
+/**
+ * @param {{ corrupt?: number, fail?: object, delay?: number, info?: object, files?: object, listAs?: string }} [options]
+ * @returns {Promise<{ host: string, files: object, requests: Array<object>, job: object, inFlight: number, maxInFlight: number,
+ *                     count: function(string): number, close: function(): Promise<void> }>}
+ */
+function startMockDevice(options) {
+  const opts = options || {};
+  const fail = opts.fail || {};
+  let corrupt = opts.corrupt || 0;
+  const device = {
+    host: '',
+    files: Object.fromEntries(Object.entries(opts.files || {}).map(function (e) { return [e[0], Buffer.from(e[1])]; })),
+    requests: [],
+    job: { state: 'idle' },
+    inFlight: 0,
+    maxInFlight: 0,
+    count: function (pathname) {
+      return device.requests.filter(function (r) { return r.path === pathname; }).length;
+    },
+  };
+
+  // Append a part; once the file is complete, decode it (encoding=gzip|delta) and apply `corrupt`
+  function store(path, data, offset, query) {
+    const bytes = Buffer.from(data);
+    device.files[path] = offset > 0 ? Buffer.concat([device.files[path] || Buffer.alloc(0), bytes]) : bytes;
+    if (query.count && Number(query.index) !== Number(query.count) - 1) return;
+    if (query.encoding === 'gzip') device.files[path] = zlib.gunzipSync(device.files[path]);
+    if (query.encoding === 'delta') device.files[path] = Buffer.from(deltaDecodeGcode(device.files[path].toString('utf8')));
+    if (corrupt > 0) {
+      corrupt -= 1;
+      device.files[path][0] ^= 0xff;
+    }
+  }
+
+  // Files and sub-folders directly inside dir
+  function listing(dir) {
+    const prefix = dir ? dir.replace(/\/+$/, '') + '/' : '';
+    const entries = [];
+    const folders = new Set();
+    Object.keys(device.files).sort().forEach(function (p) {
+      if (!p.startsWith(prefix)) return;
+      const rest = p.slice(prefix.length).split('/');
+      if (rest.length > 1) {
+        if (!folders.has(rest[0])) entries.push({ name: rest[0], type: 'dir' });
+        folders.add(rest[0]);
+      } else {
+        entries.push({ name: rest[0], size: device.files[p].length });
+      }
+    });
+    return opts.listAs === 'array' ? entries : { files: entries };
+  }
+
+  function answer(req, url, body) {
+    try {
+      return route(req, url, body);
+    } catch (err) {
+      // e.g. an upload that does not decode
+      return [400, err.message];
+    }
+  }
+
+  function route(req, url, body) {
+    const failure = typeof fail[url.pathname] === 'function'
+      ? fail[url.pathname](Object.fromEntries(url.searchParams), device.count(url.pathname))
+      : fail[url.pathname];
+    if (failure) return [failure, 'Forced failure'];
+    const path = url.searchParams.get('path');
+    const query = Object.fromEntries(url.searchParams);
+    if (req.method === 'POST' && url.pathname === '/upload') {
+      const file = multipartFile(body, req.headers['content-type']);
+      if (!file) return [400, 'No file'];
+      store(file.name, file.data, 0, query);
+      return [200, 'OK'];
+    }
+    if (req.method === 'POST' && url.pathname === '/upload_chunk') {
+      const file = multipartFile(body, req.headers['content-type']);
+      if (!file || !path) return [400, 'No file'];
+      store(path, file.data, Number(query.offset), query);
+      return [200, 'OK'];
+    }
+    if (req.method === 'GET' && url.pathname === '/checksum') {
+      if (!device.files[path]) return [404, 'No such file'];
+      return [200, JSON.stringify({ checksum: checksumOf(device.files[path], url.searchParams.get('algo')) })];
+    }
+    if (req.method === 'GET' && url.pathname === '/info') {
+      return [200, JSON.stringify(opts.info || DEFAULT_INFO)];
+    }
+    if (req.method === 'GET' && url.pathname === '/list') {
+      return [200, JSON.stringify(listing(url.searchParams.get('dir') || ''))];
+    }
+    if (req.method === 'POST' && url.pathname === '/delete') {
+      if (!device.files[path]) return [404, 'No such file'];
+      delete device.files[path];
+      return [200, 'OK'];
+    }
+    if (req.method === 'POST' && url.pathname === '/rename') {
+      const from = url.searchParams.get('from');
+      const to = url.searchParams.get('to');
+      if (!device.files[from]) return [404, 'No such file'];
+      if (!to) return [400, 'No target'];
+      device.files[to] = device.files[from];
+      delete device.files[from];
+      return [200, 'OK'];
+    }
+    if (req.method === 'POST' && url.pathname === '/run') {
+      if (!device.files[path]) return [404, 'No such file'];
+      if (device.job.state !== 'idle') return [409, 'Busy'];
+      device.job = { state: 'running', file: path, progress: 0 };
+      return [200, 'OK'];
+    }
+    if (req.method === 'POST' && (url.pathname === '/pause' || url.pathname === '/resume')) {
+      const from = url.pathname === '/pause' ? 'running' : 'paused';
+      if (device.job.state !== from) return [409, 'Job is ' + device.job.state];
+      device.job.state = from === 'running' ? 'paused' : 'running';
+      return [200, 'OK'];
+    }
+    if (req.method === 'POST' && url.pathname === '/abort') {
+      device.job = { state: 'idle' };
+      return [200, 'OK'];
+    }
+    if (req.method === 'GET' && url.pathname === '/status') {
+      return [200, JSON.stringify(Object.assign({}, device.job, { state: device.job.state.toUpperCase() }))];
+    }
+    if (req.method === 'GET' && url.pathname === '/download') {
+      if (!device.files[path]) return [404, 'No such file'];
+      return [200, device.files[path]];
+    }
+    return [404, 'Not found'];
+  }
+
+  const server = http.createServer(function (req, res) {
+    const chunks = [];
+    let settled = false;
+    function settle() {
+      if (settled) return;
+      settled = true;
+      device.inFlight -= 1;
+    }
+    device.inFlight += 1;
+    device.maxInFlight = Math.max(device.maxInFlight, device.inFlight);
+    req.on('data', function (chunk) { chunks.push(chunk); });
+    req.on('end', function () {
+      const url = new URL(req.url, 'http://device');
+      device.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), at: Date.now() });
+      const reply = answer(req, url, Buffer.concat(chunks));
+      setTimeout(function () {
+        settle();
+        if (res.destroyed) return;
+        res.writeHead(reply[0], { 'Access-Control-Allow-Origin': '*' });
+        res.end(reply[1]);
+      }, opts.delay || 0);
+    });
+    // A request the client gave up on (abort) is no longer in flight
+    res.on('close', settle);
+  });
+
+  device.close = function () {
+    return new Promise(function (resolve) {
+      server.closeAllConnections();
+      server.close(function () { resolve(); });
+    });
+  };
+
+  return new Promise(function (resolve) {
+    server.listen(0, '127.0.0.1', function () {
+      device.host = '127.0.0.1:' + server.address().port;
+      resolve(device);
+    });
+  });
+}
+
+/** A local address nothing listens on, for unreachable devices. */
+function unusedHost() {
+  return new Promise(function (resolve) {
+    const server = net.createServer();
+    server.listen(0, '127.0.0.1', function () {
+      const port = server.address().port;
+      server.close(function () { resolve('127.0.0.1:' + port); });
+    });
+  });
+}
+
+module.exports = { startMockDevice: startMockDevice, checksumOf: checksumOf, unusedHost: unusedHost };
@@ -0,0 +1,151 @@
+/**
+ * moduleKit.test.js — The helpers the module components share, and how releases carry them:
+ * translation fallbacks, the lifecycle export, uploads with and without sendToDevice.js, and
+ * "imports" in modules.json.
+ *
+ * Run: node --test test/
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  makeTranslator, createSession, createLifecycle, toStoredPath, resolveDeviceProfile, LIFECYCLE_VERSION,
+  canUpload, uploadGcode, uploadReportsProgress,
+} = require('../modules/pnp/moduleKit.js');
+const { checkManifest, localImports } = require('../scripts/validate-modules');
+const sendToDevice = require('../modules/pnp/sendToDevice.js');
+const { startMockDevice } = require('./mockDevice');
+
+const MODULES_DIR = path.join(__dirname, '..', 'modules');
+
+test('makeTranslator prefers the messages prop, then the defaults, then the key', function () {
+  const t = makeTranslator({ sent: 'Saved as: {path}', cancel: 'Cancel' }, { sent: 'Gespeichert als: {path}' });
+  assert.strictEqual(t('sent', { path: 'plotter/a.gcode' }), 'Gespeichert als: plotter/a.gcode');
+  assert.strictEqual(t('cancel'), 'Cancel');
+  assert.strictEqual(t('missing'), 'missing');
+  // Unknown placeholders are left in place
+  assert.strictEqual(makeTranslator({ a: '{x} and {y}' })('a', { x: 1 }), '1 and {y}');
+});
+
+test('the lifecycle reads and restores through the session', function () {
+  const session = createSession();
+  let stopped = 0;
+  const lifecycle = createLifecycle(session, function () { return { simulate: true, uploadAndRun: false }; });
+  assert.strictEqual(lifecycle.version, LIFECYCLE_VERSION);
+  assert.deepStrictEqual(lifecycle.getCapabilities(), { lifecycle: LIFECYCLE_VERSION, simulate: true, uploadAndRun: false });
+
+  // Before the page mounts, a state to restore waits in the session
+  lifecycle.onActivate({ state: { items: [1] } });
+  assert.deepStrictEqual(session.pendingState, { items: [1] });
+  const restored = [];
+  session.restore = function (state) { restored.push(state); };
+  lifecycle.onActivate({ state: { items: [2] } });
+  lifecycle.onActivate({});
+  assert.deepStrictEqual(restored, [{ items: [2] }]);
+
+  assert.strictEqual(lifecycle.serializeState(), null);
+  session.state = { items: [3] };
+  const snapshot = lifecycle.serializeState();
+  assert.deepStrictEqual(snapshot, { items: [3] });
+  assert.notStrictEqual(snapshot, session.state);
+
+  assert.strictEqual(lifecycle.hasUnsavedWork(), false);
+  session.busy = true;
+  assert.strictEqual(lifecycle.hasUnsavedWork(), true);
+
+  lifecycle.onDeactivate();
+  session.stop = function () { stopped += 1; };
+  lifecycle.onDeactivate();
+  assert.strictEqual(stopped, 1);
+});
+
+test('without sendToDevice.js names are stored as typed and the profile is left unset', async function () {
+  assert.deepStrictEqual(toStoredPath('pick&place', 'My Job.gcode', 'fat83'),
+    { ok: true, folder: 'pick&place', name: 'My Job.gcode', path: 'pick&place/My Job.gcode' });
+  assert.strictEqual(await resolveDeviceProfile('192.168.4.1', 'auto'), undefined);
+  assert.strictEqual(await resolveDeviceProfile('192.168.4.1', 'littlefs'), 'littlefs');
+});
+
+test('an "auto" profile is probed once per device and a failed probe is retried', async function () {
+  const probed = [];
+  let reachable = false;
+  global.window = {
+    sendToDevice: {
+      probeDevice: async function (baseUrl) {
+        probed.push(baseUrl);
+        return reachable ? { ok: true, deviceProfile: 'littlefs' } : { ok: false };
+      },
+    },
+  };
+  try {
+    assert.strictEqual(await resolveDeviceProfile('10.0.0.7', 'auto'), undefined);
+    reachable = true;
+    assert.strictEqual(await resolveDeviceProfile('10.0.0.7', 'auto'), 'littlefs');
+    assert.strictEqual(await resolveDeviceProfile('10.0.0.7'), 'littlefs');
+    assert.strictEqual(await resolveDeviceProfile('10.0.0.7', 'sd'), 'sd');
+    assert.deepStrictEqual(probed, ['10.0.0.7', '10.0.0.7']);
+  } finally {
+    delete global.window;
+  }
+});
+
+test('without sendToDevice.js uploadGcode hands the host a File for the folder', async function () {
+  const calls = [];
+  async function upload(baseUrl, file, folder) {
+    calls.push({ baseUrl, name: file.name, folder, text: await file.text() });
+  }
+  assert.strictEqual(canUpload(upload), true);
+  assert.strictEqual(canUpload(undefined), false);
+  assert.strictEqual(uploadReportsProgress(), false);
+  const result = await uploadGcode('192.168.4.1', 'G1 X1\n', { path: 'plotter/a.gcode', folder: 'plotter', name: 'a.gcode' }, { upload });
+  assert.deepStrictEqual(result, { ok: true });
+  assert.deepStrictEqual(calls, [{ baseUrl: '192.168.4.1', name: 'a.gcode', folder: 'plotter', text: 'G1 X1\n' }]);
+});
+
+test('with sendToDevice.js uploadGcode reports progress and stops when cancelled', async function () {
+  const device = await startMockDevice();
+  global.window = { sendToDevice };
+  try {
+    assert.strictEqual(canUpload(undefined), true);
+    assert.strictEqual(uploadReportsProgress(), true);
+    const gcode = 'G1 X10 Y10\n'.repeat(200);
+    const stored = toStoredPath('plotter', 'plot.gcode', 'sd');
+    const progress = [];
+    const result = await uploadGcode(device.host, gcode, stored, {
+      onProgress: function (sent, total) { progress.push([sent, total]); },
+    });
+    assert.strictEqual(result.ok, true, result.message);
+    assert.strictEqual(device.files['plotter/plot.gcode'].toString(), gcode);
+    assert.deepStrictEqual(progress[progress.length - 1], [gcode.length, gcode.length]);
+
+    const controller = new AbortController();
+    controller.abort();
+    const cancelled = await uploadGcode(device.host, gcode, toStoredPath('plotter', 'other.gcode', 'sd'), { signal: controller.signal });
+    assert.strictEqual(cancelled.ok, false);
+    assert.strictEqual(cancelled.aborted, true);
+    assert.strictEqual(device.files['plotter/other.gcode'], undefined);
+  } finally {
+    delete global.window;
+    await device.close();
+  }
+});
+
+test('every module component imports moduleKit.js from its own folder', function () {
+  ['PNP.jsx', 'laser_dot.jsx', 'magneticpnp.jsx'].forEach(function (name) {
+    assert.deepStrictEqual(localImports(path.join(MODULES_DIR, 'pnp', name)), ['moduleKit.js'], name);
+  });
+  // The plotter's drawing pipeline ships as a second file
+  assert.deepStrictEqual(localImports(path.join(MODULES_DIR, 'pnp', 'Plotter.jsx')), ['moduleKit.js', 'plotterCore.js']);
+});
+
+test('the validator wants a release\'s imports to match what its component imports', function () {
+  const manifest = JSON.parse(fs.readFileSync(path.join(MODULES_DIR, 'modules.json'), 'utf8'));
+  const release = manifest[0].versions[0];
+  release.imports = { 'moduleKit.js': 'sha384-' + 'A'.repeat(64) };
+  const errors = checkManifest(manifest);
+  assert.ok(errors.some(function (e) { return /^\$\[0\]\.versions\[0\]\.imports\.moduleKit\.js: .* does not import it$/.test(e); }),
+    errors.join('\n'));
+});
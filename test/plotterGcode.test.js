@@ -0,0 +1,153 @@
+/**
+ * plotterGcode.test.js — Vector Plotter G-code: how ggcodeGenerateGCode travels between strokes
+ * and draws them, and that each item's pen heights, feeds and tool apply to its own segments.
+ *
+ * Run: node --test test/
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ggcodeGenerateGCode, placeItem } = require('../modules/pnp/plotterCore.js');
+
+const HEADER = '; Generated by VectorPlotter Studio (ggcode-style)';
+
+function motion(overrides) {
+  return Object.assign({ tool: 'pen', workFeed: 1000, travelFeed: 3000, safeZ: 5, cutZ: 0 }, overrides);
+}
+
+function line(x1, y1, x2, y2, m) {
+  return { type: 'line', p1: { x: x1, y: y1 }, p2: { x: x2, y: y2 }, params: {}, d: null, motion: m };
+}
+
+function generate(segments, scale) {
+  return ggcodeGenerateGCode(segments, scale || 1, 1000, 3000, 5, 0, false).split('\n');
+}
+
+test('touching strokes are drawn without lifting; a gap lifts, travels and lowers again', function () {
+  const pen = motion();
+  assert.deepStrictEqual(generate([line(0, 0, 10, 0, pen), line(10, 0, 10, 10, pen), line(20, 10, 30, 10, pen)]), [
+    HEADER,
+    'G0 Z5 F3000',
+    'G0 X0.000 Y0.000 F3000',
+    'G0 Z0 F3000',
+    'G1 X10.000 Y0.000 F1000',
+    'G1 X10.000 Y10.000 F1000',
+    'G0 Z5 F3000',
+    'G0 X20.000 Y10.000 F3000',
+    'G0 Z0 F3000',
+    'G1 X30.000 Y10.000 F1000',
+    'G0 Z5 F3000',
+    'G0 X0 Y0 F3000',
+    'M2',
+  ]);
+});
+
+test('a gap under 0.05 mm is drawn through, and coordinates are scaled', function () {
+  const pen = motion();
+  const lines = generate([line(0, 0, 1, 0, pen), line(1.04, 0, 2, 0, pen)], 10);
+  // The moves to and from strokes (not the final return to X0 Y0)
+  assert.deepStrictEqual(lines.filter(function (l) { return /^G[01] X-?\d+\.\d/.test(l); }), [
+    'G0 X0.000 Y0.000 F3000',
+    'G1 X10.000 Y0.000 F1000',
+    'G1 X20.000 Y0.000 F1000',
+  ]);
+  assert.strictEqual(lines.filter(function (l) { return /^G0 Z/.test(l); }).length, 3, lines.join('\n'));
+});
+
+test('the next item\'s pen height lifts and lowers even where the strokes touch', function () {
+  const first = motion({ safeZ: 5, cutZ: 0, workFeed: 1000, travelFeed: 3000 });
+  const second = motion({ safeZ: 8, cutZ: -1, workFeed: 400, travelFeed: 2000 });
+  assert.deepStrictEqual(generate([line(0, 0, 10, 0, first), line(10, 0, 10, 10, second)]), [
+    HEADER,
+    'G0 Z5 F3000',
+    'G0 X0.000 Y0.000 F3000',
+    'G0 Z0 F3000',
+    'G1 X10.000 Y0.000 F1000',
+    // Up to the higher of the two safe heights, at the first item's travel feed
+    'G0 Z8 F3000',
+    'G0 X10.000 Y0.000 F2000',
+    'G0 Z-1 F2000',
+    'G1 X10.000 Y10.000 F400',
+    'G0 Z8 F2000',
+    'G0 X0 Y0 F2000',
+    'M2',
+  ]);
+});
+
+test('items that differ only in feeds carry on drawing, each at its own feed', function () {
+  const slow = motion({ workFeed: 300 });
+  const fast = motion({ workFeed: 1500 });
+  const lines = generate([line(0, 0, 10, 0, slow), line(10, 0, 10, 10, fast)]);
+  assert.deepStrictEqual(lines.slice(3, 6), ['G0 Z0 F3000', 'G1 X10.000 Y0.000 F300', 'G1 X10.000 Y10.000 F1500']);
+});
+
+test('switching between pen and laser turns the laser off and on and keeps Z clear of the work', function () {
+  const pen = motion({ safeZ: 6 });
+  const laser = motion({ tool: 'laser', power: 800, dynamicPower: true, dwellMs: 250, dwellUnit: 's' });
+  assert.deepStrictEqual(generate([line(0, 0, 10, 0, pen), line(20, 0, 30, 0, laser), line(40, 0, 50, 0, pen)]), [
+    HEADER,
+    'G0 Z6 F3000',
+    'G0 X0.000 Y0.000 F3000',
+    'G0 Z0 F3000',
+    'G1 X10.000 Y0.000 F1000',
+    'G0 Z6 F3000',
+    'G0 X20.000 Y0.000 F3000',
+    'M4 S800',
+    'G4 P0.250',
+    'G1 X30.000 Y0.000 F1000',
+    'M5',
+    'G0 Z6 F3000',
+    'G0 X40.000 Y0.000 F3000',
+    'G0 Z0 F3000',
+    'G1 X50.000 Y0.000 F1000',
+    'G0 Z6 F3000',
+    'G0 X0 Y0 F3000',
+    'M2',
+  ]);
+});
+
+test('a laser-only job switches off at the start and the end and never moves Z', function () {
+  const laser = motion({ tool: 'laser', power: 1000, dynamicPower: false, dwellMs: 0 });
+  const lines = generate([line(0, 0, 10, 0, laser), line(20, 0, 30, 0, laser)]);
+  assert.deepStrictEqual(lines, [
+    HEADER,
+    'M5',
+    'G0 X0.000 Y0.000 F3000',
+    'M3 S1000',
+    'G1 X10.000 Y0.000 F1000',
+    'M5',
+    'G0 X20.000 Y0.000 F3000',
+    'M3 S1000',
+    'G1 X30.000 Y0.000 F1000',
+    'M5',
+    'G0 X0 Y0 F3000',
+    'M2',
+  ]);
+});
+
+test('each placed item plots with its own sidebar heights and speeds', function () {
+  function item(x, settings) {
+    return {
+      paths: [{ type: 'line', p1: { x: 0, y: 0 }, p2: { x: 10, y: 0 } }],
+      fills: [],
+      originalSize: { w: 10, h: 10 },
+      settings: Object.assign({ width: 10, height: 10, posX: x, posY: 0, rotation: 0, tool: 'pen' }, settings),
+    };
+  }
+  const segments = placeItem(item(0, { zUp: 4, zDown: 0, workSpeed: 900, travelSpeed: 2500 }))
+    .concat(placeItem(item(50, { zUp: 10, zDown: -2, workSpeed: 200, travelSpeed: 1200 })));
+  const lines = generate(segments);
+  assert.deepStrictEqual(lines.filter(function (l) { return /^G[01] /.test(l); }), [
+    'G0 Z4 F2500',
+    'G0 X0.000 Y10.000 F2500',
+    'G0 Z0 F2500',
+    'G1 X10.000 Y10.000 F900',
+    'G0 Z10 F2500',
+    'G0 X50.000 Y10.000 F1200',
+    'G0 Z-2 F1200',
+    'G1 X60.000 Y10.000 F200',
+    'G0 Z10 F1200',
+    'G0 X0 Y0 F1200',
+  ]);
+});
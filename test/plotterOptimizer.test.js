@@ -0,0 +1,136 @@
+/**
+ * plotterOptimizer.test.js — Vector Plotter travel ordering: pen-down chains are visited nearest
+ * first, entered from whichever end is closer when they can be drawn backwards, and every segment
+ * is still plotted exactly once.
+ *
+ * Run: node --test test/
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  buildChains, reverseSegment, nearestNeighbourOrder, twoOpt, penUpDistance, optimizeTravel,
+} = require('../modules/pnp/plotterCore.js');
+
+const PEN = { tool: 'pen', workFeed: 1000, travelFeed: 3000, safeZ: 5, cutZ: 0 };
+
+function line(x1, y1, x2, y2, motion) {
+  return { type: 'line', p1: { x: x1, y: y1 }, p2: { x: x2, y: y2 }, params: {}, d: null, motion: motion || PEN };
+}
+
+function arc(x1, y1, x2, y2, rx, ry, sweep) {
+  return { type: 'arc', p1: { x: x1, y: y1 }, p2: { x: x2, y: y2 }, params: { rx, ry, large: 0, sweep }, d: 'M 0 0', motion: PEN };
+}
+
+function ends(seg) {
+  return [seg.p1.x, seg.p1.y, seg.p2.x, seg.p2.y];
+}
+
+test('chains are visited nearest first, and a reversible chain is entered from its closer end', function () {
+  // Three strokes up the bed at x = 30, 10, 20, in that file order
+  const segments = [line(30, 0, 30, 5), line(10, 0, 10, 5), line(20, 0, 20, 5)];
+  const order = nearestNeighbourOrder(buildChains(segments));
+  assert.deepStrictEqual(order.map(function (chain) { return ends(chain.segments[0]); }), [
+    [10, 0, 10, 5],
+    [20, 5, 20, 0], // the top end is 5 mm closer than the bottom one
+    [30, 0, 30, 5],
+  ]);
+
+  const result = optimizeTravel(segments);
+  assert.ok(Math.abs(result.before - (30 + Math.hypot(20, 5) + Math.hypot(10, 5) + Math.hypot(20, 5))) < 1e-9, String(result.before));
+  assert.ok(Math.abs(result.after - (10 + 10 + 10 + Math.hypot(30, 5))) < 1e-9, String(result.after));
+  assert.deepStrictEqual(result.segments.map(ends), order.map(function (chain) { return ends(chain.segments[0]); }));
+});
+
+test('touching segments of one item stay a chain; another item starts a new one', function () {
+  const other = Object.assign({}, PEN, { cutZ: -1 });
+  const chains = buildChains([line(0, 0, 5, 0), line(5, 0, 5, 5), line(5, 5, 9, 9), line(9, 9, 9, 0, other)]);
+  assert.deepStrictEqual(chains.map(function (chain) { return chain.segments.length; }), [3, 1]);
+  assert.deepStrictEqual(chains[0].start, { x: 0, y: 0 });
+  assert.deepStrictEqual(chains[0].end, { x: 9, y: 9 });
+});
+
+test('reversing a segment swaps its ends and keeps its shape', function () {
+  assert.deepStrictEqual(ends(reverseSegment(line(1, 2, 3, 4))), [3, 4, 1, 2]);
+
+  // A circular arc runs the other way round: the sweep flips and the path data is dropped
+  const circular = reverseSegment(arc(0, 0, 10, 10, 10, 10, 1));
+  assert.deepStrictEqual(ends(circular), [10, 10, 0, 0]);
+  assert.strictEqual(circular.params.sweep, 0);
+  assert.strictEqual(circular.d, null);
+
+  // A cubic's control points swap; a quadratic keeps its one control point and ends at the old start
+  const cubic = reverseSegment({
+    type: 'curve', p1: { x: 0, y: 0 }, p2: { x: 9, y: 0 }, params: { type: 'cubic', x1: 1, y1: 5, x2: 8, y2: 5, x: 9, y: 0 }, motion: PEN,
+  });
+  assert.deepStrictEqual(cubic.params, { type: 'cubic', x1: 8, y1: 5, x2: 1, y2: 5, x: 0, y: 0 });
+  const quad = reverseSegment({
+    type: 'curve', p1: { x: 0, y: 0 }, p2: { x: 9, y: 0 }, params: { type: 'quadratic', x1: 4, y1: 6, x: 9, y: 0 }, motion: PEN,
+  });
+  assert.deepStrictEqual(ends(quad), [9, 0, 0, 0]);
+  assert.deepStrictEqual(quad.params, { type: 'quadratic', x1: 4, y1: 6, x: 0, y: 0 });
+
+  // An elliptic arc is drawn from its "d", so it cannot be turned around
+  assert.strictEqual(reverseSegment(arc(0, 0, 10, 0, 10, 4, 1)), null);
+});
+
+test('2-opt turns a chain around when that shortens the travel, but never one that cannot be reversed', function () {
+  const top = line(0, 10, 10, 10);
+  const bottom = line(0, 0, 10, 0);
+  // Top left to right, then back across the bed to start the bottom stroke at its left end
+  const order = buildChains([top, bottom]);
+  assert.ok(Math.abs(penUpDistance(order) - (10 + Math.hypot(10, 10) + 10)) < 1e-9);
+  const improved = twoOpt(order);
+  assert.deepStrictEqual(improved.map(function (chain) { return ends(chain.segments[0]); }), [[0, 10, 10, 10], [10, 0, 0, 0]]);
+  assert.ok(Math.abs(penUpDistance(improved) - 20) < 1e-9);
+
+  const ellipse = arc(0, 0, 10, 0, 10, 4, 1);
+  const kept = twoOpt(buildChains([top, ellipse]));
+  assert.strictEqual(kept[1].reversible, false);
+  assert.strictEqual(kept[1].segments[0], ellipse);
+});
+
+test('optimizing keeps every segment exactly once and never makes the travel longer', function () {
+  // A fixed pseudo-random scatter of strokes, short polylines, circular and elliptic arcs, across two items
+  let seed = 12345;
+  function rand(n) {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return Math.round((seed / 2147483648) * n);
+  }
+  const other = Object.assign({}, PEN, { workFeed: 500 });
+  const segments = [];
+  for (let i = 0; i < 60; i++) {
+    const x = rand(400);
+    const y = rand(250);
+    const motion = i % 2 ? other : PEN;
+    if (i % 5 === 0) {
+      segments.push(Object.assign(arc(x, y, x + 10, y + 10, 10, 10, 1), { motion }));
+    } else if (i % 7 === 0) {
+      segments.push(Object.assign(arc(x, y, x + 20, y, 10, 4, 0), { motion }));
+    } else if (i % 3 === 0) {
+      segments.push(line(x, y, x + 5, y, motion), line(x + 5, y, x + 5, y + 5, motion), line(x + 5, y + 5, x, y + 8, motion));
+    } else {
+      segments.push(line(x, y, x + rand(30), y + rand(30), motion));
+    }
+  }
+
+  const result = optimizeTravel(segments);
+  assert.ok(result.after < result.before, result.after + ' >= ' + result.before);
+  assert.ok(Math.abs(result.after - penUpDistance(buildChains(result.segments))) < 1e-6);
+  assert.strictEqual(result.segments.length, segments.length);
+
+  // Match each plotted segment to an original drawn either way round, each original used once
+  const unused = segments.slice();
+  result.segments.forEach(function (seg) {
+    const i = unused.findIndex(function (orig) {
+      if (orig.type !== seg.type || orig.motion !== seg.motion) return false;
+      const forward = ends(orig).join() === ends(seg).join();
+      const backward = ends(orig).join() === ends(seg).slice(2).concat(ends(seg).slice(0, 2)).join();
+      return forward || (backward && reverseSegment(orig) !== null);
+    });
+    assert.ok(i !== -1, 'plotted segment not in the drawing: ' + JSON.stringify(seg));
+    unused.splice(i, 1);
+  });
+  assert.deepStrictEqual(unused, []);
+});
@@ -0,0 +1,101 @@
+/**
+ * plotterTransform.test.js — Vector Plotter item placement: rotation and mirroring move the
+ * corners where the sidebar says, and arcs keep the right G2/G3 direction on the bed.
+ *
+ * Run: node --test test/
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { itemBounds, itemTransform, placeItem, ggcodeGenerateGCode } = require('../modules/pnp/plotterCore.js');
+
+// A 20 x 10 SVG drawn at 1 mm per unit. The arc is a quarter circle around (10, 10) from its left
+// point (0, 10) to its top point (10, 0); sweep 1 (the angle increases) is clockwise on screen.
+const ORIGINAL = { w: 20, h: 10 };
+const ARC = { type: 'arc', p1: { x: 0, y: 10 }, p2: { x: 10, y: 0 }, params: { rx: 10, ry: 10, large: 0, sweep: 1 } };
+const CORNERS = [{ x: 0, y: 0 }, { x: 20, y: 0 }, { x: 20, y: 10 }, { x: 0, y: 10 }];
+
+function settings(overrides) {
+  return Object.assign({
+    width: 20, height: 10, posX: 0, posY: 0, rotation: 0, mirrorX: false, mirrorY: false,
+    tool: 'pen', workSpeed: 1000, travelSpeed: 3000, zUp: 5, zDown: 0,
+  }, overrides);
+}
+
+function near(actual, expected, label) {
+  Object.keys(expected).forEach(function (key) {
+    assert.ok(Math.abs(actual[key] - expected[key]) < 1e-9, label + '.' + key + ': ' + actual[key] + ' != ' + expected[key]);
+  });
+}
+
+/** The travel to the arc's start and the arc move of the G-code for ARC placed with `overrides`. */
+function plotArc(overrides) {
+  const gcode = ggcodeGenerateGCode(placeItem({ paths: [ARC], fills: [], settings: settings(overrides), originalSize: ORIGINAL }),
+    1, 1000, 3000, 5, 0, false);
+  const words = function (line) {
+    const out = { cmd: line.split(' ')[0] };
+    line.replace(/([XYIJ])(-?[\d.]+)/g, function (m, letter, value) { out[letter] = Number(value); });
+    return out;
+  };
+  const lines = gcode.split('\n');
+  return {
+    start: words(lines.find(function (l) { return /^G0 X/.test(l); })),
+    arc: words(lines.find(function (l) { return /^G[23] /.test(l); })),
+  };
+}
+
+const CASES = [
+  // name, settings, bed corners of the SVG box (top-left, top-right, bottom-right, bottom-left), flips, arc move
+  ['default', {}, [[0, 10], [20, 10], [20, 0], [0, 0]], true, { cmd: 'G2', start: [0, 0], end: [10, 10], I: 10, J: 0 }],
+  ['rotate 90', { rotation: 90 }, [[0, 0], [0, 20], [10, 20], [10, 0]], true, { cmd: 'G2', start: [10, 0], end: [0, 10], I: 0, J: 10 }],
+  ['rotate 180', { rotation: 180 }, [[20, 0], [0, 0], [0, 10], [20, 10]], true, { cmd: 'G2', start: [20, 10], end: [10, 0], I: -10, J: 0 }],
+  ['mirror X', { mirrorX: true }, [[20, 10], [0, 10], [0, 0], [20, 0]], false, { cmd: 'G3', start: [20, 0], end: [10, 10], I: -10, J: 0 }],
+  ['mirror Y', { mirrorY: true }, [[0, 0], [20, 0], [20, 10], [0, 10]], false, { cmd: 'G3', start: [0, 10], end: [10, 0], I: 10, J: 0 }],
+  ['mirror X + rotate 90', { mirrorX: true, rotation: 90 }, [[0, 20], [0, 0], [10, 0], [10, 20]], false, { cmd: 'G3', start: [10, 20], end: [0, 10], I: 0, J: -10 }],
+  ['mirror X + Y (a half turn)', { mirrorX: true, mirrorY: true }, [[20, 0], [0, 0], [0, 10], [20, 10]], true, { cmd: 'G2', start: [20, 10], end: [10, 0], I: -10, J: 0 }],
+];
+
+CASES.forEach(function (c) {
+  const name = c[0];
+  const overrides = c[1];
+
+  test(name + ': corners land where expected and fill the bounding box', function () {
+    const place = itemTransform(settings(overrides), ORIGINAL);
+    CORNERS.forEach(function (corner, i) {
+      near(place.apply(corner), { x: c[2][i][0], y: c[2][i][1] }, name + ' corner ' + i);
+    });
+    assert.strictEqual(place.flips, c[3]);
+  });
+
+  test(name + ': the quarter arc is ' + c[4].cmd + ' from its placed start to its placed end', function () {
+    const move = plotArc(overrides);
+    const expected = c[4];
+    assert.strictEqual(move.arc.cmd, expected.cmd);
+    near(move.start, { X: expected.start[0], Y: expected.start[1] }, name + ' start');
+    near(move.arc, { X: expected.end[0], Y: expected.end[1], I: expected.I, J: expected.J }, name + ' arc');
+  });
+});
+
+test('posX / posY is the bottom-left corner of the rotated bounding box', function () {
+  [0, 30, 90, 135, 200, -45].forEach(function (rotation) {
+    const s = settings({ rotation: rotation, posX: 12, posY: 34 });
+    const place = itemTransform(s, ORIGINAL);
+    const box = itemBounds(s);
+    const pts = CORNERS.map(place.apply);
+    const xs = pts.map(function (p) { return p.x; });
+    const ys = pts.map(function (p) { return p.y; });
+    near({ minX: Math.min.apply(null, xs), minY: Math.min.apply(null, ys), maxX: Math.max.apply(null, xs), maxY: Math.max.apply(null, ys) },
+      { minX: 12, minY: 34, maxX: 12 + box.w, maxY: 34 + box.h }, 'rotation ' + rotation);
+  });
+  near(itemBounds(settings({ rotation: 90 })), { w: 10, h: 20 }, 'rotate 90 bounds');
+  near(itemBounds(settings({ rotation: 45 })), { w: 30 * Math.SQRT1_2, h: 30 * Math.SQRT1_2 }, 'rotate 45 bounds');
+});
+
+test('scaling keeps the arc a circle, stretching it plots lines instead', function () {
+  const scaled = plotArc({ width: 40, height: 20, rotation: 90 });
+  assert.strictEqual(scaled.arc.cmd, 'G2');
+  near(scaled.arc, { I: 0, J: 20 }, 'scaled arc');
+  const stretched = placeItem({ paths: [ARC], fills: [], settings: settings({ width: 40 }), originalSize: ORIGINAL });
+  assert.ok(stretched.length > 1 && stretched.every(function (seg) { return seg.type === 'line'; }));
+});
@@ -0,0 +1,93 @@
+/**
+ * sendToDevice.batch.test.js — sendToDevices against mock devices: the concurrency limit holds,
+ * per-device failures are collected without failing the batch, and abort reaches every job.
+ *
+ * Run: node --test test/
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const sendToDevice = require('../modules/pnp/sendToDevice.js');
+const { startMockDevice, unusedHost } = require('./mockDevice');
+
+const GCODE = 'G21\nG90\nG1 X10 Y10 F1200\n';
+
+function until(condition) {
+  return new Promise(function (resolve) {
+    (function poll() {
+      if (condition()) resolve();
+      else setTimeout(poll, 5);
+    })();
+  });
+}
+
+test('no more than `concurrency` uploads are in flight, results keep job order', async function () {
+  const device = await startMockDevice({ delay: 40 });
+  try {
+    const done = [];
+    const jobs = [0, 1, 2, 3, 4].map(function (i) {
+      return { gcode: GCODE, filename: 'batch/job' + i + '.gcode', espIp: device.host };
+    });
+    const batch = await sendToDevice.sendToDevices(jobs, {
+      concurrency: 2,
+      onJobDone: function (index, result) { done.push([index, result.ok]); },
+    });
+    assert.deepStrictEqual({ ok: batch.ok, sent: batch.sent, failed: batch.failed }, { ok: true, sent: 5, failed: 0 });
+    assert.strictEqual(device.maxInFlight, 2);
+    assert.strictEqual(device.count('/upload'), 5);
+    assert.deepStrictEqual(batch.results.map(function (r) { return r.path; }), jobs.map(function (j) { return j.filename; }));
+    batch.results.forEach(function (r) { assert.strictEqual(r.espIp, device.host); });
+    assert.strictEqual(done.length, 5);
+  } finally {
+    await device.close();
+  }
+});
+
+test('failing devices are reported per job and the batch still resolves', async function () {
+  const good = await startMockDevice();
+  const broken = await startMockDevice({ fail: { '/upload': 500 } });
+  const offline = await unusedHost();
+  try {
+    const batch = await sendToDevice.sendToDevices([
+      { gcode: GCODE, filename: 'a.gcode', espIp: good.host },
+      { gcode: GCODE, filename: 'b.gcode', espIp: broken.host },
+      { gcode: GCODE, filename: 'c.gcode', espIp: offline },
+      { gcode: GCODE, filename: 'd.gcode' },
+    ], { concurrency: 4, retries: 1, retryDelay: 0 });
+    assert.deepStrictEqual({ ok: batch.ok, sent: batch.sent, failed: batch.failed }, { ok: false, sent: 1, failed: 3 });
+    const results = batch.results;
+    assert.strictEqual(results[0].ok, true);
+    assert.strictEqual(results[1].ok, false);
+    assert.strictEqual(results[1].status, 500);
+    assert.strictEqual(results[1].attempts, 2);
+    assert.strictEqual(broken.count('/upload'), 2);
+    assert.strictEqual(results[2].ok, false);
+    assert.strictEqual(results[2].status, undefined);
+    assert.strictEqual(results[2].espIp, offline);
+    assert.strictEqual(results[3].ok, false);
+    assert.match(results[3].message, /espIp is required/);
+  } finally {
+    await good.close();
+    await broken.close();
+  }
+});
+
+test('aborting the shared signal aborts running jobs and skips queued ones', async function () {
+  const device = await startMockDevice({ delay: 500 });
+  try {
+    const controller = new AbortController();
+    const jobs = [0, 1, 2, 3].map(function (i) {
+      return { gcode: GCODE, filename: 'job' + i + '.gcode', espIp: device.host };
+    });
+    const pending = sendToDevice.sendToDevices(jobs, { concurrency: 1, signal: controller.signal });
+    await until(function () { return device.count('/upload') > 0; });
+    controller.abort();
+    const batch = await pending;
+    assert.deepStrictEqual({ ok: batch.ok, sent: batch.sent, failed: batch.failed }, { ok: false, sent: 0, failed: 4 });
+    batch.results.forEach(function (r) { assert.strictEqual(r.aborted, true, r.message); });
+    assert.strictEqual(device.requests.length, 1, 'queued jobs make no request');
+  } finally {
+    await device.close();
+  }
+});
@@ -0,0 +1,118 @@
+/**
+ * sendToDevice.checksum.test.js — verify: the stored file is confirmed with GET /checksum,
+ * a mismatch is re-uploaded, and a device without /checksum fails cleanly.
+ *
+ * Run: node --test test/
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const sendToDevice = require('../modules/pnp/sendToDevice.js');
+const { startMockDevice, checksumOf } = require('./mockDevice');
+
+// Non-ASCII on purpose: checksums are of the UTF-8 bytes
+const GCODE = '; Plot für Ärger\nG21\nG90\nG0 X10 Y10\nG1 X20 Y10 F1200\nG1 X20 Y20\n';
+const BYTES = Buffer.from(GCODE, 'utf8');
+
+test('crc32 that matches settles ok with the checksum', async function () {
+  const device = await startMockDevice();
+  try {
+    const result = await sendToDevice(GCODE, 'plotter/job.gcode', device.host, { verify: true });
+    assert.strictEqual(result.ok, true, result.message);
+    assert.strictEqual(result.path, 'plotter/job.gcode');
+    assert.strictEqual(result.checksum, checksumOf(BYTES, 'crc32'));
+    assert.strictEqual(result.attempts, 2);
+    assert.deepStrictEqual(device.files['plotter/job.gcode'], BYTES);
+    const upload = device.requests.find(function (r) { return r.path === '/upload'; });
+    assert.deepStrictEqual(upload.query, { algo: 'crc32', checksum: result.checksum });
+    const check = device.requests.find(function (r) { return r.path === '/checksum'; });
+    assert.deepStrictEqual(check.query, { path: 'plotter/job.gcode', algo: 'crc32' });
+  } finally {
+    await device.close();
+  }
+});
+
+test('sha256 that matches settles ok, chunked too', async function () {
+  const device = await startMockDevice();
+  try {
+    const result = await sendToDevice(GCODE, 'job.gcode', device.host, { verify: 'sha256', chunkSize: 16 });
+    assert.strictEqual(result.ok, true, result.message);
+    assert.strictEqual(result.checksum, checksumOf(BYTES, 'sha256'));
+    assert.strictEqual(result.chunkCount, Math.ceil(BYTES.length / 16));
+    assert.strictEqual(result.attempts, result.chunkCount + 1);
+    assert.deepStrictEqual(device.files['job.gcode'], BYTES);
+  } finally {
+    await device.close();
+  }
+});
+
+test('a mismatch re-uploads the file and then settles ok', async function () {
+  const device = await startMockDevice({ corrupt: 1 });
+  try {
+    const result = await sendToDevice(GCODE, 'job.gcode', device.host, { verify: 'crc32', retries: 2, retryDelay: 0 });
+    assert.strictEqual(result.ok, true, result.message);
+    assert.strictEqual(device.count('/upload'), 2);
+    assert.strictEqual(device.count('/checksum'), 2);
+    assert.strictEqual(result.attempts, 4);
+    assert.strictEqual(result.errors.length, 1);
+    assert.match(result.errors[0].message, /crc32 mismatch/);
+    assert.deepStrictEqual(device.files['job.gcode'], BYTES);
+  } finally {
+    await device.close();
+  }
+});
+
+test('a chunked re-upload starts again at part 0, even after resumeFrom', async function () {
+  const device = await startMockDevice();
+  try {
+    // Resuming a file the device never got the first parts of leaves it short: a mismatch
+    const count = Math.ceil(BYTES.length / 16);
+    const result = await sendToDevice(GCODE, 'job.gcode', device.host, { verify: 'crc32', chunkSize: 16, resumeFrom: 2, retries: 1 });
+    assert.strictEqual(result.ok, true, result.message);
+    const offsets = device.requests
+      .filter(function (r) { return r.path === '/upload_chunk'; })
+      .map(function (r) { return Number(r.query.offset); });
+    assert.strictEqual(offsets.length, 2 * count - 2);
+    assert.strictEqual(offsets[0], 32);
+    assert.strictEqual(offsets[count - 2], 0);
+    assert.strictEqual(result.errors.length, 1);
+    assert.deepStrictEqual(device.files['job.gcode'], BYTES);
+  } finally {
+    await device.close();
+  }
+});
+
+test('a mismatch with no retries left settles with reason checksum', async function () {
+  const device = await startMockDevice({ corrupt: 2 });
+  try {
+    const result = await sendToDevice(GCODE, 'job.gcode', device.host, { verify: 'crc32', retries: 1, retryDelay: 0 });
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.reason, 'checksum');
+    assert.strictEqual(result.expected, checksumOf(BYTES, 'crc32'));
+    assert.strictEqual(result.actual, checksumOf(device.files['job.gcode'], 'crc32'));
+    assert.notStrictEqual(result.actual, result.expected);
+    assert.strictEqual(result.retryable, false);
+    assert.strictEqual(device.count('/upload'), 2);
+    assert.strictEqual(result.attempts, 4);
+    assert.strictEqual(result.errors.length, 2);
+  } finally {
+    await device.close();
+  }
+});
+
+test('a device without /checksum fails with its status and is not re-uploaded', async function () {
+  const device = await startMockDevice({ fail: { '/checksum': 404 } });
+  try {
+    const result = await sendToDevice(GCODE, 'job.gcode', device.host, { verify: 'crc32', retries: 2, retryDelay: 0 });
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.status, 404);
+    assert.strictEqual(result.reason, undefined);
+    assert.strictEqual(result.retryable, false);
+    assert.match(result.message, /^Checksum check failed/);
+    assert.strictEqual(device.count('/upload'), 1);
+    assert.strictEqual(device.count('/checksum'), 1);
+  } finally {
+    await device.close();
+  }
+});
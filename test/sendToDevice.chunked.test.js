@@ -0,0 +1,104 @@
+/**
+ * sendToDevice.chunked.test.js — Chunked uploads against a mock device: parts arrive at the right
+ * offsets, a failed part is reported with resumeFrom, and resuming sends only the missing parts.
+ *
+ * Run: node --test test/
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const sendToDevice = require('../modules/pnp/sendToDevice.js');
+const { startMockDevice } = require('./mockDevice');
+
+// 100 bytes, sent as parts of 30, 30, 30 and 10
+const GCODE = Array.from({ length: 10 }, function (_, i) { return 'G1 X' + i + '0 Y5\n'; }).join('');
+
+function chunkRequests(device) {
+  return device.requests.filter(function (r) { return r.path === '/upload_chunk'; });
+}
+
+test('each part is posted at its byte offset and the device ends up with the whole file', async function () {
+  const device = await startMockDevice();
+  try {
+    const progress = [];
+    const result = await sendToDevice(GCODE, 'plotter/job.gcode', device.host, {
+      chunkSize: 30,
+      onProgress: function (sent, total) { progress.push([sent, total]); },
+    });
+    assert.strictEqual(result.ok, true, result.message);
+    assert.strictEqual(result.chunkCount, 4);
+    assert.strictEqual(result.attempts, 4);
+    assert.deepStrictEqual(chunkRequests(device).map(function (r) { return [r.query.offset, r.query.index, r.query.count]; }),
+      [['0', '0', '4'], ['30', '1', '4'], ['60', '2', '4'], ['90', '3', '4']]);
+    chunkRequests(device).forEach(function (r) {
+      assert.strictEqual(r.query.path, 'plotter/job.gcode');
+      assert.strictEqual(r.query.total, '100');
+    });
+    assert.strictEqual(device.files['plotter/job.gcode'].toString(), GCODE);
+    assert.deepStrictEqual(progress[progress.length - 1], [100, 100]);
+  } finally {
+    await device.close();
+  }
+});
+
+test('a failed part stops the upload and reports where to resume', async function () {
+  const device = await startMockDevice({
+    fail: { '/upload_chunk': function (query) { return query.index === '2' ? 400 : 0; } },
+  });
+  try {
+    const result = await sendToDevice(GCODE, 'job.gcode', device.host, { chunkSize: 30 });
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.status, 400);
+    assert.strictEqual(result.chunkCount, 4);
+    assert.strictEqual(result.failedChunk, 2);
+    assert.strictEqual(result.resumeFrom, 2);
+    assert.match(result.message, /^Part 3\/4 failed/);
+    assert.deepStrictEqual(result.errors.map(function (e) { return e.chunk; }), [2]);
+    // Parts after the failed one are not sent; the device holds the first two
+    assert.strictEqual(chunkRequests(device).length, 3);
+    assert.strictEqual(device.files['job.gcode'].toString(), GCODE.slice(0, 60));
+  } finally {
+    await device.close();
+  }
+});
+
+test('resumeFrom sends only the parts from that index on and completes the file', async function () {
+  let failing = true;
+  const device = await startMockDevice({
+    fail: { '/upload_chunk': function (query) { return failing && query.index === '2' ? 503 : 0; } },
+  });
+  try {
+    const failed = await sendToDevice(GCODE, 'job.gcode', device.host, { chunkSize: 30 });
+    assert.strictEqual(failed.resumeFrom, 2);
+    failing = false;
+    const sentBefore = chunkRequests(device).length;
+    const progress = [];
+    const resumed = await sendToDevice(GCODE, 'job.gcode', device.host, {
+      chunkSize: 30,
+      resumeFrom: failed.resumeFrom,
+      onProgress: function (sent) { progress.push(sent); },
+    });
+    assert.strictEqual(resumed.ok, true, resumed.message);
+    assert.strictEqual(resumed.attempts, 2);
+    assert.deepStrictEqual(chunkRequests(device).slice(sentBefore).map(function (r) { return r.query.offset; }), ['60', '90']);
+    assert.strictEqual(device.files['job.gcode'].toString(), GCODE);
+    // Progress counts the parts already on the device
+    assert.ok(progress[0] > 60, 'progress starts past the resumed offset: ' + progress[0]);
+    assert.strictEqual(progress[progress.length - 1], 100);
+  } finally {
+    await device.close();
+  }
+});
+
+test('resumeFrom past the last part sends nothing', async function () {
+  const device = await startMockDevice();
+  try {
+    const result = await sendToDevice(GCODE, 'job.gcode', device.host, { chunkSize: 30, resumeFrom: 4 });
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.attempts, 0);
+    assert.strictEqual(device.requests.length, 0);
+  } finally {
+    await device.close();
+  }
+});
@@ -0,0 +1,121 @@
+/**
+ * sendToDevice.compress.test.js — gzip and delta uploads: the delta encoding round-trips (also for
+ * lines that repeat a letter), and both encodings reach a mock device that decodes them intact.
+ *
+ * Run: node --test test/
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const sendToDevice = require('../modules/pnp/sendToDevice.js');
+const { startMockDevice } = require('./mockDevice');
+
+const { deltaEncodeGcode, deltaDecodeGcode } = sendToDevice;
+const BOTH = { firmware: 'roboblock-esp32', version: '1.4.0', machine: 'plotter', compression: ['gzip', 'delta'] };
+
+/** Plotter-like G-code: long runs of G1 moves that change one or two words. */
+function plotGcode(lines) {
+  const out = ['G21', 'G90', '; plot', 'G0 Z5 F3000'];
+  for (let i = 0; i < lines; i++) {
+    out.push('G1 X' + (i % 50).toFixed(3) + ' Y' + Math.floor(i / 50).toFixed(3) + ' F1200');
+    if (i % 25 === 0) out.push('G0 Z5', 'G0 X0.000 Y0.000', 'G1 Z0');
+  }
+  out.push('M5', 'G0 X0 Y0', '');
+  return out.join('\n');
+}
+
+test('delta encoding lists only the words that changed and copies repeated lines', function () {
+  const encoded = deltaEncodeGcode('G1 X10.000 Y10.000 F1200\nG1 X20.000 Y10.000 F1200\nG0 Z5\nG1 X20.000 Y10.000 F1200');
+  assert.deepStrictEqual(encoded.split('\n'), [';gcode-delta/1', 'G1 X10.000 Y10.000 F1200', '^G1 X20.000', 'G0 Z5', '@2']);
+});
+
+test('lines that start with @, ^ or \\ are escaped', function () {
+  const text = '@1\n^G1 X1\n\\x';
+  assert.deepStrictEqual(deltaEncodeGcode(text).split('\n').slice(1), ['\\@1', '\\^G1 X1', '\\\\x']);
+  assert.strictEqual(deltaDecodeGcode(deltaEncodeGcode(text)), text);
+});
+
+test('a line that repeats a letter is sent literally and not used as a base', function () {
+  const text = 'G1 X1 X2\nG1 X3 X2';
+  const encoded = deltaEncodeGcode(text);
+  assert.deepStrictEqual(encoded.split('\n').slice(1), ['G1 X1 X2', 'G1 X3 X2']);
+  assert.strictEqual(deltaDecodeGcode(encoded), text);
+
+  const mixed = 'G1 X1.000 Y1.000 Z0.000\nG1 X1 X2 Y1\nG1 X2.000 Y1.000 Z0.000\nG1 X3.000 Y1.000 Z0.000';
+  assert.deepStrictEqual(deltaEncodeGcode(mixed).split('\n').slice(2), ['G1 X1 X2 Y1', '^G1 X2.000', '^G1 X3.000']);
+  assert.strictEqual(deltaDecodeGcode(deltaEncodeGcode(mixed)), mixed);
+});
+
+test('delta encoding round-trips comments, blank lines, CRLF and odd spacing', function () {
+  const text = [
+    '; header', '', 'G1 X1 Y2 ; comment', 'G1 X1 Y3 ; comment', 'G1  X1 Y4', 'G1 X1 Y5\r', 'G1 X2 Y5\r',
+    'g1 x1 y1', 'G1 X1 (note) Y2', 'M3 S1000', 'M3 S0', 'G4 P0.5', 'G1 X1', 'G1 X1 Y1', '@9', '',
+  ].join('\n');
+  assert.strictEqual(deltaDecodeGcode(deltaEncodeGcode(text)), text);
+  const plot = plotGcode(600);
+  const encoded = deltaEncodeGcode(plot);
+  assert.ok(encoded.length < plot.length * 0.6, encoded.length + ' of ' + plot.length + ' bytes');
+  assert.strictEqual(deltaDecodeGcode(encoded), plot);
+});
+
+test('the decoder refuses text without the header or with a dangling reference', function () {
+  assert.throws(function () { deltaDecodeGcode('G1 X1'); }, /first line must be ";gcode-delta\/1"/);
+  assert.throws(function () { deltaDecodeGcode(';gcode-delta/1\n@1'); }, /bad back reference "@1" on line 2/);
+  assert.throws(function () { deltaDecodeGcode(';gcode-delta/1\n^G1 X2'); }, /no earlier G1 line/);
+});
+
+['delta', 'gzip'].forEach(function (encoding) {
+  test(encoding + ' upload reaches the device as the original text', async function () {
+    const device = await startMockDevice({ info: BOTH });
+    try {
+      const gcode = plotGcode(600);
+      const result = await sendToDevice(gcode, 'plotter/job.gcode', device.host, { compress: encoding, verify: 'crc32' });
+      assert.strictEqual(result.ok, true, result.message);
+      assert.strictEqual(result.compression.encoding, encoding);
+      assert.strictEqual(result.compression.originalBytes, Buffer.byteLength(gcode));
+      assert.ok(result.compression.encodedBytes < result.compression.originalBytes);
+      const upload = device.requests.find(function (r) { return r.path === '/upload'; });
+      assert.strictEqual(upload.query.encoding, encoding);
+      assert.strictEqual(device.files['plotter/job.gcode'].toString(), gcode);
+    } finally {
+      await device.close();
+    }
+  });
+
+  test(encoding + ' upload in parts is decoded once the last part arrives', async function () {
+    const device = await startMockDevice({ info: BOTH });
+    try {
+      const gcode = plotGcode(2000);
+      const result = await sendToDevice(gcode, 'job.gcode', device.host, { compress: encoding, chunkSize: 1024, verify: 'crc32' });
+      assert.strictEqual(result.ok, true, result.message);
+      assert.ok(result.chunkCount > 1, 'sent in ' + result.chunkCount + ' parts');
+      device.requests.filter(function (r) { return r.path === '/upload_chunk'; }).forEach(function (r) {
+        assert.strictEqual(r.query.encoding, encoding);
+      });
+      assert.strictEqual(device.files['job.gcode'].toString(), gcode);
+    } finally {
+      await device.close();
+    }
+  });
+});
+
+test('compress: true prefers gzip and falls back to plain text when the device decodes nothing', async function () {
+  const gzipOnly = await startMockDevice({ info: { compression: ['gzip'] } });
+  const plain = await startMockDevice();
+  try {
+    const gcode = plotGcode(300);
+    const zipped = await sendToDevice(gcode, 'job.gcode', gzipOnly.host, { compress: true });
+    assert.strictEqual(zipped.compression.encoding, 'gzip');
+    assert.strictEqual(gzipOnly.files['job.gcode'].toString(), gcode);
+
+    const sent = await sendToDevice(gcode, 'job.gcode', plain.host, { compress: true });
+    assert.strictEqual(sent.ok, true, sent.message);
+    assert.strictEqual(sent.compression, undefined);
+    assert.strictEqual(plain.requests.find(function (r) { return r.path === '/upload'; }).query.encoding, undefined);
+    assert.strictEqual(plain.files['job.gcode'].toString(), gcode);
+  } finally {
+    await gzipOnly.close();
+    await plain.close();
+  }
+});
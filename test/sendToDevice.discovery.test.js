@@ -0,0 +1,35 @@
+/**
+ * sendToDevice.discovery.test.js — scanDevices against mock devices: every host is probed, results
+ * keep the order of the hosts and unreachable ones are reported instead of failing the scan.
+ *
+ * Run: node --test test/
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const sendToDevice = require('../modules/pnp/sendToDevice.js');
+const { startMockDevice, unusedHost } = require('./mockDevice');
+
+test('scanDevices probes /info on every host and keeps their order', async function () {
+  const plotter = await startMockDevice();
+  const laser = await startMockDevice({ info: { firmware: 'roboblock-esp32', version: '1.2.0', machine: 'Laser' } });
+  const offline = await unusedHost();
+  try {
+    const seen = [];
+    const results = await sendToDevice.scanDevices([plotter.host, offline, laser.host], {
+      concurrency: 2,
+      onResult: function (r) { seen.push(r.host); },
+    });
+    assert.deepStrictEqual(results.map(function (r) { return r.host; }), [plotter.host, offline, laser.host]);
+    assert.deepStrictEqual(results.map(function (r) { return r.ok; }), [true, false, true]);
+    assert.strictEqual(results[0].machine, 'plotter');
+    assert.strictEqual(results[2].machine, 'laser');
+    assert.strictEqual(results[2].uploadPath, '/upload');
+    assert.strictEqual(results[1].reachable, false);
+    assert.strictEqual(seen.length, 3);
+  } finally {
+    await plotter.close();
+    await laser.close();
+  }
+});
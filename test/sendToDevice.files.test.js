@@ -0,0 +1,123 @@
+/**
+ * sendToDevice.files.test.js — File management against a mock device: the request each call makes
+ * and how the device's answers come back (listDeviceFiles, deleteDeviceFile, renameDeviceFile,
+ * downloadDeviceFile).
+ *
+ * Run: node --test test/
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const sendToDevice = require('../modules/pnp/sendToDevice.js');
+const { startMockDevice } = require('./mockDevice');
+
+const FILES = {
+  'plotter/a.gcode': 'G1 X1\n',
+  'plotter/b.gcode': 'G1 X22\n',
+  'plotter/old/c.gcode': 'G1 X3\n',
+  'laser/d.gcode': 'M3 S100\n',
+};
+
+function lastRequest(device) {
+  return device.requests[device.requests.length - 1];
+}
+
+test('listDeviceFiles asks for a folder and gives name, path, size and isDir', async function () {
+  const device = await startMockDevice({ files: FILES });
+  try {
+    const result = await sendToDevice.listDeviceFiles(device.host, 'plotter');
+    assert.strictEqual(result.ok, true, result.message);
+    assert.strictEqual(lastRequest(device).method, 'GET');
+    assert.strictEqual(lastRequest(device).path, '/list');
+    assert.deepStrictEqual(lastRequest(device).query, { dir: 'plotter' });
+    assert.deepStrictEqual(result.files, [
+      { name: 'a.gcode', path: 'plotter/a.gcode', size: 6, isDir: false },
+      { name: 'b.gcode', path: 'plotter/b.gcode', size: 7, isDir: false },
+      { name: 'old', path: 'plotter/old', size: null, isDir: true },
+    ]);
+  } finally {
+    await device.close();
+  }
+});
+
+test('listDeviceFiles accepts a bare array and lists the root with an empty dir', async function () {
+  const device = await startMockDevice({ files: FILES, listAs: 'array' });
+  try {
+    const result = await sendToDevice.listDeviceFiles(device.host);
+    assert.strictEqual(result.ok, true, result.message);
+    assert.deepStrictEqual(lastRequest(device).query, { dir: '' });
+    assert.deepStrictEqual(result.files.map(function (f) { return [f.path, f.isDir]; }), [['laser', true], ['plotter', true]]);
+  } finally {
+    await device.close();
+  }
+});
+
+test('deleteDeviceFile posts the path and removes the file', async function () {
+  const device = await startMockDevice({ files: FILES });
+  try {
+    const result = await sendToDevice.deleteDeviceFile(device.host, ' plotter/a.gcode ');
+    assert.strictEqual(result.ok, true, result.message);
+    assert.strictEqual(lastRequest(device).method, 'POST');
+    assert.strictEqual(lastRequest(device).path, '/delete');
+    assert.deepStrictEqual(lastRequest(device).query, { path: 'plotter/a.gcode' });
+    assert.strictEqual(device.files['plotter/a.gcode'], undefined);
+
+    const missing = await sendToDevice.deleteDeviceFile(device.host, 'plotter/a.gcode');
+    assert.strictEqual(missing.ok, false);
+    assert.strictEqual(missing.status, 404);
+    assert.strictEqual(missing.message, 'No such file');
+  } finally {
+    await device.close();
+  }
+});
+
+test('renameDeviceFile posts from and a normalized to, and reports the new path', async function () {
+  const device = await startMockDevice({ files: FILES });
+  try {
+    const result = await sendToDevice.renameDeviceFile(device.host, 'plotter/b.gcode', 'plotter/Über Plot.gcode');
+    assert.strictEqual(result.ok, true, result.message);
+    assert.strictEqual(result.path, 'plotter/Uber_Plot.gcode');
+    assert.strictEqual(lastRequest(device).method, 'POST');
+    assert.strictEqual(lastRequest(device).path, '/rename');
+    assert.deepStrictEqual(lastRequest(device).query, { from: 'plotter/b.gcode', to: 'plotter/Uber_Plot.gcode' });
+    assert.strictEqual(device.files['plotter/Uber_Plot.gcode'].toString(), FILES['plotter/b.gcode']);
+
+    const fat = await sendToDevice.renameDeviceFile(device.host, 'laser/d.gcode', 'laser/engrave-logo.gcode', { deviceProfile: 'fat83' });
+    assert.strictEqual(fat.path, 'LASER/ENGRAVE-.GCO');
+    assert.ok(device.files['LASER/ENGRAVE-.GCO']);
+  } finally {
+    await device.close();
+  }
+});
+
+test('downloadDeviceFile gives the stored text', async function () {
+  const device = await startMockDevice({ files: FILES });
+  try {
+    const result = await sendToDevice.downloadDeviceFile(device.host, 'laser/d.gcode');
+    assert.strictEqual(result.ok, true, result.message);
+    assert.strictEqual(result.content, FILES['laser/d.gcode']);
+    assert.strictEqual(lastRequest(device).method, 'GET');
+    assert.strictEqual(lastRequest(device).path, '/download');
+    assert.deepStrictEqual(lastRequest(device).query, { path: 'laser/d.gcode' });
+
+    const missing = await sendToDevice.downloadDeviceFile(device.host, 'laser/none.gcode');
+    assert.deepStrictEqual([missing.ok, missing.status, missing.content], [false, 404, undefined]);
+  } finally {
+    await device.close();
+  }
+});
+
+test('missing arguments reject before any request', async function () {
+  const device = await startMockDevice();
+  try {
+    await assert.rejects(sendToDevice.listDeviceFiles(''), /espIp is required/);
+    await assert.rejects(sendToDevice.deleteDeviceFile(device.host, ' '), /path is required/);
+    await assert.rejects(sendToDevice.renameDeviceFile(device.host, 'a.gcode', ''), /toPath is required/);
+    await assert.rejects(sendToDevice.renameDeviceFile(device.host, 'a.gcode', 'x/../b.gcode'), /"\." or "\.\."/);
+    await assert.rejects(sendToDevice.downloadDeviceFile(device.host), /path is required/);
+    assert.strictEqual(device.requests.length, 0);
+  } finally {
+    await device.close();
+  }
+});
@@ -0,0 +1,118 @@
+/**
+ * sendToDevice.jobs.test.js — Job control against a mock device: runDeviceFile, pauseJob,
+ * resumeJob, abortJob and getJobStatus send the right requests and report the device's answers.
+ *
+ * Run: node --test test/
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const sendToDevice = require('../modules/pnp/sendToDevice.js');
+const { startMockDevice } = require('./mockDevice');
+
+const FILES = { 'plotter/job.gcode': 'G1 X10 Y10\n' };
+
+function lastRequest(device) {
+  const r = device.requests[device.requests.length - 1];
+  return [r.method, r.path, r.query];
+}
+
+test('run, pause, resume and abort post to the device and move the job through its states', async function () {
+  const device = await startMockDevice({ files: FILES });
+  try {
+    const run = await sendToDevice.runDeviceFile(device.host, ' plotter/job.gcode ');
+    assert.strictEqual(run.ok, true, run.message);
+    assert.deepStrictEqual(lastRequest(device), ['POST', '/run', { path: 'plotter/job.gcode' }]);
+    assert.deepStrictEqual(device.job, { state: 'running', file: 'plotter/job.gcode', progress: 0 });
+
+    const pause = await sendToDevice.pauseJob(device.host);
+    assert.strictEqual(pause.ok, true, pause.message);
+    assert.deepStrictEqual(lastRequest(device), ['POST', '/pause', {}]);
+    assert.strictEqual(device.job.state, 'paused');
+
+    const resume = await sendToDevice.resumeJob(device.host);
+    assert.strictEqual(resume.ok, true, resume.message);
+    assert.deepStrictEqual(lastRequest(device), ['POST', '/resume', {}]);
+    assert.strictEqual(device.job.state, 'running');
+
+    const abort = await sendToDevice.abortJob(device.host);
+    assert.strictEqual(abort.ok, true, abort.message);
+    assert.deepStrictEqual(lastRequest(device), ['POST', '/abort', {}]);
+    assert.deepStrictEqual(device.job, { state: 'idle' });
+  } finally {
+    await device.close();
+  }
+});
+
+test('getJobStatus lowercases the state and passes the other fields through', async function () {
+  const device = await startMockDevice({ files: FILES });
+  try {
+    const idle = await sendToDevice.getJobStatus(device.host);
+    assert.strictEqual(idle.ok, true, idle.message);
+    assert.deepStrictEqual(lastRequest(device), ['GET', '/status', {}]);
+    assert.deepStrictEqual(idle.job, { state: 'idle' });
+
+    await sendToDevice.runDeviceFile(device.host, 'plotter/job.gcode');
+    device.job.progress = 42;
+    const running = await sendToDevice.getJobStatus(device.host);
+    assert.deepStrictEqual(running.job, { state: 'running', file: 'plotter/job.gcode', progress: 42 });
+  } finally {
+    await device.close();
+  }
+});
+
+test('the device refusing a command comes back as a failed result with its status', async function () {
+  const device = await startMockDevice({ files: FILES });
+  try {
+    const missing = await sendToDevice.runDeviceFile(device.host, 'plotter/none.gcode');
+    assert.deepStrictEqual([missing.ok, missing.status, missing.message], [false, 404, 'No such file']);
+
+    const notRunning = await sendToDevice.pauseJob(device.host);
+    assert.deepStrictEqual([notRunning.ok, notRunning.status, notRunning.message], [false, 409, 'Job is idle']);
+
+    await sendToDevice.runDeviceFile(device.host, 'plotter/job.gcode');
+    const busy = await sendToDevice.runDeviceFile(device.host, 'plotter/job.gcode', { retries: 2, retryDelay: 0 });
+    assert.strictEqual(busy.status, 409);
+    assert.strictEqual(busy.attempts, 1, '409 is not retried');
+    assert.strictEqual(device.job.state, 'running');
+  } finally {
+    await device.close();
+  }
+});
+
+test('abortJob stops a paused job as well', async function () {
+  const device = await startMockDevice({ files: FILES });
+  try {
+    await sendToDevice.runDeviceFile(device.host, 'plotter/job.gcode');
+    await sendToDevice.pauseJob(device.host);
+    const abort = await sendToDevice.abortJob(device.host, { timeout: 1000 });
+    assert.strictEqual(abort.ok, true, abort.message);
+    assert.strictEqual((await sendToDevice.getJobStatus(device.host)).job.state, 'idle');
+  } finally {
+    await device.close();
+  }
+});
+
+test('an abort signal cancels a job command that has not been answered', async function () {
+  const device = await startMockDevice({ files: FILES, delay: 500 });
+  try {
+    const controller = new AbortController();
+    const pending = sendToDevice.abortJob(device.host, { signal: controller.signal, retries: 2 });
+    setTimeout(function () { controller.abort(); }, 50);
+    const result = await pending;
+    assert.deepStrictEqual([result.ok, result.aborted, result.retryable], [false, true, false]);
+    assert.strictEqual(result.attempts, 1);
+  } finally {
+    await device.close();
+  }
+});
+
+test('missing arguments reject before any request', async function () {
+  await assert.rejects(sendToDevice.runDeviceFile('', 'a.gcode'), /runDeviceFile: espIp is required/);
+  await assert.rejects(sendToDevice.runDeviceFile('127.0.0.1', ''), /runDeviceFile: path is required/);
+  await assert.rejects(sendToDevice.pauseJob(), /pauseJob: espIp is required/);
+  await assert.rejects(sendToDevice.resumeJob(), /resumeJob: espIp is required/);
+  await assert.rejects(sendToDevice.abortJob(), /abortJob: espIp is required/);
+  await assert.rejects(sendToDevice.getJobStatus(), /getJobStatus: espIp is required/);
+});
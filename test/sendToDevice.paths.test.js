@@ -0,0 +1,52 @@
+/**
+ * sendToDevice.paths.test.js — Filenames follow the device's filesystem profile, whether it is
+ * passed as deviceProfile or comes from the device's /info.
+ *
+ * Run: node --test test/
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const sendToDevice = require('../modules/pnp/sendToDevice.js');
+const { startMockDevice } = require('./mockDevice');
+
+const normalizeDevicePath = sendToDevice.normalizeDevicePath;
+
+test('fat83 short names drop & and + along with the other unsafe characters', function () {
+  assert.strictEqual(normalizeDevicePath('pick&place/Job+1.gcode', 'fat83').path, 'PICK_PLA/JOB_1.GCO');
+  assert.strictEqual(normalizeDevicePath('laser/a&b.gcode', 'fat83').name, 'A_B.GCO');
+});
+
+test('the other profiles keep & and +', function () {
+  ['sd', 'littlefs'].forEach(function (profile) {
+    assert.strictEqual(normalizeDevicePath('pick&place/Job+1.gcode', profile).path, 'pick&place/Job+1.gcode');
+  });
+  assert.strictEqual(normalizeDevicePath('pick&place/Job+1.gcode').changed, false);
+});
+
+test('probeDevice reports the filesystem from /info as deviceProfile', async function () {
+  const fat = await startMockDevice({ info: { firmware: 'roboblock-esp32', filesystem: 'fat83' } });
+  const odd = await startMockDevice({ info: { firmware: 'roboblock-esp32', filesystem: 'ntfs' } });
+  try {
+    assert.strictEqual((await sendToDevice.probeDevice(fat.host)).deviceProfile, 'fat83');
+    assert.strictEqual((await sendToDevice.probeDevice(odd.host)).deviceProfile, null);
+  } finally {
+    await fat.close();
+    await odd.close();
+  }
+});
+
+test('sendToDevice names the file by deviceInfo.deviceProfile unless deviceProfile is given', async function () {
+  const device = await startMockDevice({ info: { filesystem: 'fat83' } });
+  try {
+    const deviceInfo = await sendToDevice.probeDevice(device.host);
+    const fromInfo = await sendToDevice('G28\n', 'pick&place/job.gcode', device.host, { deviceInfo: deviceInfo });
+    assert.strictEqual(fromInfo.path, 'PICK_PLA/JOB.GCO');
+    assert.ok(device.files['PICK_PLA/JOB.GCO']);
+    const explicit = await sendToDevice('G28\n', 'pick&place/job.gcode', device.host, { deviceInfo: deviceInfo, deviceProfile: 'sd' });
+    assert.strictEqual(explicit.path, 'pick&place/job.gcode');
+  } finally {
+    await device.close();
+  }
+});
@@ -0,0 +1,140 @@
+/**
+ * sendToDevice.retry.test.js — Retries against a mock device: which failures are retried, the
+ * exponential backoff between attempts, and per-request timeouts.
+ *
+ * Run: node --test test/
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const sendToDevice = require('../modules/pnp/sendToDevice.js');
+const { startMockDevice, unusedHost } = require('./mockDevice');
+
+const GCODE = 'G21\nG90\nG1 X10 Y10 F1200\n';
+
+/** A device whose first `times` uploads answer `status`. */
+function failingFirst(times, status) {
+  return startMockDevice({ fail: { '/upload': function (query, n) { return n <= times ? status : 0; } } });
+}
+
+function gaps(device) {
+  return device.requests.slice(1).map(function (r, i) { return r.at - device.requests[i].at; });
+}
+
+[503, 500, 408, 429].forEach(function (status) {
+  test(status + ' is retried until the upload goes through', async function () {
+    const device = await failingFirst(2, status);
+    try {
+      const result = await sendToDevice(GCODE, 'job.gcode', device.host, { retries: 3, retryDelay: 0 });
+      assert.strictEqual(result.ok, true, result.message);
+      assert.strictEqual(result.attempts, 3);
+      assert.deepStrictEqual(result.errors.map(function (e) { return [e.attempt, e.status, e.retryable]; }),
+        [[1, status, true], [2, status, true]]);
+      assert.strictEqual(device.files['job.gcode'].toString(), GCODE);
+    } finally {
+      await device.close();
+    }
+  });
+});
+
+[400, 404, 413].forEach(function (status) {
+  test(status + ' is not retried', async function () {
+    const device = await failingFirst(1, status);
+    try {
+      const result = await sendToDevice(GCODE, 'job.gcode', device.host, { retries: 3, retryDelay: 0 });
+      assert.strictEqual(result.ok, false);
+      assert.strictEqual(result.status, status);
+      assert.strictEqual(result.retryable, false);
+      assert.strictEqual(result.attempts, 1);
+      assert.strictEqual(device.count('/upload'), 1);
+    } finally {
+      await device.close();
+    }
+  });
+});
+
+test('network errors are retried and reported without a status', async function () {
+  const host = await unusedHost();
+  const result = await sendToDevice(GCODE, 'job.gcode', host, { retries: 2, retryDelay: 0 });
+  assert.strictEqual(result.ok, false);
+  assert.strictEqual(result.status, undefined);
+  assert.strictEqual(result.retryable, true);
+  assert.strictEqual(result.attempts, 3);
+  assert.strictEqual(result.errors.length, 3);
+});
+
+test('the wait between attempts doubles from retryDelay', async function () {
+  const device = await failingFirst(3, 503);
+  try {
+    const result = await sendToDevice(GCODE, 'job.gcode', device.host, { retries: 3, retryDelay: 40 });
+    assert.strictEqual(result.ok, true, result.message);
+    const waited = gaps(device);
+    assert.strictEqual(waited.length, 3);
+    [40, 80, 160].forEach(function (min, i) {
+      assert.ok(waited[i] >= min - 5, 'wait ' + (i + 1) + ' was ' + waited[i] + ' ms, expected at least ' + min);
+    });
+  } finally {
+    await device.close();
+  }
+});
+
+test('maxRetryDelay caps the backoff', async function () {
+  const device = await failingFirst(3, 503);
+  try {
+    const result = await sendToDevice(GCODE, 'job.gcode', device.host, { retries: 3, retryDelay: 40, maxRetryDelay: 50 });
+    assert.strictEqual(result.ok, true, result.message);
+    const waited = gaps(device);
+    assert.ok(waited[0] >= 35 && waited[1] >= 45 && waited[2] >= 45, waited.join(', '));
+    // Uncapped, the third wait would be 160 ms
+    assert.ok(waited[2] < 140, 'third wait was ' + waited[2] + ' ms');
+  } finally {
+    await device.close();
+  }
+});
+
+test('a request slower than timeout fails as timedOut and is retried', async function () {
+  const device = await startMockDevice({ delay: 300 });
+  try {
+    const started = Date.now();
+    const result = await sendToDevice(GCODE, 'job.gcode', device.host, { timeout: 50, retries: 1, retryDelay: 0 });
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.timedOut, true);
+    assert.match(result.message, /timed out after 50 ms/);
+    assert.strictEqual(result.retryable, true);
+    assert.strictEqual(result.attempts, 2);
+    assert.strictEqual(device.count('/upload'), 2);
+    assert.ok(Date.now() - started < 300, 'gave up before the device answered');
+  } finally {
+    await device.close();
+  }
+});
+
+test('a timeout long enough for the device lets the upload through', async function () {
+  const device = await startMockDevice({ delay: 30 });
+  try {
+    const result = await sendToDevice(GCODE, 'job.gcode', device.host, { timeout: 2000 });
+    assert.strictEqual(result.ok, true, result.message);
+    assert.strictEqual(result.attempts, 1);
+  } finally {
+    await device.close();
+  }
+});
+
+test('an abort during the backoff ends the send without another attempt', async function () {
+  const device = await startMockDevice({ fail: { '/upload': 503 } });
+  try {
+    const controller = new AbortController();
+    const pending = sendToDevice(GCODE, 'job.gcode', device.host, { retries: 5, retryDelay: 1000, signal: controller.signal });
+    setTimeout(function () { controller.abort(); }, 100);
+    const started = Date.now();
+    const result = await pending;
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.aborted, true);
+    assert.strictEqual(result.retryable, false);
+    assert.strictEqual(device.count('/upload'), 1);
+    assert.ok(Date.now() - started < 1000, 'did not wait out the backoff');
+  } finally {
+    await device.close();
+  }
+});